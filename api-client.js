@@ -4,10 +4,13 @@ class BloodFinderAPI {
         // Use environment-aware configuration
         this.baseURL = window.API_CONFIG ? window.API_CONFIG.getBaseURL() : 'http://localhost:5000/api';
         this.token = localStorage.getItem('bloodfinder_token');
+        this.refreshToken = localStorage.getItem('bloodfinder_refresh_token');
+        // In-flight token refresh shared by concurrent requests
+        this.refreshing = null;
     }
 
     // Helper method to make HTTP requests
-    async makeRequest(endpoint, options = {}) {
+    async makeRequest(endpoint, options = {}, retried = false) {
         const url = `${this.baseURL}${endpoint}`;
         const config = {
             headers: {
@@ -21,6 +24,13 @@ class BloodFinderAPI {
             const response = await fetch(url, config);
             const data = await response.json();
 
+            // Access tokens are short-lived: renew once and retry
+            if (response.status === 401 && !retried && this.refreshToken && endpoint !== '/auth/refresh') {
+                if (await this.refreshSession()) {
+                    return await this.makeRequest(endpoint, options, true);
+                }
+            }
+
             if (!response.ok) {
                 throw new Error(data.message || 'Something went wrong');
             }
@@ -40,7 +50,7 @@ class BloodFinderAPI {
         });
 
         if (response.success && response.token) {
-            this.setToken(response.token);
+            this.setToken(response.token, response.refreshToken);
         }
 
         return response;
@@ -53,7 +63,7 @@ class BloodFinderAPI {
         });
 
         if (response.success && response.token) {
-            this.setToken(response.token);
+            this.setToken(response.token, response.refreshToken);
         }
 
         return response;
@@ -66,7 +76,7 @@ class BloodFinderAPI {
         });
 
         if (response.success && response.token) {
-            this.setToken(response.token);
+            this.setToken(response.token, response.refreshToken);
         }
 
         return response;
@@ -168,18 +178,56 @@ class BloodFinderAPI {
         return await this.makeRequest('/emergency/active');
     }
 
+    // Exchange the refresh token for a new token pair. A refresh token can
+    // only be used once, so requests that get a 401 together share one refresh
+    refreshSession() {
+        if (!this.refreshing) {
+            this.refreshing = this._refreshSession().finally(() => {
+                this.refreshing = null;
+            });
+        }
+
+        return this.refreshing;
+    }
+
+    async _refreshSession() {
+        try {
+            const response = await this.makeRequest('/auth/refresh', {
+                method: 'POST',
+                body: JSON.stringify({ refreshToken: this.refreshToken })
+            }, true);
+
+            this.setToken(response.token, response.refreshToken);
+            return true;
+        } catch (error) {
+            this.removeToken();
+            return false;
+        }
+    }
+
     // Utility methods
-    setToken(token) {
+    setToken(token, refreshToken) {
         this.token = token;
         localStorage.setItem('bloodfinder_token', token);
+
+        if (refreshToken) {
+            this.refreshToken = refreshToken;
+            localStorage.setItem('bloodfinder_refresh_token', refreshToken);
+        }
     }
 
     removeToken() {
         this.token = null;
+        this.refreshToken = null;
         localStorage.removeItem('bloodfinder_token');
+        localStorage.removeItem('bloodfinder_refresh_token');
     }
 
     logout() {
+        // Revoke the session server-side; local sign-out doesn't wait for it
+        if (this.token) {
+            this.makeRequest('/auth/logout', { method: 'POST' }, true).catch(() => {});
+        }
         this.removeToken();
         // Clear any other stored user data
         localStorage.removeItem('donorLoggedIn');
@@ -0,0 +1,27 @@
+const { auditContext, recordAudit } = require('../services/audit');
+
+// Record an audit entry once the response has been sent successfully. For
+// actions without a before/after diff, e.g. exports and broadcasts. `target`
+// and `metadata` may be functions of the request; handlers can add details
+// through res.locals.audit.
+const audit = (action, { target, metadata } = {}) => {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      if (res.statusCode >= 400) return;
+
+      const resolve = (value) => (typeof value === 'function' ? value(req) : value);
+      const extra = res.locals.audit || {};
+
+      recordAudit({
+        ...auditContext(req),
+        action,
+        target: extra.target || resolve(target),
+        metadata: { ...resolve(metadata), ...extra.metadata }
+      });
+    });
+
+    next();
+  };
+};
+
+module.exports = { audit };
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, Session, Hospital } = require('../models');
+const { getPermissions } = require('../utils/permissions');
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -32,6 +33,23 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Reject tokens whose session was revoked (logout, reuse, password change)
+      const session = decoded.sid && await Session.findById(decoded.sid).select('user revokedAt expiresAt');
+      if (!session || !session.isActive() || !session.user.equals(user._id)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session expired or revoked. Please log in again.'
+        });
+      }
+
+      // Reject tokens issued before a password change or reset
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password was changed. Please log in again.'
+        });
+      }
+
       // Check if user is active
       if (user.status === 'suspended') {
         return res.status(401).json({
@@ -44,6 +62,7 @@ const protect = async (req, res, next) => {
       user.updateLastActive();
 
       req.user = user;
+      req.sessionId = session._id;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -81,6 +100,34 @@ const authorize = (...roles) => {
   };
 };
 
+// Require admin permissions. Every listed permission is needed; an entry may
+// be a function of the request for permissions that depend on it, returning
+// nothing when none applies.
+const authorizePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Please log in.'
+      });
+    }
+
+    const granted = getPermissions(req.user);
+    const missing = permissions
+      .map(permission => (typeof permission === 'function' ? permission(req) : permission))
+      .filter(permission => permission && !granted.includes(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Missing permission: ${missing.join(', ')}.`
+      });
+    }
+
+    next();
+  };
+};
+
 // Check if donor is approved
 const checkDonorApproval = (req, res, next) => {
   if (req.user.role === 'donor' && req.user.status !== 'approved') {
@@ -93,6 +140,25 @@ const checkDonorApproval = (req, res, next) => {
   next();
 };
 
+// Load the active facility for hospital staff
+const requireHospital = async (req, res, next) => {
+  try {
+    const hospital = req.user.hospital && await Hospital.findById(req.user.hospital);
+
+    if (!hospital || !hospital.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account is not linked to an active hospital. Contact administrator.'
+      });
+    }
+
+    req.hospital = hospital;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Check if user owns resource or is admin
 const checkOwnership = (resourceUserField = 'user') => {
   return (req, res, next) => {
@@ -111,6 +177,8 @@ const checkOwnership = (resourceUserField = 'user') => {
 module.exports = {
   protect,
   authorize,
+  authorizePermission,
   checkDonorApproval,
+  requireHospital,
   checkOwnership
 };
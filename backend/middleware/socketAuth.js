@@ -1,5 +1,5 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, Session } = require('../models');
 
 // Socket authentication middleware
 const socketAuth = async (socket, next) => {
@@ -17,7 +17,21 @@ const socketAuth = async (socket, next) => {
       return next(new Error('User not found'));
     }
 
+    if (user.status === 'suspended') {
+      return next(new Error('Account suspended'));
+    }
+
+    const session = decoded.sid && await Session.findById(decoded.sid).select('user revokedAt expiresAt');
+    if (!session || !session.isActive() || !session.user.equals(user._id)) {
+      return next(new Error('Session expired or revoked'));
+    }
+
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return next(new Error('Password was changed. Please log in again.'));
+    }
+
     socket.user = user;
+    socket.sessionId = session._id;
     next();
   } catch (error) {
     next(new Error('Authentication failed'));
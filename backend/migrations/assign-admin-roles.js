@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+
+// Admin access is now granted through roles. Existing admin accounts have no
+// roles and therefore no permissions; this gives them super_admin so they keep
+// the access they had. Narrow them afterwards with PUT /api/admin/users/:id/roles.
+// Usage: npm run migrate:admin-roles
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { User } = require('../models');
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blood_donation_db');
+    console.log('✅ MongoDB Connected');
+
+    const result = await User.updateMany(
+      { role: 'admin', adminRoles: { $exists: false } },
+      { $set: { adminRoles: ['super_admin'] } }
+    );
+
+    console.log(`🔑 ${result.modifiedCount} admin accounts given the super_admin role`);
+    console.log('🎉 Admin role migration complete');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+// Contact details are now revealed through a relay ID on each donor response.
+// Gives responses recorded before that change their relay ID.
+// Usage: npm run migrate:contact-relay
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { EmergencyRequest } = require('../models');
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blood_donation_db');
+    console.log('✅ MongoDB Connected');
+
+    const cursor = EmergencyRequest.find({
+      responses: { $elemMatch: { relayId: { $exists: false } } }
+    }).select('responses._id responses.relayId').cursor();
+
+    let updated = 0;
+    for await (const request of cursor) {
+      const set = {};
+      request.responses.forEach((response, index) => {
+        if (!response.relayId) set[`responses.${index}.relayId`] = EmergencyRequest.generateRelayId();
+      });
+
+      await EmergencyRequest.updateOne({ _id: request._id }, { $set: set });
+      updated += 1;
+    }
+
+    await EmergencyRequest.createIndexes();
+    console.log(`🎉 Added relay IDs to ${updated} emergency request(s)`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrate();
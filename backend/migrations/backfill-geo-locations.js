@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+// Backfill GeoJSON locations for existing users and emergency requests and
+// replace the old 2dsphere index on hospital.coordinates.
+// Usage: npm run migrate:geo
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { User, EmergencyRequest } = require('../models');
+const { resolveCoordinates, toGeoPoint } = require('../utils/geo');
+
+async function backfillUsers() {
+  let updated = 0;
+  let unresolved = 0;
+
+  const cursor = User.find({ location: { $exists: false } }).select('address').lean().cursor();
+
+  for await (const user of cursor) {
+    const { location, locationSource } = User.locationFromAddress(user.address);
+
+    if (!location) {
+      unresolved++;
+      continue;
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { location, 'address.locationSource': locationSource } }
+    );
+    updated++;
+  }
+
+  console.log(`👤 Users: ${updated} located, ${unresolved} without coordinates or known pincode`);
+}
+
+async function backfillEmergencyRequests() {
+  let updated = 0;
+  let unresolved = 0;
+
+  const cursor = EmergencyRequest.find({ 'hospital.location': { $exists: false } })
+    .select('hospital.coordinates hospital.address.pincode')
+    .lean()
+    .cursor();
+
+  for await (const request of cursor) {
+    const resolved = resolveCoordinates({
+      coordinates: request.hospital.coordinates,
+      pincode: request.hospital.address && request.hospital.address.pincode
+    });
+
+    if (!resolved) {
+      unresolved++;
+      continue;
+    }
+
+    await EmergencyRequest.updateOne(
+      { _id: request._id },
+      { $set: { 'hospital.location': toGeoPoint(resolved) } }
+    );
+    updated++;
+  }
+
+  console.log(`🚨 Emergency requests: ${updated} located, ${unresolved} without coordinates or known pincode`);
+}
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blood_donation_db');
+    console.log('✅ MongoDB Connected');
+
+    await backfillUsers();
+    await backfillEmergencyRequests();
+
+    // Drops the legacy hospital.coordinates index and builds the new 2dsphere indexes
+    await User.syncIndexes();
+    await EmergencyRequest.syncIndexes();
+    console.log('📇 Indexes synchronised');
+
+    console.log('🎉 Geo location migration complete');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+
+// Sent and failed notifications no longer keep their message body, which can
+// hold verification codes, password reset links and certificate PDFs. This
+// clears the bodies of notifications finished before that change.
+// Usage: npm run migrate:notification-bodies
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { Notification } = require('../models');
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blood_donation_db');
+    console.log('✅ MongoDB Connected');
+
+    const result = await Notification.updateMany(
+      { status: { $in: ['sent', 'failed'] }, 'message.text': { $exists: true } },
+      { $unset: { 'message.text': 1, 'message.html': 1, 'message.attachments': 1 } }
+    );
+
+    console.log(`🧹 ${result.modifiedCount} notification bodies cleared`);
+    console.log('🎉 Notification body migration complete');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+// Emergency requests used to be deleted by a TTL index on expiresAt. They are
+// now expired and archived by the job scheduler, so drop the TTL index and
+// build the current indexes. Run once before starting the new server version.
+// Usage: npm run migrate:request-ttl
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { EmergencyRequest } = require('../models');
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blood_donation_db');
+    console.log('✅ MongoDB Connected');
+
+    const indexes = await EmergencyRequest.collection.indexes();
+    const ttlIndexes = indexes.filter(index => index.key.expiresAt && index.expireAfterSeconds !== undefined);
+
+    for (const index of ttlIndexes) {
+      await EmergencyRequest.collection.dropIndex(index.name);
+      console.log(`🗑️  Dropped TTL index ${index.name}`);
+    }
+
+    if (ttlIndexes.length === 0) {
+      console.log('ℹ️  No TTL index on emergency requests');
+    }
+
+    await EmergencyRequest.createIndexes();
+    console.log('🎉 Emergency request indexes up to date');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+
+// Requests raised by hospital staff are now managed by the facility's staff,
+// which needs raisedBy: 'hospital'. Earlier requests only have the staff
+// member as requester; this marks them so the rest of the staff can act on them.
+// Usage: npm run migrate:raised-by
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { User, EmergencyRequest } = require('../models');
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blood_donation_db');
+    console.log('✅ MongoDB Connected');
+
+    const staff = await User.find({ role: 'hospital_staff' }).distinct('_id');
+    const result = await EmergencyRequest.updateMany(
+      { requester: { $in: staff }, raisedBy: { $exists: false } },
+      { $set: { raisedBy: 'hospital' } }
+    );
+
+    console.log(`🏨 ${result.modifiedCount} emergency requests marked as raised by a hospital`);
+    console.log('🎉 Raised-by migration complete');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+// Move donor approval onto User.status. Older documents may carry a legacy
+// `admin` subdocument (isApproved, approvedAt/By, rejectedAt, rejectionReason)
+// or an empty/unknown status; both are normalised and a status history is
+// seeded for every user that doesn't have one.
+// Usage: npm run migrate:approval
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { User } = require('../models');
+
+const STATUSES = ['pending', 'approved', 'rejected', 'suspended'];
+
+// Work out the current status and history entries from a raw document
+function deriveApproval(user) {
+  const legacy = user.admin || {};
+  const history = [];
+  let status = STATUSES.includes(user.status) ? user.status : 'pending';
+
+  if (legacy.isApproved === true && status !== 'suspended') {
+    status = 'approved';
+  } else if (legacy.rejectedAt && status !== 'suspended') {
+    status = 'rejected';
+  }
+
+  // Admin accounts don't go through donor approval
+  if (user.role === 'admin' && status === 'pending') {
+    status = 'approved';
+  }
+
+  history.push({ to: 'pending', changedAt: user.createdAt || new Date() });
+
+  if (status === 'approved' && legacy.approvedAt) {
+    history.push({
+      from: 'pending',
+      to: 'approved',
+      changedBy: legacy.approvedBy,
+      reason: legacy.notes,
+      changedAt: legacy.approvedAt
+    });
+  } else if (status === 'rejected' && legacy.rejectedAt) {
+    history.push({
+      from: 'pending',
+      to: 'rejected',
+      reason: legacy.rejectionReason || legacy.notes,
+      changedAt: legacy.rejectedAt
+    });
+  } else if (status !== 'pending') {
+    history.push({
+      from: 'pending',
+      to: status,
+      reason: 'Migrated from legacy approval data',
+      changedAt: user.updatedAt || new Date()
+    });
+  }
+
+  return { status, history };
+}
+
+async function migrateUsers() {
+  const counts = { updated: 0, unchanged: 0 };
+
+  // Read raw documents so fields no longer in the schema are visible
+  const cursor = User.collection.find(
+    {
+      $or: [
+        { admin: { $exists: true } },
+        { status: { $nin: STATUSES } },
+        { statusHistory: { $exists: false } },
+        { statusHistory: { $size: 0 } }
+      ]
+    },
+    { projection: { role: 1, status: 1, statusHistory: 1, admin: 1, createdAt: 1, updatedAt: 1 } }
+  );
+
+  for await (const user of cursor) {
+    const { status, history } = deriveApproval(user);
+    const update = { $set: { status } };
+
+    if (!user.statusHistory || user.statusHistory.length === 0) {
+      update.$set.statusHistory = history;
+    }
+
+    if (user.admin) {
+      update.$unset = { admin: 1 };
+    }
+
+    if (status === user.status && !update.$set.statusHistory && !update.$unset) {
+      counts.unchanged++;
+      continue;
+    }
+
+    await User.collection.updateOne({ _id: user._id }, update);
+    counts.updated++;
+  }
+
+  console.log(`👤 Users: ${counts.updated} migrated, ${counts.unchanged} already up to date`);
+}
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blood_donation_db');
+    console.log('✅ MongoDB Connected');
+
+    await migrateUsers();
+
+    const summary = await User.aggregate([
+      { $match: { role: 'donor' } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+    summary.forEach(({ _id, count }) => console.log(`   ${_id}: ${count} donors`));
+
+    console.log('🎉 Approval status migration complete');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+// Donors can now hold one scheduled appointment at a time, enforced by a
+// partial unique index on donations. Lists donors who already have more than
+// one scheduled donation (they must be cancelled or rescheduled by hand), and
+// builds the donation and slot indexes once there are none.
+// Usage: npm run migrate:appointments
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { DonationHistory, DonationSlot } = require('../models');
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blood_donation_db');
+    console.log('✅ MongoDB Connected');
+
+    const duplicates = await DonationHistory.aggregate([
+      { $match: { status: 'scheduled' } },
+      { $group: { _id: '$donor', donations: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+
+    if (duplicates.length > 0) {
+      console.error(`❌ ${duplicates.length} donor(s) have more than one scheduled donation:`);
+      duplicates.forEach(({ _id, donations }) => {
+        console.error(`   donor ${_id}: ${donations.join(', ')}`);
+      });
+      console.error('Cancel or complete the extra donations, then run the migration again.');
+      process.exitCode = 1;
+      return;
+    }
+
+    await DonationHistory.createIndexes();
+    await DonationSlot.createIndexes();
+    console.log('🎉 Appointment indexes up to date');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Append-only record of admin and other sensitive actions. Entries are
+// hash-chained: each stores the previous entry's hash and a hash of its own
+// content, so editing or removing an entry breaks the chain from that point
+// on (see services/audit.js).
+const auditLogSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true
+  },
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    role: String
+  },
+  // e.g. user.approval, request.priority, data.export, broadcast.send
+  action: {
+    type: String,
+    required: [true, 'Action is required']
+  },
+  target: {
+    type: { type: String },
+    id: String,
+    label: String
+  },
+  // Changed fields as { path, before, after }
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    required: true
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  versionKey: false,
+  // Keep empty objects in metadata and changes, which are part of the hash
+  minimize: false
+});
+
+auditLogSchema.index({ sequence: 1 }, { unique: true });
+auditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+// Entries are never changed or removed once written
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A record of someone being shown another user's contact details through a
+// request's relay identifier. Written on every reveal and never updated.
+const contactRevealSchema = new mongoose.Schema({
+  relayId: {
+    type: String,
+    required: [true, 'Relay ID is required']
+  },
+  emergencyRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmergencyRequest',
+    required: [true, 'Emergency request is required']
+  },
+  viewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Viewer is required']
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Subject is required']
+  },
+  fields: [{
+    type: String,
+    enum: ['phone', 'email']
+  }],
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+contactRevealSchema.index({ subject: 1, createdAt: -1 });
+contactRevealSchema.index({ viewer: 1, createdAt: -1 });
+contactRevealSchema.index({ emergencyRequest: 1, createdAt: -1 });
+
+const ContactReveal = mongoose.model('ContactReveal', contactRevealSchema);
+
+module.exports = ContactReveal;
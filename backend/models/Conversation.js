@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A chat between the requester of an emergency request and one donor who
+// confirmed it. For hospital-raised requests any of the facility's staff
+// chat as the requester. Admins with chat.view can read and post in any
+// conversation. Each member's `lastReadAt` drives read receipts and unread
+// counts.
+const conversationSchema = new mongoose.Schema({
+  emergencyRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmergencyRequest',
+    required: [true, 'Emergency request is required']
+  },
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Requester is required']
+  },
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Donor is required']
+  },
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['recipient', 'hospital_staff', 'donor', 'admin'],
+      required: true
+    },
+    lastReadAt: Date
+  }],
+  lastMessage: {
+    text: String,
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    sentAt: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ emergencyRequest: 1, donor: 1 }, { unique: true });
+conversationSchema.index({ 'members.user': 1, 'lastMessage.sentAt': -1 });
+
+// Method to get a member's entry
+conversationSchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.user.toString() === userId.toString());
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
@@ -1,5 +1,30 @@
 const mongoose = require('mongoose');
 
+const DONATION_STATUSES = ['scheduled', 'in_progress', 'completed', 'cancelled', 'rejected'];
+
+// Allowed donation status transitions
+// A completed donation can still be rejected, e.g. when post-donation
+// tests make the unit unusable
+const STATUS_TRANSITIONS = {
+  scheduled: ['in_progress', 'cancelled', 'rejected'],
+  in_progress: ['completed', 'rejected', 'cancelled'],
+  completed: ['rejected'],
+  cancelled: [],
+  rejected: []
+};
+
+const RARE_BLOOD_GROUPS = ['AB-', 'B-', 'A-', 'O-'];
+
+// Pre-screening limits for a donor to proceed with donation
+const PRE_SCREENING_LIMITS = {
+  hemoglobin: { min: 12.5 },
+  systolic: { min: 100, max: 180 },
+  diastolic: { min: 60, max: 100 },
+  pulse: { min: 50, max: 100 },
+  temperature: { max: 37.5 },
+  weight: { min: 50 }
+};
+
 const donationHistorySchema = new mongoose.Schema({
   // Core Information
   donor: {
@@ -44,6 +69,11 @@ const donationHistorySchema = new mongoose.Schema({
   // Location & Timing
   location: {
     hospital: {
+      // Registered facility, when the hospital is on the platform
+      facility: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hospital'
+      },
       name: {
         type: String,
         required: [true, 'Hospital name is required']
@@ -74,8 +104,8 @@ const donationHistorySchema = new mongoose.Schema({
     preScreening: {
       hemoglobin: {
         type: Number,
-        min: [12, 'Hemoglobin level too low'],
-        max: [18, 'Hemoglobin level too high']
+        min: [3, 'Hemoglobin value out of range'],
+        max: [25, 'Hemoglobin value out of range']
       },
       bloodPressure: {
         systolic: Number,
@@ -83,7 +113,14 @@ const donationHistorySchema = new mongoose.Schema({
       },
       pulse: Number,
       weight: Number,
-      temperature: Number
+      temperature: Number,
+      passed: Boolean,
+      issues: [String],
+      recordedAt: Date,
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
     },
     postDonation: {
       complications: [{
@@ -127,9 +164,33 @@ const donationHistorySchema = new mongoose.Schema({
   // Status & Verification
   status: {
     type: String,
-    enum: ['scheduled', 'in_progress', 'completed', 'cancelled', 'rejected'],
+    enum: DONATION_STATUSES,
     default: 'scheduled'
   },
+  rejectionReason: String,
+  // Set once a rejection's effects on the request, donor and rewards are applied
+  rejectionSettledAt: Date,
+  // Every status change with who made it and why
+  statusHistory: [{
+    from: {
+      type: String,
+      enum: DONATION_STATUSES
+    },
+    to: {
+      type: String,
+      enum: DONATION_STATUSES,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   verification: {
     donorVerified: {
       type: Boolean,
@@ -161,6 +222,15 @@ const donationHistorySchema = new mongoose.Schema({
       type: Date,
       required: [true, 'Scheduled date is required']
     },
+    // Booked appointment slot, for donations at a registered facility
+    slot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DonationSlot'
+    },
+    rescheduleCount: {
+      type: Number,
+      default: 0
+    },
     actualDate: Date,
     duration: Number, // in minutes
     arrivalTime: Date,
@@ -203,6 +273,13 @@ const donationHistorySchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Public code printed on the certificate for third-party verification
+    certificateCode: {
+      type: String,
+      unique: true,
+      sparse: true
+    },
+    certificateIssuedAt: Date,
     rewardPoints: {
       type: Number,
       default: 0
@@ -278,18 +355,12 @@ donationHistorySchema.index({ 'donation.bloodGroup': 1, 'location.hospital.addre
 donationHistorySchema.index({ status: 1, 'scheduling.scheduledDate': 1 });
 donationHistorySchema.index({ emergencyRequest: 1 });
 donationHistorySchema.index({ 'verification.verificationCode': 1 });
-
-// Virtual for next eligible donation date
-donationHistorySchema.virtual('nextEligibleDate').get(function() {
-  if (!this.scheduling.actualDate) return null;
-  
-  // Add 56 days (8 weeks) for whole blood donations
-  const gapDays = this.donation.type === 'plasma' ? 14 : 56;
-  const nextDate = new Date(this.scheduling.actualDate);
-  nextDate.setDate(nextDate.getDate() + gapDays);
-  
-  return nextDate;
-});
+donationHistorySchema.index({ 'location.hospital.facility': 1, status: 1, 'scheduling.scheduledDate': 1 });
+// A donor can hold one scheduled appointment at a time
+donationHistorySchema.index(
+  { donor: 1 },
+  { unique: true, partialFilterExpression: { status: 'scheduled' }, name: 'donor_one_scheduled' }
+);
 
 // Virtual for donation age (days since donation)
 donationHistorySchema.virtual('donationAge').get(function() {
@@ -325,8 +396,7 @@ donationHistorySchema.methods.calculateRewardPoints = function() {
   if (this.metadata.source === 'emergency_request') points += 20;
   
   // Bonus for rare blood groups
-  const rareGroups = ['AB-', 'B-', 'A-', 'O-'];
-  if (rareGroups.includes(this.donation.bloodGroup)) points += 15;
+  if (RARE_BLOOD_GROUPS.includes(this.donation.bloodGroup)) points += 15;
   
   // Bonus for plasma donations
   if (this.donation.type === 'plasma') points += 5;
@@ -335,6 +405,35 @@ donationHistorySchema.methods.calculateRewardPoints = function() {
   return points;
 };
 
+// Method to check if a status change is allowed
+donationHistorySchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to check pre-screening vitals against the donation limits
+donationHistorySchema.methods.evaluatePreScreening = function() {
+  const vitals = this.medical.preScreening || {};
+  const values = {
+    hemoglobin: vitals.hemoglobin,
+    systolic: vitals.bloodPressure && vitals.bloodPressure.systolic,
+    diastolic: vitals.bloodPressure && vitals.bloodPressure.diastolic,
+    pulse: vitals.pulse,
+    temperature: vitals.temperature,
+    weight: vitals.weight
+  };
+
+  const issues = [];
+  Object.entries(PRE_SCREENING_LIMITS).forEach(([name, { min, max }]) => {
+    const value = values[name];
+    if (value === undefined || value === null) return;
+
+    if (min !== undefined && value < min) issues.push(`${name} below ${min}`);
+    if (max !== undefined && value > max) issues.push(`${name} above ${max}`);
+  });
+
+  return { passed: issues.length === 0, issues };
+};
+
 // Method to check if donation is verified
 donationHistorySchema.methods.isFullyVerified = function() {
   return this.verification.donorVerified && 
@@ -374,10 +473,16 @@ donationHistorySchema.statics.getDonationStats = function(filters = {}) {
   ]);
 };
 
-// Static method to get donor leaderboard
-donationHistorySchema.statics.getDonorLeaderboard = function(limit = 10) {
+// Static method to get the leaderboard of donors who opted in, optionally
+// for donors in a city and donations since a date
+donationHistorySchema.statics.getDonorLeaderboard = function({ limit = 10, city, since } = {}) {
   return this.aggregate([
-    { $match: { status: 'completed' } },
+    {
+      $match: {
+        status: 'completed',
+        ...(since && { 'scheduling.actualDate': { $gte: since } })
+      }
+    },
     {
       $group: {
         _id: '$donor',
@@ -387,8 +492,6 @@ donationHistorySchema.statics.getDonorLeaderboard = function(limit = 10) {
         lastDonation: { $max: '$scheduling.actualDate' }
       }
     },
-    { $sort: { totalDonations: -1 } },
-    { $limit: limit },
     {
       $lookup: {
         from: 'users',
@@ -397,10 +500,23 @@ donationHistorySchema.statics.getDonorLeaderboard = function(limit = 10) {
         as: 'donorInfo'
       }
     },
-    { $unwind: '$donorInfo' }
+    { $unwind: '$donorInfo' },
+    {
+      $match: {
+        'donorInfo.privacy.showOnLeaderboard': true,
+        'donorInfo.isActive': { $ne: false },
+        ...(city && { 'donorInfo.address.city': { $regex: `^${city.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' } })
+      }
+    },
+    { $sort: { totalDonations: -1, totalPoints: -1, lastDonation: 1 } },
+    { $limit: limit }
   ]);
 };
 
+donationHistorySchema.statics.RARE_BLOOD_GROUPS = RARE_BLOOD_GROUPS;
+donationHistorySchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+donationHistorySchema.statics.DONATION_STATUSES = DONATION_STATUSES;
+
 const DonationHistory = mongoose.model('DonationHistory', donationHistorySchema);
 
 module.exports = DonationHistory;
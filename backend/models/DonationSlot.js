@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A donation appointment window at a hospital or blood bank. `booked` counts
+// the scheduled donations in the slot and never exceeds `capacity`.
+const donationSlotSchema = new mongoose.Schema({
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: [true, 'Facility is required']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'End time is required'],
+    validate: {
+      validator: function(endsAt) {
+        return !this.startsAt || endsAt > this.startsAt;
+      },
+      message: 'End time must be after the start time'
+    }
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [1, 'Capacity must be at least 1'],
+    max: [100, 'Capacity cannot exceed 100']
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'cancelled'],
+    default: 'open'
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+donationSlotSchema.index({ facility: 1, startsAt: 1 });
+donationSlotSchema.index({ status: 1, startsAt: 1 });
+
+// Virtual for the places left in the slot
+donationSlotSchema.virtual('remaining').get(function() {
+  return Math.max(this.capacity - this.booked, 0);
+});
+
+const DonationSlot = mongoose.model('DonationSlot', donationSlotSchema);
+
+module.exports = DonationSlot;
@@ -1,4 +1,28 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { BLOOD_COMPONENTS, DEFAULT_COMPONENT } = require('../utils/bloodCompatibility');
+const { resolveCoordinates, toGeoPoint } = require('../utils/geo');
+
+const REQUEST_STATUSES = ['active', 'partially_fulfilled', 'fulfilled', 'expired', 'cancelled'];
+
+// Statuses in which a request still needs donors
+const OPEN_STATUSES = ['active', 'partially_fulfilled'];
+
+// Questionnaire answers are health data, so only the outcome is serialized.
+// Read response.screening directly where the answers are needed.
+function hideScreeningAnswers(doc, ret) {
+  (ret.responses || []).forEach(response => {
+    if (response.screening) {
+      const { version, submittedAt, passed } = response.screening;
+      response.screening = { version, submittedAt, passed };
+    }
+  });
+  return ret;
+}
+
+// Identifier the requester and a donor use to reach each other for this
+// request without seeing each other's contact details
+const generateRelayId = () => `CR-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
 
 const emergencyRequestSchema = new mongoose.Schema({
   // Request Information
@@ -7,6 +31,12 @@ const emergencyRequestSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Requester is required']
   },
+  // Requests raised by hospital staff are managed by the facility's staff
+  raisedBy: {
+    type: String,
+    enum: ['recipient', 'hospital'],
+    default: 'recipient'
+  },
   
   // Patient Information
   patient: {
@@ -54,6 +84,11 @@ const emergencyRequestSchema = new mongoose.Schema({
       enum: ['low', 'medium', 'high', 'critical'],
       required: [true, 'Urgency level is required']
     },
+    bloodType: {
+      type: String,
+      enum: BLOOD_COMPONENTS,
+      default: DEFAULT_COMPONENT
+    },
     unitsRequired: {
       type: Number,
       required: [true, 'Units required is needed'],
@@ -78,6 +113,11 @@ const emergencyRequestSchema = new mongoose.Schema({
   
   // Hospital Information
   hospital: {
+    // Registered facility, when the hospital is on the platform
+    facility: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital'
+    },
     name: {
       type: String,
       required: [true, 'Hospital name is required'],
@@ -98,6 +138,17 @@ const emergencyRequestSchema = new mongoose.Schema({
       latitude: Number,
       longitude: Number
     },
+    // GeoJSON point derived from coordinates or pincode, used for radius matching
+    location: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: undefined
+      }
+    },
     contactNumber: {
       type: String,
       required: [true, 'Hospital contact number is required'],
@@ -113,7 +164,7 @@ const emergencyRequestSchema = new mongoose.Schema({
   // Request Status
   status: {
     type: String,
-    enum: ['active', 'partially_fulfilled', 'fulfilled', 'expired', 'cancelled'],
+    enum: REQUEST_STATUSES,
     default: 'active'
   },
   
@@ -139,6 +190,20 @@ const emergencyRequestSchema = new mongoose.Schema({
       type: String,
       unique: true,
       sparse: true
+    },
+    relayId: String,
+    // Pre-donation questionnaire submitted with a confirmation
+    screening: {
+      version: Number,
+      answers: mongoose.Schema.Types.Mixed,
+      submittedAt: Date,
+      passed: Boolean,
+      flags: [{
+        _id: false,
+        question: String,
+        reason: String,
+        until: Date
+      }]
     }
   }],
   
@@ -148,6 +213,38 @@ const emergencyRequestSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Donors chosen by the requester, each with the units they are expected
+    // to give. An entry stays `scheduled` until its donation is completed,
+    // rejected or cancelled.
+    selectedDonors: [{
+      donor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      donation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DonationHistory'
+      },
+      plannedUnits: {
+        type: Number,
+        required: true,
+        min: [1, 'At least 1 unit must be planned']
+      },
+      status: {
+        type: String,
+        enum: ['scheduled', 'completed', 'rejected', 'cancelled'],
+        default: 'scheduled'
+      },
+      selectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      selectedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     completedDonations: [{
       donor: {
         type: mongoose.Schema.Types.ObjectId,
@@ -162,7 +259,9 @@ const emergencyRequestSchema = new mongoose.Schema({
         default: 'pending'
       }
     }],
-    fulfilledDate: Date
+    fulfilledDate: Date,
+    // Requester's notes when closing the request
+    completionNotes: String
   },
   
   // Visibility & Reach
@@ -182,6 +281,54 @@ const emergencyRequestSchema = new mongoose.Schema({
     }
   },
   
+  // Donor notification waves run by the emergency dispatcher
+  dispatch: {
+    status: {
+      type: String,
+      enum: ['pending', 'in_progress', 'completed', 'exhausted', 'stopped'],
+      default: 'pending'
+    },
+    currentWave: {
+      type: Number,
+      default: 0
+    },
+    radiusKm: Number,
+    nextWaveAt: Date,
+    completedAt: Date,
+    notifiedDonors: [{
+      donor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      wave: Number,
+      distanceKm: Number,
+      notifiedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+
+  // Compatible stock found at nearby facilities when the request was raised
+  inventory: {
+    checkedAt: Date,
+    radiusKm: Number,
+    availableUnits: {
+      type: Number,
+      default: 0
+    },
+    facilities: [{
+      _id: false,
+      facility: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hospital'
+      },
+      name: String,
+      distanceKm: Number,
+      units: Number
+    }]
+  },
+  
   // Administrative
   admin: {
     reviewedBy: {
@@ -195,8 +342,26 @@ const emergencyRequestSchema = new mongoose.Schema({
       default: 0,
       min: 0,
       max: 100
+    },
+    // How the score was reached, one entry per scoring factor
+    priorityBreakdown: [{
+      _id: false,
+      factor: String,
+      points: Number,
+      detail: String
+    }],
+    priorityScoredAt: Date,
+    // Set when an admin overrides the score; the scheduled rescoring skips it
+    priorityManual: {
+      type: Boolean,
+      default: false
     }
   },
+
+  // Set by the scheduled expiry sweep
+  expiredAt: Date,
+  // Closed requests are archived instead of deleted once past expiresAt
+  archivedAt: Date,
   
   // Timestamps
   createdAt: {
@@ -212,16 +377,20 @@ const emergencyRequestSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
+  toJSON: { virtuals: true, transform: hideScreeningAnswers },
+  toObject: { virtuals: true, transform: hideScreeningAnswers }
 });
 
 // Indexes for better query performance
 emergencyRequestSchema.index({ 'patient.bloodGroup': 1, 'hospital.address.city': 1, status: 1 });
 emergencyRequestSchema.index({ 'medical.urgencyLevel': 1, createdAt: -1 });
 emergencyRequestSchema.index({ status: 1, 'medical.requiredBy': 1 });
-emergencyRequestSchema.index({ 'hospital.coordinates': '2dsphere' });
-emergencyRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+emergencyRequestSchema.index({ 'hospital.location': '2dsphere' });
+emergencyRequestSchema.index({ 'hospital.facility': 1, status: 1 });
+emergencyRequestSchema.index({ 'dispatch.status': 1, 'dispatch.nextWaveAt': 1 });
+emergencyRequestSchema.index({ status: 1, expiresAt: 1 });
+emergencyRequestSchema.index({ archivedAt: 1, expiresAt: 1 });
+emergencyRequestSchema.index({ 'responses.relayId': 1 });
 
 // Virtual for time remaining
 emergencyRequestSchema.virtual('timeRemaining').get(function() {
@@ -249,34 +418,36 @@ emergencyRequestSchema.virtual('responseCount').get(function() {
   return this.responses.length;
 });
 
-// Pre-save middleware to calculate priority score
+// Pre-save middleware to keep the hospital GeoJSON location in sync
 emergencyRequestSchema.pre('save', function(next) {
-  if (this.isModified('medical.urgencyLevel') || this.isNew) {
-    let score = 0;
-    
-    // Urgency level scoring
-    const urgencyScores = { critical: 40, high: 30, medium: 20, low: 10 };
-    score += urgencyScores[this.medical.urgencyLevel] || 0;
-    
-    // Time sensitivity scoring
-    const hoursRemaining = (this.medical.requiredBy - Date.now()) / (1000 * 60 * 60);
-    if (hoursRemaining <= 6) score += 30;
-    else if (hoursRemaining <= 24) score += 20;
-    else if (hoursRemaining <= 72) score += 10;
-    
-    // Units required scoring
-    if (this.medical.unitsRequired >= 5) score += 20;
-    else if (this.medical.unitsRequired >= 3) score += 10;
-    
-    // Blood group rarity scoring
-    const rareGroups = ['AB-', 'AB+', 'B-', 'A-', 'O-'];
-    if (rareGroups.includes(this.patient.bloodGroup)) score += 10;
-    
-    this.admin.priorityScore = Math.min(score, 100);
+  if (this.isNew || this.isModified('hospital.coordinates') || this.isModified('hospital.address')) {
+    const resolved = resolveCoordinates({
+      coordinates: this.hospital.coordinates,
+      pincode: this.hospital.address && this.hospital.address.pincode
+    });
+    this.hospital.location = resolved ? toGeoPoint(resolved) : undefined;
   }
   next();
 });
 
+// Method to check if request still needs donors
+emergencyRequestSchema.methods.isOpen = function() {
+  return OPEN_STATUSES.includes(this.status);
+};
+
+// Method to check if a user acts as the requester: the recipient who raised
+// it, or the current staff of the facility that raised it (staff who move
+// facility lose access, even to requests they raised themselves)
+emergencyRequestSchema.methods.isManagedBy = function(user) {
+  if (this.raisedBy === 'hospital') {
+    return user.role === 'hospital_staff' && Boolean(user.hospital) &&
+      String(this.hospital.facility) === String(user.hospital);
+  }
+
+  const requesterId = (this.requester && this.requester._id) || this.requester;
+  return Boolean(requesterId) && requesterId.equals(user._id);
+};
+
 // Method to check if request is expired
 emergencyRequestSchema.methods.isExpired = function() {
   return new Date() > this.medical.requiredBy || new Date() > this.expiresAt;
@@ -287,8 +458,50 @@ emergencyRequestSchema.methods.isFulfilled = function() {
   return this.fulfillment.unitsFulfilled >= this.medical.unitsRequired;
 };
 
+// Method to count donors who have confirmed or completed a donation
+emergencyRequestSchema.methods.getConfirmedCount = function() {
+  return this.responses.filter(r => ['confirmed', 'completed'].includes(r.responseType)).length;
+};
+
+// Method to check whether a donor has confirmed, completed or been selected
+// for this request
+emergencyRequestSchema.methods.hasConfirmedDonor = function(donorId) {
+  // Donors may be populated
+  const idOf = (donor) => String((donor && donor._id) || donor);
+  const id = idOf(donorId);
+
+  const confirmed = this.responses.some(
+    r => idOf(r.donor) === id && ['confirmed', 'completed'].includes(r.responseType)
+  );
+  const selected = (this.fulfillment.selectedDonors || []).some(
+    s => idOf(s.donor) === id && ['scheduled', 'completed'].includes(s.status)
+  );
+
+  return confirmed || selected;
+};
+
+// Method to get the units planned by selected donors who have not donated yet
+emergencyRequestSchema.methods.getScheduledUnits = function() {
+  return this.fulfillment.selectedDonors
+    .filter(selection => selection.status === 'scheduled')
+    .reduce((total, selection) => total + selection.plannedUnits, 0);
+};
+
+// Method to count units already given or promised: fulfilled units, units
+// planned by selected donors, and one unit per confirmed donor not yet selected
+emergencyRequestSchema.methods.getCommittedUnits = function() {
+  const selected = new Set(this.fulfillment.selectedDonors
+    .filter(selection => ['scheduled', 'completed'].includes(selection.status))
+    .map(selection => selection.donor.toString()));
+  const unselectedConfirmations = this.responses
+    .filter(r => r.responseType === 'confirmed' && !selected.has(r.donor.toString()))
+    .length;
+
+  return this.fulfillment.unitsFulfilled + this.getScheduledUnits() + unselectedConfirmations;
+};
+
 // Method to add donor response
-emergencyRequestSchema.methods.addDonorResponse = function(donorId, responseType, scheduledTime, notes) {
+emergencyRequestSchema.methods.addDonorResponse = function(donorId, responseType, scheduledTime, notes, screening) {
   // Check if donor already responded
   const existingResponse = this.responses.find(r => r.donor.toString() === donorId.toString());
   
@@ -297,6 +510,8 @@ emergencyRequestSchema.methods.addDonorResponse = function(donorId, responseType
     existingResponse.responseDate = new Date();
     if (scheduledTime) existingResponse.scheduledTime = scheduledTime;
     if (notes) existingResponse.notes = notes;
+    if (screening) existingResponse.screening = screening;
+    if (!existingResponse.relayId) existingResponse.relayId = generateRelayId();
   } else {
     this.responses.push({
       donor: donorId,
@@ -304,13 +519,27 @@ emergencyRequestSchema.methods.addDonorResponse = function(donorId, responseType
       responseDate: new Date(),
       scheduledTime,
       notes,
-      verificationCode: Math.random().toString(36).substr(2, 8).toUpperCase()
+      screening,
+      verificationCode: Math.random().toString(36).substr(2, 8).toUpperCase(),
+      relayId: generateRelayId()
     });
   }
   
   return this.save();
 };
 
+// Query filter for the requests a user acts as the requester for
+emergencyRequestSchema.statics.managedByFilter = function(user) {
+  if (user.role === 'hospital_staff') {
+    return { raisedBy: 'hospital', 'hospital.facility': user.hospital };
+  }
+  return { requester: user._id };
+};
+
+emergencyRequestSchema.statics.generateRelayId = generateRelayId;
+emergencyRequestSchema.statics.REQUEST_STATUSES = REQUEST_STATUSES;
+emergencyRequestSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
 const EmergencyRequest = mongoose.model('EmergencyRequest', emergencyRequestSchema);
 
 module.exports = EmergencyRequest;
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const { resolveCoordinates, toGeoPoint } = require('../utils/geo');
+
+// Hospital or blood bank. Staff accounts (role hospital_staff) belong to one
+// facility, and requests and donations can be linked to it.
+const hospitalSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Hospital name is required'],
+    trim: true,
+    maxlength: [200, 'Hospital name cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    enum: ['hospital', 'blood_bank'],
+    default: 'hospital'
+  },
+  licenseNumber: {
+    type: String,
+    required: [true, 'License number is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+
+  // Location Information
+  address: {
+    street: String,
+    area: String,
+    city: {
+      type: String,
+      required: [true, 'City is required'],
+      trim: true
+    },
+    state: String,
+    pincode: {
+      type: String,
+      match: [/^[0-9]{6}$/, 'Please enter a valid 6-digit pincode']
+    }
+  },
+  coordinates: {
+    latitude: Number,
+    longitude: Number
+  },
+  // GeoJSON point derived from coordinates or pincode
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    }
+  },
+
+  // Contact Details
+  contact: {
+    phone: {
+      type: String,
+      required: [true, 'Contact number is required'],
+      match: [/^[0-9]{10}$/, 'Please enter a valid 10-digit phone number']
+    },
+    emergencyPhone: {
+      type: String,
+      match: [/^[0-9]{10}$/, 'Please enter a valid 10-digit phone number']
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    }
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+hospitalSchema.index({ 'address.city': 1, isActive: 1 });
+hospitalSchema.index({ location: '2dsphere' });
+
+// Pre-save middleware to keep the GeoJSON location in sync
+hospitalSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('coordinates') || this.isModified('address')) {
+    const resolved = resolveCoordinates({
+      coordinates: this.coordinates,
+      pincode: this.address && this.address.pincode
+    });
+    this.location = resolved ? toGeoPoint(resolved) : undefined;
+  }
+  next();
+});
+
+// Method to build the embedded hospital details used on requests and donations
+hospitalSchema.methods.toEmbedded = function() {
+  return {
+    facility: this._id,
+    name: this.name,
+    address: {
+      street: this.address.street,
+      city: this.address.city,
+      pincode: this.address.pincode
+    },
+    coordinates: this.coordinates && this.coordinates.latitude !== undefined ? this.coordinates : undefined,
+    contactNumber: this.contact.emergencyPhone || this.contact.phone
+  };
+};
+
+const Hospital = mongoose.model('Hospital', hospitalSchema);
+
+module.exports = Hospital;
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const { BLOOD_COMPONENTS, BLOOD_GROUPS } = require('../utils/bloodCompatibility');
+
+const UNIT_STATUSES = ['quarantined', 'available', 'reserved', 'issued', 'discarded'];
+
+// Storage shelf life per component, in days
+const SHELF_LIFE_DAYS = {
+  whole_blood: 35,
+  red_cells: 42,
+  plasma: 365, // frozen
+  platelets: 5
+};
+
+// Allowed unit status transitions
+const STATUS_TRANSITIONS = {
+  quarantined: ['available', 'discarded'],
+  available: ['reserved', 'issued', 'discarded'],
+  reserved: ['available', 'issued', 'discarded'],
+  issued: [],
+  discarded: []
+};
+
+// A single unit of blood or a blood component held by a hospital or blood bank
+const inventoryUnitSchema = new mongoose.Schema({
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: [true, 'Facility is required']
+  },
+  unitNumber: {
+    type: String,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  bloodGroup: {
+    type: String,
+    enum: BLOOD_GROUPS,
+    required: [true, 'Blood group is required']
+  },
+  component: {
+    type: String,
+    enum: BLOOD_COMPONENTS,
+    required: [true, 'Component is required']
+  },
+  volume: {
+    type: Number, // in ml
+    min: [50, 'Minimum volume is 50ml']
+  },
+  collectedAt: {
+    type: Date,
+    required: [true, 'Collection date is required']
+  },
+  expiresAt: Date,
+
+  status: {
+    type: String,
+    enum: UNIT_STATUSES,
+    default: 'quarantined'
+  },
+  // Request the unit is reserved for or was issued to
+  emergencyRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmergencyRequest'
+  },
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DonationHistory'
+  },
+  discardReason: String,
+  statusHistory: [{
+    from: {
+      type: String,
+      enum: UNIT_STATUSES
+    },
+    to: {
+      type: String,
+      enum: UNIT_STATUSES,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+inventoryUnitSchema.index({ facility: 1, status: 1, component: 1, bloodGroup: 1, expiresAt: 1 });
+inventoryUnitSchema.index({ emergencyRequest: 1, status: 1 });
+inventoryUnitSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for whether the unit is past its expiry
+inventoryUnitSchema.virtual('isExpired').get(function() {
+  return Boolean(this.expiresAt && this.expiresAt <= new Date());
+});
+
+// Pre-save middleware to set expiry from shelf life and generate a unit number
+inventoryUnitSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('collectedAt') || this.isModified('component')) {
+    const days = SHELF_LIFE_DAYS[this.component];
+    this.expiresAt = new Date(this.collectedAt.getTime() + days * 24 * 60 * 60 * 1000);
+  }
+
+  if (this.isNew && !this.unitNumber) {
+    this.unitNumber = 'BU' + Date.now().toString(36).toUpperCase() + Math.random().toString(36).substr(2, 4).toUpperCase();
+  }
+
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.status, changedBy: this.addedBy });
+  }
+  next();
+});
+
+// Method to check if a status change is allowed
+inventoryUnitSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+inventoryUnitSchema.statics.UNIT_STATUSES = UNIT_STATUSES;
+inventoryUnitSchema.statics.SHELF_LIFE_DAYS = SHELF_LIFE_DAYS;
+inventoryUnitSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+const InventoryUnit = mongoose.model('InventoryUnit', inventoryUnitSchema);
+
+module.exports = InventoryUnit;
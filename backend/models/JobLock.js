@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Lock and run state for a scheduled background job, one document per job.
+// An instance may run a job only after claiming it here, so a job runs on one
+// server at a time and no more often than its interval.
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String // job name
+  },
+  lockedBy: String,
+  lockedUntil: Date,
+  nextRunAt: Date,
+
+  // Last run
+  lastStartedAt: Date,
+  lastFinishedAt: Date,
+  lastDurationMs: Number,
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  },
+  lastError: String,
+  lastResult: mongoose.Schema.Types.Mixed,
+  runCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+module.exports = JobLock;
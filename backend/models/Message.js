@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A chat message in a conversation
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: [true, 'Conversation is required']
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Sender is required']
+  },
+  senderRole: {
+    type: String,
+    enum: ['recipient', 'hospital_staff', 'donor', 'admin'],
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Message text is required'],
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ conversation: 1, createdAt: -1 });
+
+const Message = mongoose.model('Message', messageSchema);
+
+module.exports = Message;
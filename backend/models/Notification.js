@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Queued email/SMS delivery, retried by the notification worker until sent
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: [true, 'Channel is required']
+  },
+  template: {
+    type: String,
+    required: [true, 'Template is required']
+  },
+  to: {
+    type: String,
+    required: [true, 'Recipient address is required']
+  },
+
+  // Rendered message. Messages can carry verification codes and reset links,
+  // so only the subject is kept once the job is sent or has failed for good.
+  message: {
+    subject: String,
+    text: {
+      type: String,
+      required: [function() { return !['sent', 'failed'].includes(this.status); }, 'Message text is required']
+    },
+    html: String,
+    // Email attachments such as calendar invites
+    attachments: [{
+      _id: false,
+      filename: String,
+      content: String,
+      contentType: String,
+      // base64 for binary files such as PDFs
+      encoding: String,
+      // Donation whose certificate PDF is rendered when the email is sent
+      certificate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DonationHistory'
+      }
+    }]
+  },
+
+  // Delivery state
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  sentAt: Date,
+  lastError: String,
+  providerResponse: mongoose.Schema.Types.Mixed,
+
+  // Free-form context such as the emergency request or donation involved
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Indexes for the worker and per-user history
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, template: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A reminder sent to a donor. The unique (user, type, key) index means each
+// reminder is sent once, even when several server instances run the job.
+const reminderLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    enum: ['eligibility', 'inactivity'],
+    required: [true, 'Reminder type is required']
+  },
+  // What the reminder is about, e.g. the eligible date or the last active date
+  key: {
+    type: String,
+    required: [true, 'Reminder key is required']
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+reminderLogSchema.index({ user: 1, type: 1, key: 1 }, { unique: true });
+reminderLogSchema.index({ user: 1, sentAt: -1 });
+
+const ReminderLog = mongoose.model('ReminderLog', reminderLogSchema);
+
+module.exports = ReminderLog;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A change to a donor's reward points. The ledger is append-only: revoked
+// points are a negative entry. The unique key makes each award or revocation
+// happen once, even if a completion or rejection is processed twice.
+const rewardTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    enum: ['donation', 'badge', 'revocation'],
+    required: [true, 'Transaction type is required']
+  },
+  points: {
+    type: Number,
+    required: [true, 'Points are required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required']
+  },
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DonationHistory'
+  },
+  badge: String,
+  // e.g. donation:<id>, badge:<donation id>:<badge> or revoke:<transaction id>
+  key: {
+    type: String,
+    required: [true, 'Transaction key is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+rewardTransactionSchema.index({ key: 1 }, { unique: true });
+rewardTransactionSchema.index({ user: 1, createdAt: -1 });
+rewardTransactionSchema.index({ donation: 1 });
+
+const RewardTransaction = mongoose.model('RewardTransaction', rewardTransactionSchema);
+
+module.exports = RewardTransaction;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Admin-editable application settings, one document per key (e.g. `priority`
+// for the emergency request scoring weights)
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Setting value is required']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Static method to read a setting, falling back to the given default
+settingSchema.statics.getValue = async function(key, fallback) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : fallback;
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
@@ -1,5 +1,23 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { resolveCoordinates, toGeoPoint } = require('../utils/geo');
+const { ADMIN_ROLES } = require('../utils/permissions');
+
+const ACCOUNT_STATUSES = ['pending', 'approved', 'rejected', 'suspended'];
+
+// Allowed account status transitions; `status` is the single source of truth
+// for donor approval
+const STATUS_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'suspended'],
+  approved: ['suspended', 'rejected'],
+  rejected: ['pending', 'approved'],
+  suspended: ['approved', 'pending']
+};
+
+const DEFERRAL_KINDS = ['temporary', 'permanent'];
+
+// Components a donor can give, as DonationHistory donation types
+const DONATION_COMPONENTS = ['blood', 'red_cells', 'plasma', 'platelets'];
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -23,6 +41,15 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
+  passwordChangedAt: Date,
+  passwordResetToken: {
+    type: String,
+    select: false // Stored as a hash, never returned
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   phone: {
     type: String,
     required: [true, 'Phone number is required'],
@@ -32,14 +59,55 @@ const userSchema = new mongoose.Schema({
   // Role & Status
   role: {
     type: String,
-    enum: ['donor', 'recipient', 'admin'],
+    enum: ['donor', 'recipient', 'admin', 'hospital_staff'],
     default: 'donor'
   },
+  // Roles granting an admin account its permissions (see utils/permissions)
+  adminRoles: {
+    type: [{
+      type: String,
+      enum: Object.keys(ADMIN_ROLES)
+    }],
+    default: undefined
+  },
+  // Facility a hospital_staff account works for
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: [
+      function() { return this.role === 'hospital_staff'; },
+      'Hospital is required for hospital staff'
+    ]
+  },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'suspended'],
+    enum: ACCOUNT_STATUSES,
     default: 'pending'
   },
+  // Every status change with who made it and why
+  statusHistory: [{
+    from: {
+      type: String,
+      enum: ACCOUNT_STATUSES
+    },
+    to: {
+      type: String,
+      enum: ACCOUNT_STATUSES,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   // Location Information
   address: {
@@ -60,6 +128,22 @@ const userSchema = new mongoose.Schema({
     coordinates: {
       latitude: { type: Number },
       longitude: { type: Number }
+    },
+    locationSource: {
+      type: String,
+      enum: ['exact', 'pincode', 'district']
+    }
+  },
+
+  // GeoJSON point derived from address coordinates or pincode, used for radius search
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
     }
   },
   
@@ -88,9 +172,20 @@ const userSchema = new mongoose.Schema({
       min: [50, 'Weight must be at least 50 kg'],
       max: [200, 'Weight cannot exceed 200 kg']
     },
+    sex: {
+      type: String,
+      enum: ['male', 'female']
+    },
     lastDonationDate: {
       type: Date
     },
+    lastTattooDate: {
+      type: Date
+    },
+    // Last return from travel to a malaria-endemic area
+    lastTravelDate: {
+      type: Date
+    },
     medicalConditions: [{
       type: String
     }],
@@ -99,6 +194,99 @@ const userSchema = new mongoose.Schema({
     }]
   },
   
+  // Milestone badges earned through donations
+  badges: [{
+    _id: false,
+    key: {
+      type: String,
+      required: true
+    },
+    awardedAt: {
+      type: Date,
+      default: Date.now
+    },
+    donation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DonationHistory'
+    }
+  }],
+
+  // What the donor shares publicly; everything is opt-in
+  privacy: {
+    showOnLeaderboard: {
+      type: Boolean,
+      default: false
+    },
+    // When a requester may see the donor's contact details: after the donor
+    // confirms their request, or never (chat only)
+    revealContact: {
+      type: String,
+      enum: ['on_confirm', 'never'],
+      default: 'on_confirm'
+    },
+    sharePhone: {
+      type: Boolean,
+      default: true
+    },
+    shareEmail: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  // Deferrals recorded by admins; checked by the eligibility rules engine
+  deferrals: [{
+    kind: {
+      type: String,
+      enum: DEFERRAL_KINDS,
+      required: [true, 'Deferral kind is required']
+    },
+    reason: {
+      type: String,
+      required: [true, 'Deferral reason is required'],
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    // Components the deferral applies to; empty means all
+    components: [{
+      type: String,
+      enum: DONATION_COMPONENTS
+    }],
+    startsAt: {
+      type: Date,
+      default: Date.now
+    },
+    until: {
+      type: Date,
+      required: [
+        function() { return this.kind === 'temporary'; },
+        'A temporary deferral needs an end date'
+      ]
+    },
+    // Recorded by an admin or automatically from questionnaire answers
+    source: {
+      type: String,
+      enum: ['admin', 'questionnaire'],
+      default: 'admin'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    liftedAt: Date,
+    liftedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    liftReason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    }
+  }],
+  
   // Availability (for donors)
   availability: {
     isAvailable: {
@@ -147,6 +335,10 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    rewardPoints: {
+      type: Number,
+      default: 0
+    },
     lastActive: {
       type: Date,
       default: Date.now
@@ -176,6 +368,26 @@ const userSchema = new mongoose.Schema({
     emergencyAlerts: {
       type: Boolean,
       default: true
+    },
+    // Eligibility and availability reminders
+    reminders: {
+      type: Boolean,
+      default: true
+    },
+    // Local hours (0-23) during which reminders are not sent
+    quietHours: {
+      start: {
+        type: Number,
+        min: 0,
+        max: 23,
+        default: 21
+      },
+      end: {
+        type: Number,
+        min: 0,
+        max: 23,
+        default: 8
+      }
     }
   }
 }, {
@@ -189,6 +401,8 @@ userSchema.index({ email: 1 });
 userSchema.index({ 'address.city': 1, 'medicalInfo.bloodGroup': 1 });
 userSchema.index({ role: 1, status: 1 });
 userSchema.index({ 'availability.isAvailable': 1 });
+userSchema.index({ location: '2dsphere' });
+userSchema.index({ hospital: 1, role: 1 });
 
 // Virtual for age calculation
 userSchema.virtual('age').get(function() {
@@ -201,6 +415,35 @@ userSchema.virtual('fullAddress').get(function() {
   return `${this.address.area}, ${this.address.city}${this.address.pincode ? ` - ${this.address.pincode}` : ''}`;
 });
 
+// Derive the GeoJSON location fields for an address
+userSchema.statics.locationFromAddress = function(address) {
+  const resolved = resolveCoordinates(address);
+  if (!resolved) return { location: undefined, locationSource: undefined };
+
+  return {
+    location: toGeoPoint(resolved),
+    locationSource: resolved.precision
+  };
+};
+
+// Pre-save middleware to keep the GeoJSON location in sync with the address
+userSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('address')) {
+    const { location, locationSource } = this.constructor.locationFromAddress(this.address);
+    this.location = location;
+    this.address.locationSource = locationSource;
+  }
+  next();
+});
+
+// Pre-save middleware to start the status history for new accounts
+userSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.status });
+  }
+  next();
+});
+
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -208,24 +451,50 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(parseInt(process.env.BCRYPT_ROUNDS) || 12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Tokens issued before a password change are no longer accepted. Backdated
+    // a second because JWT iat has second precision.
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
   }
 });
 
-// Method to check if user can donate
-userSchema.methods.canDonate = function() {
-  if (this.role !== 'donor' || !this.availability.isAvailable) return false;
-  
-  // Check if enough time has passed since last donation (56 days for men, 84 days for women)
-  if (this.medicalInfo.lastDonationDate) {
-    const daysSinceLastDonation = Math.floor((Date.now() - this.medicalInfo.lastDonationDate.getTime()) / (24 * 60 * 60 * 1000));
-    const requiredGap = 56; // Simplified - you can add gender logic here
-    return daysSinceLastDonation >= requiredGap;
+// Method to check the account can be asked to donate at all. Medical
+// eligibility is decided by the rules engine in services/eligibility.
+userSchema.methods.isActiveDonor = function() {
+  return this.role === 'donor' && this.status === 'approved' && this.availability.isAvailable;
+};
+
+// Method to list deferrals in force at a time, optionally for one component
+userSchema.methods.getActiveDeferrals = function(now = new Date(), component) {
+  return (this.deferrals || []).filter(deferral =>
+    !deferral.liftedAt &&
+    (!deferral.startsAt || deferral.startsAt <= now) &&
+    (deferral.kind === 'permanent' || deferral.until > now) &&
+    (!component || !deferral.components || deferral.components.length === 0 || deferral.components.includes(component))
+  );
+};
+
+// Method to check if a status change is allowed
+userSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to change account status and record it in the history
+userSchema.methods.transitionStatus = function(status, { changedBy, reason } = {}) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot change account status from ${this.status} to ${status}`);
+    error.statusCode = 400;
+    throw error;
   }
-  
-  return true;
+
+  this.statusHistory.push({ from: this.status, to: status, changedBy, reason });
+  this.status = status;
+  return this;
 };
 
 // Method to compare password
@@ -233,12 +502,40 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check if a JWT was issued before the password last changed
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Method to check if a time falls in the user's quiet hours. Hours are read in
+// QUIET_HOURS_TIMEZONE, and a window may wrap past midnight (e.g. 21 to 8).
+userSchema.methods.isInQuietHours = function(date = new Date()) {
+  const quietHours = (this.notifications && this.notifications.quietHours) || {};
+  const { start, end } = quietHours;
+  if (start === undefined || end === undefined || start === end) return false;
+
+  const hour = parseInt(new Intl.DateTimeFormat('en-US', {
+    hour: 'numeric',
+    hourCycle: 'h23',
+    timeZone: process.env.QUIET_HOURS_TIMEZONE || 'Asia/Kolkata'
+  }).format(date));
+
+  return start < end
+    ? hour >= start && hour < end
+    : hour >= start || hour < end;
+};
+
 // Method to update last active
 userSchema.methods.updateLastActive = function() {
   this.stats.lastActive = new Date();
   return this.save();
 };
 
+userSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+userSchema.statics.DEFERRAL_KINDS = DEFERRAL_KINDS;
+userSchema.statics.DONATION_COMPONENTS = DONATION_COMPONENTS;
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
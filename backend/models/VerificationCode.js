@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One-time code for verifying a user's email address or phone number.
+// Only a hash of the code is stored.
+const verificationCodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'phone'],
+    required: [true, 'Channel is required']
+  },
+  // Email address or phone number the code was sent to
+  target: {
+    type: String,
+    required: [true, 'Target is required']
+  },
+  codeHash: {
+    type: String,
+    required: [true, 'Code hash is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+verificationCodeSchema.index({ user: 1, channel: 1, sentAt: -1 });
+// Keep expired codes for an hour so resend throttling can still count them
+verificationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+const VerificationCode = mongoose.model('VerificationCode', verificationCodeSchema);
+
+module.exports = VerificationCode;
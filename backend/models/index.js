@@ -2,9 +2,37 @@
 const User = require('./User');
 const EmergencyRequest = require('./EmergencyRequest');
 const DonationHistory = require('./DonationHistory');
+const Notification = require('./Notification');
+const VerificationCode = require('./VerificationCode');
+const Session = require('./Session');
+const Hospital = require('./Hospital');
+const InventoryUnit = require('./InventoryUnit');
+const ReminderLog = require('./ReminderLog');
+const JobLock = require('./JobLock');
+const Setting = require('./Setting');
+const DonationSlot = require('./DonationSlot');
+const RewardTransaction = require('./RewardTransaction');
+const Conversation = require('./Conversation');
+const Message = require('./Message');
+const ContactReveal = require('./ContactReveal');
+const AuditLog = require('./AuditLog');
 
 module.exports = {
   User,
   EmergencyRequest,
-  DonationHistory
+  DonationHistory,
+  Notification,
+  VerificationCode,
+  Session,
+  Hospital,
+  InventoryUnit,
+  ReminderLog,
+  JobLock,
+  Setting,
+  DonationSlot,
+  RewardTransaction,
+  Conversation,
+  Message,
+  ContactReveal,
+  AuditLog
 };
@@ -1,7 +1,39 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
-const { User, EmergencyRequest, DonationHistory } = require('../models');
-const { protect, authorize } = require('../middleware/auth');
+const { User, EmergencyRequest, DonationHistory, Hospital, Setting, ContactReveal, AuditLog } = require('../models');
+const { protect, authorize, authorizePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { notifyUser } = require('../services/notifications');
+const { revokeSessions } = require('../utils/auth');
+const { syncDonorRooms } = require('../socketHandlers');
+const { runJob, getJobStatuses } = require('../services/scheduler');
+const {
+  DEFAULT_PRIORITY_WEIGHTS,
+  getPriorityWeights,
+  updatePriorityWeights,
+  resetPriorityWeights,
+  rescoreRequest
+} = require('../services/priority');
+const {
+  DEFAULT_ELIGIBILITY_RULES,
+  getEligibilityRules,
+  updateEligibilityRules,
+  resetEligibilityRules,
+  checkEligibility
+} = require('../services/eligibility');
+const { auditContext, recordAudit, verifyAuditChain } = require('../services/audit');
+const {
+  EXPORT_FORMATS,
+  EXPORT_TYPES,
+  CONTENT_TYPES,
+  getExportColumns,
+  resolveColumns,
+  writeExport,
+  getExportFilename
+} = require('../services/exports');
+const { BLOOD_GROUPS } = require('../utils/bloodCompatibility');
+const { formatRow } = require('../utils/csv');
+const { PERMISSIONS, ADMIN_ROLES, getPermissions } = require('../utils/permissions');
 
 const router = express.Router();
 
@@ -11,17 +43,17 @@ router.use(authorize('admin'));
 
 // @desc    Get admin dashboard data
 // @route   GET /api/admin/dashboard
-// @access  Private (Admin)
-router.get('/dashboard', async (req, res, next) => {
+// @access  Private (Admin: analytics.view)
+router.get('/dashboard', authorizePermission('analytics.view'), async (req, res, next) => {
   try {
     // Get overall statistics
     const stats = await Promise.all([
       User.countDocuments({ role: 'donor' }),
       User.countDocuments({ role: 'recipient' }),
-      User.countDocuments({ role: 'donor', 'admin.isApproved': true }),
-      User.countDocuments({ role: 'donor', 'admin.isApproved': false }),
-      EmergencyRequest.countDocuments({ status: 'active' }),
-      EmergencyRequest.countDocuments({ status: 'completed' }),
+      User.countDocuments({ role: 'donor', status: 'approved' }),
+      User.countDocuments({ role: 'donor', status: 'pending' }),
+      EmergencyRequest.countDocuments({ status: { $in: EmergencyRequest.OPEN_STATUSES } }),
+      EmergencyRequest.countDocuments({ status: 'fulfilled' }),
       DonationHistory.countDocuments({ status: 'completed' }),
       DonationHistory.countDocuments({ status: 'scheduled' })
     ]);
@@ -53,7 +85,7 @@ router.get('/dashboard', async (req, res, next) => {
       
       // Recent user registrations
       User.find({ role: { $in: ['donor', 'recipient'] } })
-        .select('name email role createdAt admin.isApproved')
+        .select('name email role status createdAt')
         .sort({ createdAt: -1 })
         .limit(5),
       
@@ -67,7 +99,7 @@ router.get('/dashboard', async (req, res, next) => {
 
     // Get urgent requests (high priority)
     const urgentRequests = await EmergencyRequest.find({
-      status: 'active',
+      status: { $in: EmergencyRequest.OPEN_STATUSES },
       $or: [
         { 'medical.urgencyLevel': 'critical' },
         { 'medical.urgencyLevel': 'high' }
@@ -79,7 +111,7 @@ router.get('/dashboard', async (req, res, next) => {
 
     // Get blood group distribution
     const bloodGroupStats = await User.aggregate([
-      { $match: { role: 'donor', 'admin.isApproved': true } },
+      { $match: { role: 'donor', status: 'approved' } },
       { $group: { _id: '$medicalInfo.bloodGroup', count: { $sum: 1 } } },
       { $sort: { _id: 1 } }
     ]);
@@ -103,10 +135,10 @@ router.get('/dashboard', async (req, res, next) => {
 
 // @desc    Get all users with filtering and pagination
 // @route   GET /api/admin/users
-// @access  Private (Admin)
-router.get('/users', [
-  query('role').optional().isIn(['donor', 'recipient', 'admin']).withMessage('Invalid role'),
-  query('status').optional().isIn(['approved', 'pending', 'rejected']).withMessage('Invalid status'),
+// @access  Private (Admin: users.view)
+router.get('/users', authorizePermission('users.view'), [
+  query('role').optional().isIn(['donor', 'recipient', 'admin', 'hospital_staff']).withMessage('Invalid role'),
+  query('status').optional().isIn(['approved', 'pending', 'rejected', 'suspended']).withMessage('Invalid status'),
   query('bloodGroup').optional().isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Invalid blood group'),
   query('city').optional().isLength({ min: 2 }).withMessage('City must be at least 2 characters'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
@@ -134,19 +166,8 @@ router.get('/users', [
       query.role = req.query.role;
     }
 
-    if (req.query.status && req.query.role === 'donor') {
-      switch (req.query.status) {
-        case 'approved':
-          query['admin.isApproved'] = true;
-          break;
-        case 'pending':
-          query['admin.isApproved'] = false;
-          query['admin.rejectedAt'] = { $exists: false };
-          break;
-        case 'rejected':
-          query['admin.rejectedAt'] = { $exists: true };
-          break;
-      }
+    if (req.query.status) {
+      query.status = req.query.status;
     }
 
     if (req.query.bloodGroup) {
@@ -194,10 +215,12 @@ router.get('/users', [
 
 // @desc    Get user details by ID
 // @route   GET /api/admin/users/:id
-// @access  Private (Admin)
-router.get('/users/:id', async (req, res, next) => {
+// @access  Private (Admin: users.view)
+router.get('/users/:id', authorizePermission('users.view'), async (req, res, next) => {
   try {
-    const user = await User.findById(req.params.id).select('-password');
+    const user = await User.findById(req.params.id)
+      .select('-password')
+      .populate('statusHistory.changedBy', 'name email');
 
     if (!user) {
       return res.status(404).json({
@@ -253,12 +276,21 @@ router.get('/users/:id', async (req, res, next) => {
   }
 });
 
-// @desc    Approve or reject donor
+// Account status each approval action moves a donor to
+const APPROVAL_ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  suspend: 'suspended',
+  reopen: 'pending'
+};
+
+// @desc    Approve, reject, suspend or reopen a donor account
 // @route   PUT /api/admin/users/:id/approval
-// @access  Private (Admin)
-router.put('/users/:id/approval', [
-  body('action').isIn(['approve', 'reject']).withMessage('Action must be approve or reject'),
-  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+// @access  Private (Admin: users.approve)
+router.put('/users/:id/approval', authorizePermission('users.approve'), [
+  body('action').isIn(Object.keys(APPROVAL_ACTIONS)).withMessage('Action must be approve, reject, suspend or reopen'),
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('requireVerifiedContact').optional().isBoolean().withMessage('requireVerifiedContact must be true or false')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -271,6 +303,7 @@ router.put('/users/:id/approval', [
     }
 
     const { action, notes } = req.body;
+    const newStatus = APPROVAL_ACTIONS[action];
 
     const user = await User.findById(req.params.id);
 
@@ -288,45 +321,93 @@ router.put('/users/:id/approval', [
       });
     }
 
+    // Optionally require verified contact details before approving
     if (action === 'approve') {
-      user.admin.isApproved = true;
-      user.admin.approvedAt = new Date();
-      user.admin.approvedBy = req.user.id;
-      user.admin.rejectedAt = undefined;
-      user.admin.rejectionReason = undefined;
-    } else {
-      user.admin.isApproved = false;
-      user.admin.rejectedAt = new Date();
-      user.admin.rejectionReason = notes || 'No reason provided';
-      user.admin.approvedAt = undefined;
-      user.admin.approvedBy = undefined;
+      const missingVerifications = getRequiredVerifications(req.body.requireVerifiedContact)
+        .filter(channel => !user.verification[channel === 'email' ? 'isEmailVerified' : 'isPhoneVerified']);
+
+      if (missingVerifications.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Donor must verify their ${missingVerifications.join(' and ')} before approval`,
+          missingVerifications
+        });
+      }
     }
 
-    if (notes) {
-      user.admin.notes = notes;
+    if (!user.canTransitionTo(newStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot ${action} a donor whose account is ${user.status}`,
+        status: user.status,
+        allowedStatuses: User.STATUS_TRANSITIONS[user.status] || []
+      });
     }
 
-    await user.save();
+    // Only apply the change if no other admin changed the status meanwhile
+    const previousStatus = user.status;
+    user.transitionStatus(newStatus, {
+      changedBy: req.user._id,
+      reason: notes || (newStatus === 'rejected' ? 'No reason provided' : undefined)
+    });
+
+    const updatedUser = await User.findOneAndUpdate(
+      { _id: user._id, status: previousStatus },
+      {
+        $set: { status: user.status },
+        $push: { statusHistory: user.statusHistory[user.statusHistory.length - 1] }
+      },
+      { new: true }
+    ).select('-password');
 
-    // Send real-time notification to the donor
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`donor-${user._id}`).emit('approval-status-updated', {
-        status: action === 'approve' ? 'approved' : 'rejected',
-        notes,
-        timestamp: new Date()
+    if (!updatedUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'Donor status was changed by someone else. Please refresh and try again.'
       });
     }
 
+    await recordAudit({
+      ...auditContext(req),
+      action: 'user.approval',
+      target: { type: 'user', id: updatedUser._id, label: updatedUser.name },
+      before: { status: previousStatus },
+      after: { status: updatedUser.status },
+      metadata: { approvalAction: action, notes }
+    });
+
+    // Suspended donors are signed out everywhere
+    if (newStatus === 'suspended') {
+      await revokeSessions({ user: updatedUser._id }, 'account_suspended');
+    }
+
+    syncDonorRooms(req.app.get('io'), updatedUser);
+
+    // Notify the donor in real time and by email/SMS
+    notifyUser(updatedUser, {
+      event: 'approval-status-updated',
+      payload: {
+        status: newStatus,
+        notes,
+        timestamp: new Date()
+      },
+      ...(['approved', 'rejected'].includes(newStatus) && {
+        template: 'account_approval',
+        data: { status: newStatus, notes },
+        always: true
+      })
+    });
+
     res.status(200).json({
       success: true,
-      message: `Donor ${action}d successfully`,
+      message: `Donor ${newStatus === 'pending' ? 'returned to pending review' : newStatus} successfully`,
       data: {
         user: {
-          _id: user._id,
-          name: user.name,
-          email: user.email,
-          admin: user.admin
+          _id: updatedUser._id,
+          name: updatedUser.name,
+          email: updatedUser.email,
+          status: updatedUser.status,
+          statusHistory: updatedUser.statusHistory
         }
       }
     });
@@ -336,16 +417,70 @@ router.put('/users/:id/approval', [
   }
 });
 
-// @desc    Get all emergency requests with filtering
-// @route   GET /api/admin/emergency-requests
-// @access  Private (Admin)
-router.get('/emergency-requests', [
-  query('status').optional().isIn(['active', 'completed', 'expired', 'cancelled']).withMessage('Invalid status'),
-  query('urgency').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid urgency level'),
-  query('bloodGroup').optional().isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Invalid blood group'),
-  query('city').optional().isLength({ min: 2 }).withMessage('City must be at least 2 characters'),
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+// Helper function to list contact details that must be verified before approval.
+// APPROVAL_REQUIRED_VERIFICATIONS sets the default (e.g. "email,phone");
+// requireVerifiedContact in the request forces or waives both.
+function getRequiredVerifications(requireVerifiedContact) {
+  if (requireVerifiedContact === true || requireVerifiedContact === 'true') return ['email', 'phone'];
+  if (requireVerifiedContact === false || requireVerifiedContact === 'false') return [];
+
+  return (process.env.APPROVAL_REQUIRED_VERIFICATIONS || '')
+    .split(',')
+    .map(channel => channel.trim())
+    .filter(channel => ['email', 'phone'].includes(channel));
+}
+
+// Helper function to load a donor or send a 404
+async function findDonor(req, res) {
+  const donor = await User.findOne({ _id: req.params.id, role: 'donor' });
+
+  if (!donor) {
+    res.status(404).json({
+      success: false,
+      message: 'Donor not found'
+    });
+  }
+
+  return donor;
+}
+
+// @desc    Check a donor's eligibility for every component
+// @route   GET /api/admin/users/:id/eligibility
+// @access  Private (Admin: users.view)
+router.get('/users/:id/eligibility', authorizePermission('users.view'), async (req, res, next) => {
+  try {
+    const donor = await findDonor(req, res);
+    if (!donor) return;
+
+    await donor.populate('deferrals.createdBy deferrals.liftedBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eligibility: await checkEligibility(donor),
+        deferrals: donor.deferrals
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Record a temporary or permanent deferral on a donor
+// @route   POST /api/admin/users/:id/deferrals
+// @access  Private (Admin: users.defer)
+router.post('/users/:id/deferrals', authorizePermission('users.defer'), [
+  body('kind').isIn(User.DEFERRAL_KINDS).withMessage('Kind must be temporary or permanent'),
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be 3-500 characters'),
+  body('components').optional().isArray().withMessage('Components must be a list'),
+  body('components.*').isIn(User.DONATION_COMPONENTS).withMessage('Invalid component'),
+  body('startsAt').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('until')
+    .if(body('kind').equals('temporary'))
+    .isISO8601().withMessage('A temporary deferral needs a valid end date')
+    .custom((until, { req }) => new Date(until) > new Date(req.body.startsAt || Date.now()))
+    .withMessage('End date must be after the start date')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -357,60 +492,107 @@ router.get('/emergency-requests', [
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const donor = await findDonor(req, res);
+    if (!donor) return;
 
-    // Build query
-    const query = {};
+    const { kind, reason, components, startsAt, until } = req.body;
 
-    if (req.query.status) {
-      query.status = req.query.status;
-    }
+    donor.deferrals.push({
+      kind,
+      reason,
+      components: components || [],
+      startsAt: startsAt ? new Date(startsAt) : new Date(),
+      until: kind === 'temporary' ? new Date(until) : undefined,
+      createdBy: req.user._id
+    });
+    await donor.save();
+
+    const deferral = donor.deferrals[donor.deferrals.length - 1];
+    await recordAudit({
+      ...auditContext(req),
+      action: 'user.deferral.create',
+      target: { type: 'user', id: donor._id, label: donor.name },
+      metadata: { deferralId: deferral._id, kind, reason, components: deferral.components, until: deferral.until }
+    });
 
-    if (req.query.urgency) {
-      query['medical.urgencyLevel'] = req.query.urgency;
+    const eligibility = await checkEligibility(donor);
+    notifyUser(donor, {
+      event: 'eligibility-updated',
+      payload: { eligibility, timestamp: new Date() }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Deferral recorded',
+      data: {
+        deferral,
+        eligibility
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Lift a donor's deferral early
+// @route   PUT /api/admin/users/:id/deferrals/:deferralId/lift
+// @access  Private (Admin: users.defer)
+router.put('/users/:id/deferrals/:deferralId/lift', authorizePermission('users.defer'), [
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be 3-500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    if (req.query.bloodGroup) {
-      query['patient.bloodGroup'] = req.query.bloodGroup;
+    const donor = await findDonor(req, res);
+    if (!donor) return;
+
+    const deferral = donor.deferrals.id(req.params.deferralId);
+    if (!deferral) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deferral not found'
+      });
     }
 
-    if (req.query.city) {
-      query['hospital.address.city'] = { $regex: req.query.city, $options: 'i' };
+    if (deferral.liftedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deferral has already been lifted'
+      });
     }
 
-    const emergencyRequests = await EmergencyRequest.find(query)
-      .populate('requester', 'name phone email')
-      .populate('responses.donor', 'name phone medicalInfo.bloodGroup')
-      .sort({ 'admin.priorityScore': -1, createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    deferral.liftedAt = new Date();
+    deferral.liftedBy = req.user._id;
+    deferral.liftReason = req.body.reason;
+    await donor.save();
 
-    const total = await EmergencyRequest.countDocuments(query);
+    await recordAudit({
+      ...auditContext(req),
+      action: 'user.deferral.lift',
+      target: { type: 'user', id: donor._id, label: donor.name },
+      metadata: { deferralId: deferral._id, reason: req.body.reason }
+    });
 
-    // Add statistics for each request
-    const requestsWithStats = emergencyRequests.map(request => {
-      const requestObj = request.toObject();
-      requestObj.responseStats = {
-        totalResponses: request.responses.length,
-        interestedCount: request.responses.filter(r => r.responseType === 'interested').length,
-        confirmedCount: request.responses.filter(r => r.responseType === 'confirmed').length
-      };
-      return requestObj;
+    const eligibility = await checkEligibility(donor);
+    notifyUser(donor, {
+      event: 'eligibility-updated',
+      payload: { eligibility, timestamp: new Date() }
     });
 
     res.status(200).json({
       success: true,
+      message: 'Deferral lifted',
       data: {
-        emergencyRequests: requestsWithStats,
-        pagination: {
-          current: page,
-          pages: Math.ceil(total / limit),
-          total,
-          limit
-        },
-        filters: req.query
+        deferral,
+        eligibility
       }
     });
 
@@ -419,12 +601,33 @@ router.get('/emergency-requests', [
   }
 });
 
-// @desc    Update emergency request priority
-// @route   PUT /api/admin/emergency-requests/:id/priority
+// @desc    Get admin permissions, roles and the current admin's access
+// @route   GET /api/admin/roles
 // @access  Private (Admin)
-router.put('/emergency-requests/:id/priority', [
-  body('priorityScore').isInt({ min: 0, max: 200 }).withMessage('Priority score must be between 0 and 200'),
-  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+router.get('/roles', async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+        roles: Object.entries(ADMIN_ROLES).map(([key, role]) => ({ key, ...role })),
+        current: {
+          roles: req.user.adminRoles || [],
+          permissions: getPermissions(req.user)
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get admin accounts and their roles
+// @route   GET /api/admin/roles/assignments
+// @access  Private (Admin: roles.manage)
+router.get('/roles/assignments', authorizePermission('roles.manage'), [
+  query('role').optional().isIn(Object.keys(ADMIN_ROLES)).withMessage('Invalid admin role')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -436,35 +639,99 @@ router.put('/emergency-requests/:id/priority', [
       });
     }
 
-    const { priorityScore, notes } = req.body;
+    const filter = { role: 'admin' };
+    if (req.query.role) filter.adminRoles = req.query.role;
 
-    const emergencyRequest = await EmergencyRequest.findById(req.params.id);
+    const admins = await User.find(filter)
+      .select('name email status adminRoles stats.lastActive')
+      .sort({ name: 1 });
 
-    if (!emergencyRequest) {
+    res.status(200).json({
+      success: true,
+      data: {
+        admins: admins.map(admin => ({
+          ...admin.toObject(),
+          adminRoles: admin.adminRoles || [],
+          permissions: getPermissions(admin)
+        }))
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Set an admin account's roles
+// @route   PUT /api/admin/users/:id/roles
+// @access  Private (Admin: roles.manage)
+router.put('/users/:id/roles', authorizePermission('roles.manage'), [
+  body('roles').isArray().withMessage('Roles must be an array'),
+  body('roles.*').isIn(Object.keys(ADMIN_ROLES)).withMessage(`Roles must be one of ${Object.keys(ADMIN_ROLES).join(', ')}`),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await User.findById(req.params.id);
+
+    if (!admin || admin.role !== 'admin') {
       return res.status(404).json({
         success: false,
-        message: 'Emergency request not found'
+        message: 'Admin account not found'
       });
     }
 
-    emergencyRequest.admin.priorityScore = priorityScore;
-    emergencyRequest.admin.lastUpdatedBy = req.user.id;
-    emergencyRequest.admin.lastUpdatedAt = new Date();
+    const previous = admin.adminRoles || [];
+    const roles = [...new Set(req.body.roles)];
 
-    if (notes) {
-      emergencyRequest.admin.notes = notes;
+    // Keep at least one active super admin so roles can still be assigned
+    if (previous.includes('super_admin') && !roles.includes('super_admin')) {
+      const otherSuperAdmins = await User.countDocuments({
+        _id: { $ne: admin._id },
+        role: 'admin',
+        adminRoles: 'super_admin',
+        status: { $ne: 'suspended' }
+      });
+
+      if (otherSuperAdmins === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot remove the last super admin'
+        });
+      }
     }
 
-    await emergencyRequest.save();
+    admin.adminRoles = roles;
+    await admin.save();
+
+    await recordAudit({
+      ...auditContext(req),
+      action: 'user.roles.update',
+      target: { type: 'user', id: admin._id, label: admin.name },
+      before: { adminRoles: previous },
+      after: { adminRoles: roles },
+      metadata: req.body.reason ? { reason: req.body.reason } : undefined
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Priority updated successfully',
+      message: 'Admin roles updated',
       data: {
-        emergencyRequest: {
-          _id: emergencyRequest._id,
-          admin: emergencyRequest.admin
-        }
+        user: {
+          _id: admin._id,
+          name: admin.name,
+          email: admin.email,
+          adminRoles: roles
+        },
+        permissions: getPermissions(admin)
       }
     });
 
@@ -473,13 +740,33 @@ router.put('/emergency-requests/:id/priority', [
   }
 });
 
-// @desc    Get donation analytics
-// @route   GET /api/admin/analytics/donations
-// @access  Private (Admin)
-router.get('/analytics/donations', [
-  query('period').optional().isIn(['week', 'month', 'quarter', 'year']).withMessage('Invalid period'),
-  query('startDate').optional().isISO8601().withMessage('Start date must be valid'),
-  query('endDate').optional().isISO8601().withMessage('End date must be valid')
+// Validation shared by hospital create and update
+const hospitalValidation = (optional) => {
+  const field = (path) => optional ? body(path).optional() : body(path);
+
+  return [
+    field('name').trim().isLength({ min: 2, max: 200 }).withMessage('Hospital name must be 2-200 characters'),
+    body('type').optional().isIn(['hospital', 'blood_bank']).withMessage('Type must be hospital or blood_bank'),
+    field('licenseNumber').trim().isLength({ min: 3, max: 50 }).withMessage('License number must be 3-50 characters'),
+    field('address.city').trim().notEmpty().withMessage('City is required'),
+    body('address.pincode').optional().matches(/^[0-9]{6}$/).withMessage('Pincode must be 6 digits'),
+    body('coordinates.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+    body('coordinates.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+    field('contact.phone').matches(/^[0-9]{10}$/).withMessage('Contact number must be 10 digits'),
+    body('contact.emergencyPhone').optional().matches(/^[0-9]{10}$/).withMessage('Emergency number must be 10 digits'),
+    body('contact.email').optional().isEmail().withMessage('Invalid contact email'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ];
+};
+
+// @desc    Get registered hospitals and blood banks
+// @route   GET /api/admin/hospitals
+// @access  Private (Admin: hospitals.view)
+router.get('/hospitals', authorizePermission('hospitals.view'), [
+  query('type').optional().isIn(['hospital', 'blood_bank']).withMessage('Invalid type'),
+  query('city').optional().isLength({ min: 2 }).withMessage('City must be at least 2 characters'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -491,57 +778,680 @@ router.get('/analytics/donations', [
       });
     }
 
-    let startDate, endDate;
-    const period = req.query.period || 'month';
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
 
-    if (req.query.startDate && req.query.endDate) {
-      startDate = new Date(req.query.startDate);
-      endDate = new Date(req.query.endDate);
-    } else {
-      // Set default date range based on period
-      endDate = new Date();
-      switch (period) {
-        case 'week':
-          startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-          break;
-        case 'month':
-          startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-          break;
-        case 'quarter':
-          startDate = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
-          break;
-        case 'year':
-          startDate = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
-          break;
-        default:
-          startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-      }
-    }
+    const query = {};
+    if (req.query.type) query.type = req.query.type;
+    if (req.query.city) query['address.city'] = { $regex: req.query.city, $options: 'i' };
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
 
-    // Get donation statistics
-    const donationStats = await DonationHistory.aggregate([
-      {
-        $match: {
-          'scheduling.actualDate': { $gte: startDate, $lte: endDate },
-          status: 'completed'
-        }
-      },
-      {
-        $group: {
-          _id: {
-            $dateToString: { format: '%Y-%m-%d', date: '$scheduling.actualDate' }
-          },
-          count: { $sum: 1 },
-          totalUnits: { $sum: '$donation.units' },
-          totalVolume: { $sum: '$donation.volume' }
-        }
-      },
-      { $sort: { _id: 1 } }
-    ]);
+    const hospitals = await Hospital.find(query)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit);
 
-    // Get blood group wise donations
-    const bloodGroupStats = await DonationHistory.aggregate([
-      {
+    const total = await Hospital.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        hospitals,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Register a hospital or blood bank
+// @route   POST /api/admin/hospitals
+// @access  Private (Admin: hospitals.manage)
+router.post('/hospitals', authorizePermission('hospitals.manage'), hospitalValidation(false), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, type, licenseNumber, address, coordinates, contact } = req.body;
+
+    const hospital = await Hospital.create({
+      name,
+      type,
+      licenseNumber,
+      address,
+      coordinates,
+      contact,
+      createdBy: req.user._id
+    });
+
+    await recordAudit({
+      ...auditContext(req),
+      action: 'hospital.create',
+      target: { type: 'hospital', id: hospital._id, label: hospital.name },
+      after: { name, type: hospital.type, licenseNumber, address, contact }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Hospital registered successfully',
+      data: {
+        hospital
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update a hospital or blood bank
+// @route   PUT /api/admin/hospitals/:id
+// @access  Private (Admin: hospitals.manage)
+router.put('/hospitals/:id', authorizePermission('hospitals.manage'), hospitalValidation(true), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const hospital = await Hospital.findById(req.params.id);
+
+    if (!hospital) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hospital not found'
+      });
+    }
+
+    const auditedFields = 'name type licenseNumber isActive address coordinates contact';
+    const before = hospital.toObject({ virtuals: false });
+
+    ['name', 'type', 'licenseNumber', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) hospital[field] = req.body[field];
+    });
+    ['address', 'coordinates', 'contact'].forEach(field => {
+      if (req.body[field]) hospital.set(field, { ...hospital[field].toObject(), ...req.body[field] });
+    });
+
+    await hospital.save();
+
+    const pick = (doc) => Object.fromEntries(auditedFields.split(' ').map(field => [field, doc[field]]));
+    await recordAudit({
+      ...auditContext(req),
+      action: 'hospital.update',
+      target: { type: 'hospital', id: hospital._id, label: hospital.name },
+      before: pick(before),
+      after: pick(hospital.toObject({ virtuals: false }))
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Hospital updated successfully',
+      data: {
+        hospital
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create a staff account for a hospital
+// @route   POST /api/admin/hospitals/:id/staff
+// @access  Private (Admin: hospitals.manage)
+router.post('/hospitals/:id/staff', authorizePermission('hospitals.manage'), [
+  body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2-50 characters'),
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('phone').matches(/^[0-9]{10}$/).withMessage('Please provide a valid 10-digit phone number')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const hospital = await Hospital.findById(req.params.id);
+
+    if (!hospital) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hospital not found'
+      });
+    }
+
+    const { name, email, password, phone } = req.body;
+
+    const staff = await User.create({
+      name,
+      email,
+      password,
+      phone,
+      role: 'hospital_staff',
+      status: 'approved',
+      hospital: hospital._id,
+      address: {
+        city: hospital.address.city,
+        area: hospital.address.area || hospital.name,
+        pincode: hospital.address.pincode
+      },
+      statusHistory: [{ to: 'approved', changedBy: req.user._id, reason: `Staff account for ${hospital.name}` }]
+    });
+
+    await recordAudit({
+      ...auditContext(req),
+      action: 'hospital.staff.create',
+      target: { type: 'hospital', id: hospital._id, label: hospital.name },
+      metadata: { staffId: staff._id, name: staff.name, email: staff.email }
+    });
+
+    const staffResponse = staff.toObject();
+    delete staffResponse.password;
+
+    res.status(201).json({
+      success: true,
+      message: 'Hospital staff account created successfully',
+      data: {
+        user: staffResponse
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get all emergency requests with filtering
+// @route   GET /api/admin/emergency-requests
+// @access  Private (Admin: requests.view)
+router.get('/emergency-requests', authorizePermission('requests.view'), [
+  query('status').optional().isIn(EmergencyRequest.REQUEST_STATUSES).withMessage('Invalid status'),
+  query('archived').optional().isBoolean().withMessage('Archived must be true or false'),
+  query('urgency').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid urgency level'),
+  query('bloodGroup').optional().isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Invalid blood group'),
+  query('city').optional().isLength({ min: 2 }).withMessage('City must be at least 2 characters'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build query; archived requests are only listed on request
+    const query = {
+      archivedAt: { $exists: req.query.archived === 'true' }
+    };
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    if (req.query.urgency) {
+      query['medical.urgencyLevel'] = req.query.urgency;
+    }
+
+    if (req.query.bloodGroup) {
+      query['patient.bloodGroup'] = req.query.bloodGroup;
+    }
+
+    if (req.query.city) {
+      query['hospital.address.city'] = { $regex: req.query.city, $options: 'i' };
+    }
+
+    const emergencyRequests = await EmergencyRequest.find(query)
+      .populate('requester', 'name phone email')
+      .populate('responses.donor', 'name phone medicalInfo.bloodGroup')
+      .sort({ 'admin.priorityScore': -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await EmergencyRequest.countDocuments(query);
+
+    // Add statistics for each request
+    const requestsWithStats = emergencyRequests.map(request => {
+      const requestObj = request.toObject();
+      requestObj.responseStats = {
+        totalResponses: request.responses.length,
+        interestedCount: request.responses.filter(r => r.responseType === 'interested').length,
+        confirmedCount: request.responses.filter(r => r.responseType === 'confirmed').length
+      };
+      return requestObj;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        emergencyRequests: requestsWithStats,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        },
+        filters: req.query
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Override emergency request priority, or hand it back to the scoring engine
+// @route   PUT /api/admin/emergency-requests/:id/priority
+// @access  Private (Admin: requests.prioritize)
+router.put('/emergency-requests/:id/priority', authorizePermission('requests.prioritize'), [
+  body('automatic').optional().isBoolean().withMessage('Automatic must be true or false'),
+  body('priorityScore')
+    .if(body('automatic').not().equals('true'))
+    .isInt({ min: 0, max: 100 }).withMessage('Priority score must be between 0 and 100'),
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { priorityScore, notes } = req.body;
+    const automatic = req.body.automatic === true || req.body.automatic === 'true';
+
+    const current = await EmergencyRequest.findById(req.params.id).select('admin');
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency request not found'
+      });
+    }
+
+    const before = {
+      priorityScore: current.admin.priorityScore,
+      priorityManual: current.admin.priorityManual
+    };
+
+    // Only the admin fields are written, so overdue requests (which would fail
+    // full-document validation) can be overridden and fulfillment updates made
+    // meanwhile are kept
+    const set = {
+      'admin.reviewedBy': req.user.id,
+      'admin.reviewDate': new Date()
+    };
+
+    if (notes) {
+      set['admin.adminNotes'] = notes;
+    }
+
+    if (automatic) {
+      set['admin.priorityManual'] = false;
+    } else {
+      set['admin.priorityScore'] = parseInt(priorityScore);
+      set['admin.priorityManual'] = true;
+      set['admin.priorityBreakdown'] = [{
+        factor: 'manual',
+        points: parseInt(priorityScore),
+        detail: notes || 'Set by an admin'
+      }];
+      set['admin.priorityScoredAt'] = new Date();
+    }
+
+    const emergencyRequest = await EmergencyRequest.findByIdAndUpdate(req.params.id, { $set: set }, { new: true });
+
+    if (automatic) {
+      await rescoreRequest(emergencyRequest);
+    }
+
+    await recordAudit({
+      ...auditContext(req),
+      action: 'request.priority',
+      target: { type: 'emergency_request', id: emergencyRequest._id, label: emergencyRequest.patient.name },
+      before,
+      after: {
+        priorityScore: emergencyRequest.admin.priorityScore,
+        priorityManual: emergencyRequest.admin.priorityManual
+      },
+      metadata: { notes }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Priority updated successfully',
+      data: {
+        emergencyRequest: {
+          _id: emergencyRequest._id,
+          admin: emergencyRequest.admin
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get donors' questionnaire answers for an emergency request
+// @route   GET /api/admin/emergency-requests/:id/screenings
+// @access  Private (Admin: medical.view)
+router.get('/emergency-requests/:id/screenings', authorizePermission('medical.view'), async (req, res, next) => {
+  try {
+    const emergencyRequest = await EmergencyRequest.findById(req.params.id)
+      .select('patient.name responses')
+      .populate('responses.donor', 'name phone medicalInfo.bloodGroup');
+
+    if (!emergencyRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency request not found'
+      });
+    }
+
+    // Built from the documents directly, since serialization hides the answers
+    const screenings = emergencyRequest.responses
+      .filter(response => response.screening && response.screening.submittedAt)
+      .map(response => ({
+        donor: response.donor,
+        responseType: response.responseType,
+        version: response.screening.version,
+        answers: response.screening.answers,
+        submittedAt: response.screening.submittedAt,
+        passed: response.screening.passed,
+        flags: response.screening.flags.map(({ question, reason, until }) => ({ question, reason, until }))
+      }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        emergencyRequestId: emergencyRequest._id,
+        screenings
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the log of contact details revealed between requesters and donors
+// @route   GET /api/admin/contact-reveals
+// @access  Private (Admin: audit.view)
+router.get('/contact-reveals', authorizePermission('audit.view'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('user').optional().isMongoId().withMessage('Invalid user ID'),
+  query('emergencyRequest').optional().isMongoId().withMessage('Invalid emergency request ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // A user matches reveals they made and reveals of their details
+    const filter = {};
+    if (req.query.user) filter.$or = [{ viewer: req.query.user }, { subject: req.query.user }];
+    if (req.query.emergencyRequest) filter.emergencyRequest = req.query.emergencyRequest;
+
+    const [reveals, total] = await Promise.all([
+      ContactReveal.find(filter)
+        .populate('viewer', 'name role')
+        .populate('subject', 'name role')
+        .populate('emergencyRequest', 'patient.name status')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ContactReveal.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reveals,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get audit log entries, or export them as CSV
+// @route   GET /api/admin/audit
+// @access  Private (Admin: audit.view, audit.export for CSV)
+router.get('/audit', authorizePermission('audit.view', req => req.query.format === 'csv' && 'audit.export'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('action').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Invalid action'),
+  query('targetType').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid target type'),
+  query('targetId').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Invalid target ID'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    if (req.query.actor) filter['actor.user'] = req.query.actor;
+    // An action prefix such as "settings" matches settings.update and settings.reset
+    if (req.query.action) {
+      filter.action = { $regex: `^${req.query.action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(\\.|$)` };
+    }
+    if (req.query.targetType) filter['target.type'] = req.query.targetType;
+    if (req.query.targetId) filter['target.id'] = req.query.targetId;
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
+
+    if (req.query.format === 'csv') {
+      await recordAudit({
+        ...auditContext(req),
+        action: 'audit.export',
+        target: { type: 'export', id: 'audit' },
+        metadata: { filter: req.query }
+      });
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-export-${Date.now()}.csv"`);
+      res.write(formatRow(['sequence', 'createdAt', 'actorId', 'actorName', 'actorRole', 'action',
+        'targetType', 'targetId', 'targetLabel', 'changes', 'metadata', 'ip', 'userAgent', 'prevHash', 'hash']));
+
+      // Streamed in chain order, so large logs are not held in memory
+      const cursor = AuditLog.find(filter).sort({ sequence: 1 }).lean().cursor();
+      for await (const entry of cursor) {
+        const actor = entry.actor || {};
+        const target = entry.target || {};
+        const row = formatRow([entry.sequence, entry.createdAt, actor.user, actor.name, actor.role, entry.action,
+          target.type, target.id, target.label, JSON.stringify(entry.changes || []),
+          entry.metadata ? JSON.stringify(entry.metadata) : '', entry.ip, entry.userAgent, entry.prevHash, entry.hash]);
+
+        if (!res.write(row)) await new Promise(resolve => res.once('drain', resolve));
+      }
+
+      return res.end();
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ sequence: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    // A CSV export that fails part way can only be cut off
+    if (res.headersSent) return res.destroy(error);
+    next(error);
+  }
+});
+
+// @desc    Check that the audit log's hash chain is intact
+// @route   GET /api/admin/audit/verify
+// @access  Private (Admin: audit.view)
+router.get('/audit/verify', authorizePermission('audit.view'), async (req, res, next) => {
+  try {
+    const result = await verifyAuditChain();
+
+    res.status(200).json({
+      success: true,
+      message: result.valid
+        ? `Audit log intact (${result.checked} entries)`
+        : `Audit log broken at entry ${result.brokenAt.sequence}: ${result.brokenAt.reason}`,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get donation analytics
+// @route   GET /api/admin/analytics/donations
+// @access  Private (Admin: analytics.view)
+router.get('/analytics/donations', authorizePermission('analytics.view'), [
+  query('period').optional().isIn(['week', 'month', 'quarter', 'year']).withMessage('Invalid period'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be valid'),
+  query('endDate').optional().isISO8601().withMessage('End date must be valid')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let startDate, endDate;
+    const period = req.query.period || 'month';
+
+    if (req.query.startDate && req.query.endDate) {
+      startDate = new Date(req.query.startDate);
+      endDate = new Date(req.query.endDate);
+    } else {
+      // Set default date range based on period
+      endDate = new Date();
+      switch (period) {
+        case 'week':
+          startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+          break;
+        case 'month':
+          startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+          break;
+        case 'quarter':
+          startDate = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+          break;
+        case 'year':
+          startDate = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+          break;
+        default:
+          startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+      }
+    }
+
+    // Get donation statistics
+    const donationStats = await DonationHistory.aggregate([
+      {
+        $match: {
+          'scheduling.actualDate': { $gte: startDate, $lte: endDate },
+          status: 'completed'
+        }
+      },
+      {
+        $group: {
+          _id: {
+            $dateToString: { format: '%Y-%m-%d', date: '$scheduling.actualDate' }
+          },
+          count: { $sum: 1 },
+          totalUnits: { $sum: '$donation.units' },
+          totalVolume: { $sum: '$donation.volume' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    // Get blood group wise donations
+    const bloodGroupStats = await DonationHistory.aggregate([
+      {
         $match: {
           'scheduling.actualDate': { $gte: startDate, $lte: endDate },
           status: 'completed'
@@ -618,8 +1528,8 @@ router.get('/analytics/donations', [
 
 // @desc    Get system analytics
 // @route   GET /api/admin/analytics/system
-// @access  Private (Admin)
-router.get('/analytics/system', async (req, res, next) => {
+// @access  Private (Admin: analytics.view)
+router.get('/analytics/system', authorizePermission('analytics.view'), async (req, res, next) => {
   try {
     // Get user registration trends (last 30 days)
     const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
@@ -691,7 +1601,7 @@ router.get('/analytics/system', async (req, res, next) => {
       {
         $match: {
           role: 'donor',
-          'admin.isApproved': true
+          status: 'approved'
         }
       },
       {
@@ -726,13 +1636,53 @@ router.get('/analytics/system', async (req, res, next) => {
   }
 });
 
+// Permission needed to export each data type
+const EXPORT_PERMISSIONS = {
+  donations: 'export.donations',
+  'emergency-requests': 'export.requests',
+  users: 'export.users'
+};
+
+// @desc    List the columns an export type offers
+// @route   GET /api/admin/export/:type/columns
+// @access  Private (Admin: export.users, export.donations or export.requests)
+router.get('/export/:type/columns', authorizePermission(req => EXPORT_PERMISSIONS[req.params.type]), async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        type: req.params.type,
+        formats: EXPORT_FORMATS,
+        columns: getExportColumns(req.params.type)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Export data for reporting
 // @route   GET /api/admin/export/:type
-// @access  Private (Admin)
-router.get('/export/:type', [
+// @access  Private (Admin: export.users, export.donations or export.requests; medical.view for sensitive columns)
+router.get('/export/:type', authorizePermission(
+  req => EXPORT_PERMISSIONS[req.params.type],
+  req => req.query.includeSensitive === 'true' && 'medical.view'
+), audit('data.export', {
+  target: req => ({ type: 'export', id: req.params.type }),
+  metadata: req => ({
+    format: req.query.format || 'json',
+    startDate: req.query.startDate,
+    endDate: req.query.endDate,
+    columns: req.query.columns,
+    includeSensitive: req.query.includeSensitive === 'true'
+  })
+}), [
   query('startDate').optional().isISO8601().withMessage('Start date must be valid'),
   query('endDate').optional().isISO8601().withMessage('End date must be valid'),
-  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage(`Format must be one of ${EXPORT_FORMATS.join(', ')}`),
+  query('columns').optional().isString().isLength({ max: 2000 }).withMessage('Columns must be a comma-separated list'),
+  query('includeSensitive').optional().isBoolean().withMessage('includeSensitive must be true or false')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -749,64 +1699,373 @@ router.get('/export/:type', [
     const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
     const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
 
-    let data;
+    if (!EXPORT_TYPES[type]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid export type. Supported types: ${Object.keys(EXPORT_TYPES).join(', ')}`
+      });
+    }
 
-    switch (type) {
-      case 'donations':
-        data = await DonationHistory.find({
-          'scheduling.actualDate': { $gte: startDate, $lte: endDate }
-        })
-        .populate('donor', 'name email medicalInfo.bloodGroup')
-        .populate('recipient', 'name email')
-        .populate('emergencyRequest', 'patient.name medical.condition')
-        .lean();
-        break;
-
-      case 'emergency-requests':
-        data = await EmergencyRequest.find({
-          createdAt: { $gte: startDate, $lte: endDate }
-        })
-        .populate('requester', 'name email phone')
-        .lean();
-        break;
-
-      case 'users':
-        data = await User.find({
-          createdAt: { $gte: startDate, $lte: endDate },
-          role: { $in: ['donor', 'recipient'] }
-        })
-        .select('-password')
-        .lean();
-        break;
+    const columns = resolveColumns(type, {
+      columns: req.query.columns && req.query.columns.split(',').map(key => key.trim()).filter(Boolean),
+      includeSensitive: req.query.includeSensitive === 'true'
+    });
 
-      default:
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid export type. Supported types: donations, emergency-requests, users'
-        });
+    res.status(200);
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    if (format !== 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${getExportFilename(type, format)}"`);
     }
 
-    if (format === 'csv') {
-      // Convert to CSV format (simplified implementation)
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="${type}-export-${Date.now()}.csv"`);
-      
-      // This is a simplified CSV conversion - in production, use a proper CSV library
-      const csvData = JSON.stringify(data);
-      res.send(csvData);
-    } else {
-      res.status(200).json({
-        success: true,
-        data: {
-          type,
-          exportDate: new Date(),
-          dateRange: { startDate, endDate },
-          count: data.length,
-          records: data
-        }
+    // Streamed from a cursor, so large date ranges are not held in memory
+    await writeExport(res, {
+      type,
+      format,
+      columns,
+      startDate,
+      endDate,
+      onEnd: count => {
+        res.locals.audit = { metadata: { count, columns: columns.map(col => col.key) } };
+      }
+    });
+
+  } catch (error) {
+    // An export that fails part way can only be cut off
+    if (res.headersSent) return res.destroy(error);
+    next(error);
+  }
+});
+
+// Helper function to validate priority weight changes; every field is optional
+function priorityWeightsValidation() {
+  const points = (field) => body(field).optional().isFloat({ min: 0, max: 100 }).withMessage(`${field} must be between 0 and 100`).toFloat();
+
+  return [
+    ...['critical', 'high', 'medium', 'low'].map(level => points(`urgency.${level}`)),
+    body('timeRemaining').optional().isArray({ max: 10 }).withMessage('timeRemaining must be a list of up to 10 tiers'),
+    body('timeRemaining.*.withinHours').isFloat({ min: 0, max: 720 }).withMessage('withinHours must be between 0 and 720').toFloat(),
+    body('timeRemaining.*.points').isFloat({ min: 0, max: 100 }).withMessage('Tier points must be between 0 and 100').toFloat(),
+    body('unitsRequired').optional().isArray({ max: 10 }).withMessage('unitsRequired must be a list of up to 10 tiers'),
+    body('unitsRequired.*.atLeast').isInt({ min: 1, max: 10 }).withMessage('atLeast must be between 1 and 10').toInt(),
+    body('unitsRequired.*.points').isFloat({ min: 0, max: 100 }).withMessage('Tier points must be between 0 and 100').toFloat(),
+    body('rareBloodGroup.groups').optional().isArray().withMessage('Rare blood groups must be a list'),
+    body('rareBloodGroup.groups.*').isIn(BLOOD_GROUPS).withMessage('Invalid blood group'),
+    points('rareBloodGroup.points'),
+    points('localSupply.points'),
+    body('localSupply.donorsPerUnit').optional().isInt({ min: 1, max: 100 }).withMessage('donorsPerUnit must be between 1 and 100').toInt(),
+    points('responses.points'),
+    body('responses.responsesPerUnit').optional().isInt({ min: 1, max: 100 }).withMessage('responsesPerUnit must be between 1 and 100').toInt(),
+    points('fulfillmentGap.points'),
+    body('maxScore').optional().isInt({ min: 1, max: 100 }).withMessage('maxScore must be between 1 and 100').toInt()
+  ];
+}
+
+// Helper function to rescore open requests in the background after weights change
+function rescoreInBackground() {
+  runJob('recompute-priorities', { force: true })
+    .catch(error => console.error('Priority rescoring error:', error));
+}
+
+// @desc    Get emergency request priority weights
+// @route   GET /api/admin/settings/priority
+// @access  Private (Admin: settings.view)
+router.get('/settings/priority', authorizePermission('settings.view'), async (req, res, next) => {
+  try {
+    const weights = await getPriorityWeights();
+    const setting = await Setting.findOne({ key: 'priority' })
+      .select('updatedAt updatedBy')
+      .populate('updatedBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        weights,
+        defaults: DEFAULT_PRIORITY_WEIGHTS,
+        updatedAt: setting && setting.updatedAt,
+        updatedBy: setting && setting.updatedBy
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update emergency request priority weights
+// @route   PUT /api/admin/settings/priority
+// @access  Private (Admin: settings.edit)
+router.put('/settings/priority', authorizePermission('settings.edit'), priorityWeightsValidation(), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Only known factors can be changed
+    const changes = {};
+    Object.keys(DEFAULT_PRIORITY_WEIGHTS).forEach(factor => {
+      if (req.body[factor] !== undefined) changes[factor] = req.body[factor];
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No priority weights to update',
+        factors: Object.keys(DEFAULT_PRIORITY_WEIGHTS)
+      });
+    }
+
+    const previous = await getPriorityWeights();
+    const weights = await updatePriorityWeights(changes, req.user._id);
+    rescoreInBackground();
+
+    await recordAudit({
+      ...auditContext(req),
+      action: 'settings.update',
+      target: { type: 'setting', id: 'priority' },
+      before: previous,
+      after: weights
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Priority weights updated. Open requests are being rescored.',
+      data: {
+        weights
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reset emergency request priority weights to the defaults
+// @route   DELETE /api/admin/settings/priority
+// @access  Private (Admin: settings.edit)
+router.delete('/settings/priority', authorizePermission('settings.edit'), async (req, res, next) => {
+  try {
+    const previous = await getPriorityWeights();
+    const weights = await resetPriorityWeights(req.user._id);
+    rescoreInBackground();
+
+    await recordAudit({
+      ...auditContext(req),
+      action: 'settings.reset',
+      target: { type: 'setting', id: 'priority' },
+      before: previous,
+      after: weights
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Priority weights reset to defaults. Open requests are being rescored.',
+      data: {
+        weights
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to validate eligibility rule changes; every field is optional
+function eligibilityRulesValidation() {
+  const days = (field) => body(field).optional().isInt({ min: 0, max: 3650 }).withMessage(`${field} must be between 0 and 3650 days`).toInt();
+
+  return [
+    days('intervals.*.*'),
+    days('femaleIntervals.*.*'),
+    body('age.min').optional().isInt({ min: 16, max: 30 }).withMessage('Minimum age must be between 16 and 30').toInt(),
+    body('age.max').optional().isInt({ min: 50, max: 80 }).withMessage('Maximum age must be between 50 and 80').toInt(),
+    body('minWeight.*').optional().isFloat({ min: 30, max: 150 }).withMessage('Minimum weight must be between 30 and 150 kg').toFloat(),
+    body('hemoglobin.male').optional().isFloat({ min: 8, max: 20 }).withMessage('Hemoglobin limit must be between 8 and 20 g/dL').toFloat(),
+    body('hemoglobin.female').optional().isFloat({ min: 8, max: 20 }).withMessage('Hemoglobin limit must be between 8 and 20 g/dL').toFloat(),
+    days('hemoglobin.deferralDays'),
+    days('tattooDeferralDays'),
+    days('travelDeferralDays'),
+    body('medications').optional().isArray({ max: 200 }).withMessage('Medications must be a list of up to 200 entries'),
+    body('medications.*.name').trim().isLength({ min: 2, max: 100 }).withMessage('Medication name must be 2-100 characters'),
+    body('medications.*.days').isInt({ min: 0, max: 3650 }).withMessage('Medication days must be between 0 and 3650').toInt(),
+    body('medications.*.components').optional().isArray().withMessage('Components must be a list'),
+    body('medications.*.components.*').isIn(User.DONATION_COMPONENTS).withMessage('Invalid component'),
+    body('conditions').optional().isArray({ max: 200 }).withMessage('Conditions must be a list of up to 200 entries'),
+    body('conditions.*.name').trim().isLength({ min: 2, max: 100 }).withMessage('Condition name must be 2-100 characters'),
+    body('conditions.*.permanent').optional().isBoolean().withMessage('permanent must be true or false').toBoolean(),
+    body('conditions.*.components').optional().isArray().withMessage('Components must be a list'),
+    body('conditions.*.components.*').isIn(User.DONATION_COMPONENTS).withMessage('Invalid component')
+  ];
+}
+
+// @desc    Get donor eligibility rules
+// @route   GET /api/admin/settings/eligibility
+// @access  Private (Admin: settings.view)
+router.get('/settings/eligibility', authorizePermission('settings.view'), async (req, res, next) => {
+  try {
+    const rules = await getEligibilityRules();
+    const setting = await Setting.findOne({ key: 'eligibility' })
+      .select('updatedAt updatedBy')
+      .populate('updatedBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rules,
+        defaults: DEFAULT_ELIGIBILITY_RULES,
+        updatedAt: setting && setting.updatedAt,
+        updatedBy: setting && setting.updatedBy
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update donor eligibility rules
+// @route   PUT /api/admin/settings/eligibility
+// @access  Private (Admin: settings.edit)
+router.put('/settings/eligibility', authorizePermission('settings.edit'), eligibilityRulesValidation(), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Only known rules can be changed
+    const changes = {};
+    Object.keys(DEFAULT_ELIGIBILITY_RULES).forEach(rule => {
+      if (req.body[rule] !== undefined) changes[rule] = req.body[rule];
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No eligibility rules to update',
+        rules: Object.keys(DEFAULT_ELIGIBILITY_RULES)
+      });
+    }
+
+    const previous = await getEligibilityRules();
+    const rules = await updateEligibilityRules(changes, req.user._id);
+
+    await recordAudit({
+      ...auditContext(req),
+      action: 'settings.update',
+      target: { type: 'setting', id: 'eligibility' },
+      before: previous,
+      after: rules
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Eligibility rules updated',
+      data: {
+        rules
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reset donor eligibility rules to the defaults
+// @route   DELETE /api/admin/settings/eligibility
+// @access  Private (Admin: settings.edit)
+router.delete('/settings/eligibility', authorizePermission('settings.edit'), async (req, res, next) => {
+  try {
+    const previous = await getEligibilityRules();
+    const rules = await resetEligibilityRules(req.user._id);
+
+    await recordAudit({
+      ...auditContext(req),
+      action: 'settings.reset',
+      target: { type: 'setting', id: 'eligibility' },
+      before: previous,
+      after: rules
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Eligibility rules reset to defaults',
+      data: {
+        rules
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get scheduled background jobs and their last run
+// @route   GET /api/admin/jobs
+// @access  Private (Admin: jobs.view)
+router.get('/jobs', authorizePermission('jobs.view'), async (req, res, next) => {
+  try {
+    const jobs = await getJobStatuses();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Run a background job now, unless another instance is running it
+// @route   POST /api/admin/jobs/:name/run
+// @access  Private (Admin: jobs.run)
+router.post('/jobs/:name/run', authorizePermission('jobs.run'), audit('job.run', {
+  target: req => ({ type: 'job', id: req.params.name })
+}), async (req, res, next) => {
+  try {
+    const jobs = await getJobStatuses();
+    if (!jobs.some(job => job.name === req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const outcome = await runJob(req.params.name, { force: true });
+
+    if (!outcome.ran) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is already running'
+      });
+    }
+
+    if (outcome.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        message: `Job failed: ${outcome.error}`
       });
     }
 
+    res.status(200).json({
+      success: true,
+      message: 'Job completed',
+      data: {
+        result: outcome.result
+      }
+    });
+
   } catch (error) {
     next(error);
   }
@@ -1,8 +1,12 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
-const { User } = require('../models');
-const { sendTokenResponse } = require('../utils/auth');
+const { User, VerificationCode, Session } = require('../models');
+const { sendTokenResponse, rotateRefreshToken, revokeSessions, respondWithTokens } = require('../utils/auth');
+const { generateOtp, generateSecureToken, hashToken, verifyTokenHash } = require('../utils/otp');
+const { maskEmail, maskPhone } = require('../utils/mask');
 const { protect } = require('../middleware/auth');
+const { notifyUser } = require('../services/notifications');
 
 const router = express.Router();
 
@@ -104,7 +108,7 @@ router.post('/register', [
     // Get fresh user without password
     const newUser = await User.findById(user._id).select('-password');
 
-    sendTokenResponse(newUser, 201, res, 'Registration successful! Account pending approval.');
+    await sendTokenResponse(newUser, 201, req, res, 'Registration successful! Account pending approval.');
 
   } catch (error) {
     next(error);
@@ -162,7 +166,7 @@ router.post('/login', [
     // Get user without password
     const userWithoutPassword = await User.findById(user._id).select('-password');
 
-    sendTokenResponse(userWithoutPassword, 200, res, 'Login successful');
+    await sendTokenResponse(userWithoutPassword, 200, req, res, 'Login successful');
 
   } catch (error) {
     next(error);
@@ -201,6 +205,7 @@ router.post('/admin/login', [
           password: 'password',
           phone: '9999999999',
           role: 'admin',
+          adminRoles: ['super_admin'],
           status: 'approved',
           address: {
             city: 'System',
@@ -210,7 +215,7 @@ router.post('/admin/login', [
       }
 
       const userWithoutPassword = await User.findById(adminUser._id).select('-password');
-      sendTokenResponse(userWithoutPassword, 200, res, 'Admin login successful');
+      await sendTokenResponse(userWithoutPassword, 200, req, res, 'Admin login successful');
       return;
     }
 
@@ -237,7 +242,7 @@ router.post('/admin/login', [
     // Get user without password
     const userWithoutPassword = await User.findById(user._id).select('-password');
 
-    sendTokenResponse(userWithoutPassword, 200, res, 'Admin login successful');
+    await sendTokenResponse(userWithoutPassword, 200, req, res, 'Admin login successful');
 
   } catch (error) {
     next(error);
@@ -269,7 +274,9 @@ router.put('/profile', protect, [
   body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2-50 characters'),
   body('phone').optional().matches(/^[0-9]{10}$/).withMessage('Please provide a valid 10-digit phone number'),
   body('address.city').optional().trim().notEmpty().withMessage('City cannot be empty'),
-  body('address.area').optional().trim().notEmpty().withMessage('Area cannot be empty')
+  body('address.area').optional().trim().notEmpty().withMessage('Area cannot be empty'),
+  body('notifications.quietHours.start').optional().isInt({ min: 0, max: 23 }).withMessage('Quiet hours must be between 0 and 23'),
+  body('notifications.quietHours.end').optional().isInt({ min: 0, max: 23 }).withMessage('Quiet hours must be between 0 and 23')
 ], async (req, res, next) => {
   try {
     // Check for validation errors
@@ -284,9 +291,10 @@ router.put('/profile', protect, [
 
     const allowedFields = ['name', 'phone', 'address', 'profileImage', 'notifications'];
     
-    // For donors, allow medical info updates (except critical fields)
+    // Donors update their medical details through PUT /api/donor/medical-info,
+    // which validates each field
     if (req.user.role === 'donor') {
-      allowedFields.push('medicalInfo', 'availability');
+      allowedFields.push('availability');
     }
 
     const updateData = {};
@@ -298,14 +306,20 @@ router.put('/profile', protect, [
       }
     });
 
-    // Don't allow changing critical medical info after approval
-    if (req.user.role === 'donor' && req.user.status === 'approved' && updateData.medicalInfo) {
-      const criticalFields = ['bloodGroup', 'dateOfBirth'];
-      criticalFields.forEach(field => {
-        if (updateData.medicalInfo[field] !== undefined) {
-          delete updateData.medicalInfo[field];
-        }
-      });
+    // A new phone number has to be verified again
+    if (updateData.phone && updateData.phone !== req.user.phone) {
+      updateData['verification.isPhoneVerified'] = false;
+    }
+
+    // Re-derive the GeoJSON location when the address changes
+    if (updateData.address) {
+      const { location, locationSource } = User.locationFromAddress(updateData.address);
+      updateData.address = { ...updateData.address, locationSource };
+      if (location) {
+        updateData.location = location;
+      } else {
+        updateData.$unset = { location: 1 };
+      }
     }
 
     const user = await User.findByIdAndUpdate(
@@ -363,13 +377,398 @@ router.put('/password', protect, [
       });
     }
 
-    // Update password
+    // Update password and sign out every session, then issue a fresh one
     user.password = newPassword;
     await user.save();
+    await revokeSessions({ user: user._id }, 'password_changed');
+
+    notifyUser(user, {
+      template: 'password_changed',
+      always: true,
+      channels: ['email']
+    });
+
+    await sendTokenResponse(user, 200, req, res, 'Password updated successfully');
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Password reset links stay valid for this long
+const PASSWORD_RESET_TTL_MINUTES = 30;
+
+// @desc    Send a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Same response whether or not the email is registered
+    const response = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || user.status === 'suspended') {
+      return res.status(200).json(response);
+    }
+
+    // Only the hash is stored; a new request replaces any earlier link
+    const token = generateSecureToken();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+      }
+    );
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    await notifyUser(user, {
+      template: 'password_reset',
+      data: {
+        resetUrl: `${frontendUrl}/reset-password?token=${token}`,
+        expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+      },
+      always: true,
+      channels: ['email']
+    });
+
+    res.status(200).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reset password with a reset token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post('/reset-password/:token', [
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Consume the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(req.params.token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    // Saving the new password invalidates previously issued tokens
+    user.password = req.body.password;
+    await user.save();
+    await revokeSessions({ user: user._id }, 'password_changed');
+
+    notifyUser(user, {
+      template: 'password_changed',
+      always: true,
+      channels: ['email']
+    });
+
+    await sendTokenResponse(user, 200, req, res, 'Password reset successfully');
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// One-time code settings for contact verification
+const OTP_TTL_MINUTES = 10;
+const OTP_RESEND_SECONDS = 60;
+const OTP_MAX_SENDS_PER_HOUR = 5;
+
+const VERIFICATION_CHANNELS = {
+  email: {
+    field: 'isEmailVerified',
+    label: 'Email',
+    deliveryChannel: 'email',
+    target: (user) => user.email,
+    mask: maskEmail
+  },
+  phone: {
+    field: 'isPhoneVerified',
+    label: 'Phone number',
+    deliveryChannel: 'sms',
+    target: (user) => user.phone,
+    mask: maskPhone
+  }
+};
+
+// Helper to build a handler that sends a verification code
+function requestVerificationCode(channel) {
+  const config = VERIFICATION_CHANNELS[channel];
+
+  return async (req, res, next) => {
+    try {
+      const user = req.user;
+
+      if (user.verification[config.field]) {
+        return res.status(400).json({
+          success: false,
+          message: `${config.label} is already verified`
+        });
+      }
+
+      // Throttle resends per user and channel
+      const now = Date.now();
+      const recentCodes = await VerificationCode.find({
+        user: user._id,
+        channel,
+        sentAt: { $gte: new Date(now - 60 * 60 * 1000) }
+      })
+      .sort({ sentAt: -1 })
+      .select('sentAt');
+
+      if (recentCodes.length > 0) {
+        const retryAfter = Math.ceil((recentCodes[0].sentAt.getTime() + OTP_RESEND_SECONDS * 1000 - now) / 1000);
+        if (retryAfter > 0) {
+          return res.status(429).json({
+            success: false,
+            message: `Please wait ${retryAfter} seconds before requesting another code`,
+            retryAfter
+          });
+        }
+      }
+
+      if (recentCodes.length >= OTP_MAX_SENDS_PER_HOUR) {
+        return res.status(429).json({
+          success: false,
+          message: 'Too many verification codes requested. Please try again later.'
+        });
+      }
+
+      // Only the newest code stays valid
+      await VerificationCode.updateMany(
+        { user: user._id, channel, expiresAt: { $gt: new Date(now) } },
+        { $set: { expiresAt: new Date(now) } }
+      );
+
+      const code = generateOtp();
+      const verificationCode = await VerificationCode.create({
+        user: user._id,
+        channel,
+        target: config.target(user),
+        codeHash: hashToken(code),
+        expiresAt: new Date(now + OTP_TTL_MINUTES * 60 * 1000),
+        sentAt: new Date(now)
+      });
+
+      await notifyUser(user, {
+        template: 'verification_code',
+        data: { code, expiresInMinutes: OTP_TTL_MINUTES },
+        always: true,
+        channels: [config.deliveryChannel],
+        metadata: { verificationCode: verificationCode._id }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `Verification code sent to ${config.mask(config.target(user))}`,
+        data: {
+          expiresAt: verificationCode.expiresAt,
+          resendAvailableAt: new Date(now + OTP_RESEND_SECONDS * 1000)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Helper to build a handler that checks a verification code
+function confirmVerificationCode(channel) {
+  const config = VERIFICATION_CHANNELS[channel];
+
+  return async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = req.user;
+
+      // Count the attempt before checking so parallel guesses can't exceed the limit
+      const verificationCode = await VerificationCode.findOneAndUpdate(
+        {
+          user: user._id,
+          channel,
+          target: config.target(user),
+          expiresAt: { $gt: new Date() },
+          $expr: { $lt: ['$attempts', '$maxAttempts'] }
+        },
+        { $inc: { attempts: 1 } },
+        { new: true, sort: { sentAt: -1 } }
+      );
+
+      if (!verificationCode) {
+        return res.status(400).json({
+          success: false,
+          message: 'Verification code has expired or too many attempts were made. Please request a new code.'
+        });
+      }
+
+      if (!verifyTokenHash(req.body.code, verificationCode.codeHash)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid verification code',
+          attemptsRemaining: verificationCode.maxAttempts - verificationCode.attempts
+        });
+      }
+
+      await VerificationCode.deleteMany({ user: user._id, channel });
+
+      const updatedUser = await User.findByIdAndUpdate(
+        user._id,
+        {
+          [`verification.${config.field}`]: true,
+          'verification.verificationDate': new Date()
+        },
+        { new: true }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: `${config.label} verified successfully`,
+        data: {
+          verification: updatedUser.verification
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// @desc    Send email verification code
+// @route   POST /api/auth/verify-email/request
+// @access  Private
+router.post('/verify-email/request', protect, requestVerificationCode('email'));
+
+// @desc    Confirm email verification code
+// @route   POST /api/auth/verify-email/confirm
+// @access  Private
+router.post('/verify-email/confirm', protect, [
+  body('code').matches(/^[0-9]{6}$/).withMessage('Verification code must be 6 digits')
+], confirmVerificationCode('email'));
+
+// @desc    Send phone verification code
+// @route   POST /api/auth/verify-phone/request
+// @access  Private
+router.post('/verify-phone/request', protect, requestVerificationCode('phone'));
+
+// @desc    Confirm phone verification code
+// @route   POST /api/auth/verify-phone/confirm
+// @access  Private
+router.post('/verify-phone/confirm', protect, [
+  body('code').matches(/^[0-9]{6}$/).withMessage('Verification code must be 6 digits')
+], confirmVerificationCode('phone'));
+
+// @desc    Exchange a refresh token for a new access token
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { session, refreshToken, error } = await rotateRefreshToken(req.body.refreshToken, req);
+
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const user = await User.findById(session.user).select('-password');
+
+    if (!user || user.status === 'suspended') {
+      await revokeSessions({ _id: session._id }, 'user_revoked');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is not available. Please contact administrator.'
+      });
+    }
+
+    respondWithTokens(user, session, refreshToken, 200, res, 'Token refreshed');
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    List active sessions for the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    })
+    .sort({ lastUsedAt: -1 })
+    .select('device userAgent ip createdAt lastUsedAt expiresAt');
 
     res.status(200).json({
       success: true,
-      message: 'Password updated successfully'
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toObject(),
+          current: session._id.equals(req.sessionId)
+        }))
+      }
     });
 
   } catch (error) {
@@ -377,19 +776,57 @@ router.put('/password', protect, [
   }
 });
 
-// @desc    Logout user / clear cookie
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const result = await revokeSessions({ _id: req.params.id, user: req.user._id }, 'user_revoked');
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Logout user / revoke the current session
 // @route   POST /api/auth/logout
 // @access  Private
-router.post('/logout', protect, (req, res) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
-  });
-
-  res.status(200).json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+router.post('/logout', protect, async (req, res, next) => {
+  try {
+    await revokeSessions({ _id: req.sessionId }, 'logout');
+
+    res.cookie('token', 'none', {
+      expires: new Date(Date.now() + 10 * 1000),
+      httpOnly: true
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const { revealContact } = require('../services/contactPrivacy');
+
+const router = express.Router();
+
+// Contact details are only exchanged between a requester (or the staff of the
+// facility that raised the request) and their donors
+router.use(protect);
+router.use(authorize('recipient', 'hospital_staff', 'donor'));
+
+// @desc    Reveal the other party's contact details for a request's relay ID
+// @route   GET /api/contacts/:relayId
+// @access  Private (Requester, Raising facility's staff, Confirmed donor)
+router.get('/:relayId', [
+  param('relayId').trim().toUpperCase().matches(/^CR-[0-9A-F]{16}$/).withMessage('Invalid relay ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const contact = await revealContact(req.params.relayId, req.user, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { contact }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
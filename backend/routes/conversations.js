@@ -0,0 +1,225 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Conversation, EmergencyRequest } = require('../models');
+const { protect, authorize, authorizePermission } = require('../middleware/auth');
+const {
+  MAX_MESSAGE_LENGTH,
+  openConversation,
+  sendMessage,
+  markRead,
+  getMessages,
+  countUnread,
+  getUnreadTotal
+} = require('../services/chat');
+
+const router = express.Router();
+
+// Chat is open to requesters (including the staff of a facility that raised
+// the request), confirmed donors and admins with chat.view
+router.use(protect);
+router.use(authorize('recipient', 'hospital_staff', 'donor', 'admin'));
+router.use(authorizePermission(req => req.user.role === 'admin' && 'chat.view'));
+
+// @desc    Get the user's conversations with unread counts
+// @route   GET /api/conversations
+// @access  Private (Recipient, Hospital staff, Donor, Admin: chat.view)
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('emergencyRequest').optional().isMongoId().withMessage('Invalid emergency request ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Admins see every conversation; staff also see those about requests
+    // their facility raised; others only their own
+    let filter = { 'members.user': req.user._id };
+    if (req.user.role === 'admin') {
+      filter = {};
+    } else if (req.user.role === 'hospital_staff') {
+      const managed = await EmergencyRequest.find(EmergencyRequest.managedByFilter(req.user)).distinct('_id');
+      filter = { $or: [filter, { emergencyRequest: { $in: managed } }] };
+    }
+    if (req.query.emergencyRequest) filter.emergencyRequest = req.query.emergencyRequest;
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find(filter)
+        .populate('emergencyRequest', 'patient.name hospital.name status')
+        .populate('requester', 'name')
+        .populate('donor', 'name medicalInfo.bloodGroup')
+        .sort({ 'lastMessage.sentAt': -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Conversation.countDocuments(filter)
+    ]);
+
+    const unread = await Promise.all(conversations.map(conversation => countUnread(conversation, req.user._id)));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        conversations: conversations.map((conversation, index) => ({
+          ...conversation.toObject(),
+          unreadCount: unread[index]
+        })),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the user's total unread messages
+// @route   GET /api/conversations/unread-count
+// @access  Private (Recipient, Hospital staff, Donor, Admin: chat.view)
+router.get('/unread-count', async (req, res, next) => {
+  try {
+    const unreadCount = await getUnreadTotal(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: { unreadCount }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Open the conversation between a request's requester and a confirmed donor
+// @route   POST /api/conversations
+// @access  Private (Recipient, Hospital staff, Donor, Admin: chat.view)
+router.post('/', [
+  body('emergencyRequestId').isMongoId().withMessage('Valid emergency request ID is required'),
+  body('donorId')
+    .if((value, { req }) => req.user.role !== 'donor')
+    .isMongoId().withMessage('Valid donor ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const conversation = await openConversation(req.user, {
+      emergencyRequestId: req.body.emergencyRequestId,
+      donorId: req.body.donorId
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { conversation }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a conversation's messages, newest first
+// @route   GET /api/conversations/:id/messages
+// @access  Private (Conversation members, Admin: chat.view)
+router.get('/:id/messages', [
+  query('before').optional().isISO8601().withMessage('Before must be a valid date'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { conversation, messages, hasMore } = await getMessages(req.params.id, req.user, {
+      before: req.query.before,
+      limit: parseInt(req.query.limit) || 30
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        conversation,
+        messages,
+        hasMore,
+        // Pass as `before` to load the next page
+        nextBefore: hasMore ? messages[messages.length - 1].createdAt : null
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Send a message
+// @route   POST /api/conversations/:id/messages
+// @access  Private (Conversation members, Admin: chat.view)
+router.post('/:id/messages', [
+  body('text').trim().isLength({ min: 1, max: MAX_MESSAGE_LENGTH })
+    .withMessage(`Message must be between 1 and ${MAX_MESSAGE_LENGTH} characters`)
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const message = await sendMessage(req.params.id, req.user, req.body.text);
+
+    res.status(201).json({
+      success: true,
+      data: { message }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Mark a conversation as read
+// @route   PUT /api/conversations/:id/read
+// @access  Private (Conversation members, Admin: chat.view)
+router.put('/:id/read', async (req, res, next) => {
+  try {
+    const readAt = await markRead(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: { readAt }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,449 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { DonationHistory, User } = require('../models');
+const { protect, authorize, authorizePermission } = require('../middleware/auth');
+const { notifyUser, emitToRoom } = require('../services/notifications');
+const {
+  transitionDonation,
+  completeDonation,
+  rejectDonation,
+  verifyFulfillment
+} = require('../services/donationLifecycle');
+const { checkEligibility } = require('../services/eligibility');
+const { issueCertificate } = require('../services/certificates');
+
+const router = express.Router();
+
+// Donation check-in, screening and completion are recorded by admins with
+// donations.manage or by staff of the hospital where the donation takes place
+router.use(protect);
+router.use(authorize('admin', 'hospital_staff'));
+router.use(authorizePermission(req => req.user.role === 'admin' && 'donations.manage'));
+
+// Helper function to limit hospital staff to their own facility's donations
+function facilityScope(req) {
+  return req.user.role === 'hospital_staff'
+    ? { 'location.hospital.facility': req.user.hospital }
+    : {};
+}
+
+// Helper function to issue a completed donation's certificate and attach it
+// to the thank-you email; the PDF is rendered when the email is sent. A
+// certificate failure must not fail the completion; the donor can still
+// download it later.
+async function withCertificate(donation) {
+  try {
+    const issued = await issueCertificate(donation);
+    return { donation: issued, attachments: [{ certificate: issued._id }] };
+  } catch (error) {
+    console.error('Certificate error:', error);
+    return { donation, attachments: undefined };
+  }
+}
+
+// Helper function to load a donation or send a 404
+async function findDonation(req, res) {
+  const donation = await DonationHistory.findOne({ _id: req.params.id, ...facilityScope(req) });
+
+  if (!donation) {
+    res.status(404).json({
+      success: false,
+      message: 'Donation not found'
+    });
+    return null;
+  }
+
+  return donation;
+}
+
+// Helper function to reject a status change the lifecycle doesn't allow
+function sendInvalidTransition(res, donation, status) {
+  return res.status(400).json({
+    success: false,
+    message: `Cannot move a ${donation.status} donation to ${status}`,
+    status: donation.status,
+    allowedStatuses: DonationHistory.STATUS_TRANSITIONS[donation.status]
+  });
+}
+
+// Helper function for updates that lost a race with another staff member
+function sendConflict(res) {
+  return res.status(409).json({
+    success: false,
+    message: 'Donation was updated by someone else. Please refresh and try again.'
+  });
+}
+
+// Helper function to tell the donor, recipient and admins about a status change
+function broadcastDonationStatus(donation, extra = {}) {
+  const payload = {
+    donationId: donation._id,
+    emergencyRequestId: donation.emergencyRequest,
+    status: donation.status,
+    ...extra,
+    timestamp: new Date()
+  };
+
+  notifyUser(donation.donor, { event: 'donation-status-updated', payload });
+  if (donation.recipient) {
+    notifyUser(donation.recipient, { event: 'donation-status-updated', payload });
+  }
+  emitToRoom('admin-room', 'donation-status-updated', payload);
+}
+
+// @desc    Look up and verify a donation by its verification code
+// @route   POST /api/donations/verify
+// @access  Private (Admin: donations.manage, Hospital staff)
+router.post('/verify', [
+  body('code').trim().notEmpty().withMessage('Verification code is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const code = req.body.code.toUpperCase();
+
+    const donation = await DonationHistory.findOneAndUpdate(
+      {
+        'verification.verificationCode': code,
+        status: { $nin: ['cancelled', 'rejected'] },
+        ...facilityScope(req)
+      },
+      {
+        $set: {
+          'verification.hospitalVerified': true,
+          'verification.verifiedBy': req.user._id,
+          'verification.verifiedAt': new Date()
+        }
+      },
+      { new: true }
+    )
+    .populate('donor', 'name phone medicalInfo.bloodGroup')
+    .populate('recipient', 'name phone')
+    .populate('emergencyRequest', 'patient.name patient.bloodGroup hospital.name medical.unitsRequired fulfillment.unitsFulfilled status');
+
+    if (!donation) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active donation found for this verification code'
+      });
+    }
+
+    // Mark the matching fulfillment entry as verified once the donation is complete
+    if (donation.status === 'completed' && donation.emergencyRequest) {
+      await verifyFulfillment(donation.emergencyRequest._id, code);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Donation verified successfully',
+      data: {
+        donation
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Check a donor in for a scheduled donation
+// @route   PUT /api/donations/:id/check-in
+// @access  Private (Admin: donations.manage, Hospital staff)
+router.put('/:id/check-in', [
+  body('verificationCode').optional().trim().notEmpty().withMessage('Verification code cannot be empty')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donation = await findDonation(req, res);
+    if (!donation) return;
+
+    if (!donation.canTransitionTo('in_progress')) {
+      return sendInvalidTransition(res, donation, 'in_progress');
+    }
+
+    // The donor can show their code to confirm their identity at the desk
+    const { verificationCode } = req.body;
+    if (verificationCode && verificationCode.toUpperCase() !== donation.verification.verificationCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code does not match this donation'
+      });
+    }
+
+    const updated = await transitionDonation(donation, 'in_progress', {
+      changedBy: req.user._id,
+      set: {
+        'scheduling.arrivalTime': new Date(),
+        ...(verificationCode && { 'verification.donorVerified': true })
+      }
+    });
+
+    if (!updated) return sendConflict(res);
+
+    broadcastDonationStatus(updated);
+
+    res.status(200).json({
+      success: true,
+      message: 'Donor checked in successfully',
+      data: {
+        donation: updated
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Record pre-screening vitals for a checked-in donor
+// @route   PUT /api/donations/:id/vitals
+// @access  Private (Admin: donations.manage, Hospital staff)
+router.put('/:id/vitals', [
+  body('hemoglobin').optional().isFloat({ min: 3, max: 25 }).withMessage('Hemoglobin must be between 3 and 25 g/dL'),
+  body('bloodPressure.systolic').optional().isInt({ min: 50, max: 250 }).withMessage('Systolic pressure must be between 50 and 250'),
+  body('bloodPressure.diastolic').optional().isInt({ min: 30, max: 150 }).withMessage('Diastolic pressure must be between 30 and 150'),
+  body('pulse').optional().isInt({ min: 30, max: 200 }).withMessage('Pulse must be between 30 and 200'),
+  body('weight').optional().isFloat({ min: 30, max: 250 }).withMessage('Weight must be between 30 and 250 kg'),
+  body('temperature').optional().isFloat({ min: 34, max: 42 }).withMessage('Temperature must be between 34 and 42 °C')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donation = await findDonation(req, res);
+    if (!donation) return;
+
+    if (donation.status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'Vitals can only be recorded after the donor has checked in'
+      });
+    }
+
+    // Only overwrite the readings that were sent
+    const readings = {
+      hemoglobin: req.body.hemoglobin,
+      'bloodPressure.systolic': req.body.bloodPressure && req.body.bloodPressure.systolic,
+      'bloodPressure.diastolic': req.body.bloodPressure && req.body.bloodPressure.diastolic,
+      pulse: req.body.pulse,
+      weight: req.body.weight,
+      temperature: req.body.temperature
+    };
+
+    const vitalsUpdate = {};
+    Object.entries(readings).forEach(([path, value]) => {
+      if (value === undefined) return;
+      vitalsUpdate[`medical.preScreening.${path}`] = Number(value);
+      donation.set(`medical.preScreening.${path}`, Number(value));
+    });
+
+    const screening = donation.evaluatePreScreening();
+
+    const updated = await DonationHistory.findOneAndUpdate(
+      { _id: donation._id, status: 'in_progress' },
+      {
+        $set: {
+          ...vitalsUpdate,
+          'medical.preScreening.passed': screening.passed,
+          'medical.preScreening.issues': screening.issues,
+          'medical.preScreening.recordedAt': new Date(),
+          'medical.preScreening.recordedBy': req.user._id,
+          'metadata.updatedBy': req.user._id
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) return sendConflict(res);
+
+    res.status(200).json({
+      success: true,
+      message: screening.passed
+        ? 'Vitals recorded. Donor passed pre-screening.'
+        : 'Vitals recorded. Donor did not pass pre-screening.',
+      data: {
+        donation: updated,
+        screening
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Mark a donation as completed
+// @route   PUT /api/donations/:id/complete
+// @access  Private (Admin: donations.manage, Hospital staff)
+router.put('/:id/complete', [
+  body('units').optional().isInt({ min: 1, max: 10 }).withMessage('Units must be between 1 and 10'),
+  body('volume').optional().isInt({ min: 100, max: 1000 }).withMessage('Volume must be between 100 and 1000 ml'),
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donation = await findDonation(req, res);
+    if (!donation) return;
+
+    if (!donation.canTransitionTo('completed')) {
+      return sendInvalidTransition(res, donation, 'completed');
+    }
+
+    if (donation.medical.preScreening.passed === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Donor did not pass pre-screening. Reject the donation instead.',
+        issues: donation.medical.preScreening.issues
+      });
+    }
+
+    const result = await completeDonation(donation, {
+      units: parseInt(req.body.units) || donation.donation.units || 1,
+      volume: req.body.volume && parseInt(req.body.volume),
+      notes: req.body.notes,
+      changedBy: req.user._id
+    });
+
+    if (!result) return sendConflict(res);
+
+    const { emergencyRequest, rewardPoints, badges } = result;
+    const { donation: completed, attachments } = await withCertificate(result.donation);
+
+    broadcastDonationStatus(completed, {
+      unitsFulfilled: emergencyRequest && emergencyRequest.fulfillment.unitsFulfilled,
+      requestStatus: emergencyRequest && emergencyRequest.status
+    });
+
+    // When the donor can give the same component again
+    const donor = await User.findById(completed.donor);
+    const eligibility = donor && await checkEligibility(donor, { component: completed.donation.type });
+
+    // Thank the donor with their certificate attached
+    notifyUser(completed.donor, {
+      template: 'donation_completed',
+      data: {
+        units: completed.donation.units,
+        hospitalName: completed.location.hospital && completed.location.hospital.name,
+        rewardPoints,
+        badges: badges.map(badge => badge.name),
+        nextEligibleDate: eligibility && eligibility.nextEligibleDate,
+        certificateCode: completed.recognition.certificateCode
+      },
+      always: true,
+      attachments,
+      metadata: { donation: completed._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Donation completed successfully',
+      data: {
+        donation: completed,
+        emergencyRequest,
+        rewardPoints,
+        badges
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reject a donation with a reason
+// @route   PUT /api/donations/:id/reject
+// @access  Private (Admin: donations.manage, Hospital staff)
+router.put('/:id/reject', [
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be between 3 and 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donation = await findDonation(req, res);
+    if (!donation) return;
+
+    if (!donation.canTransitionTo('rejected')) {
+      return sendInvalidTransition(res, donation, 'rejected');
+    }
+
+    const result = await rejectDonation(donation, {
+      reason: req.body.reason,
+      changedBy: req.user._id
+    });
+
+    if (!result) return sendConflict(res);
+
+    const { donation: rejected, emergencyRequest, pointsRevoked } = result;
+    const afterCollection = donation.status === 'completed';
+
+    broadcastDonationStatus(rejected, {
+      reason: req.body.reason,
+      ...(emergencyRequest && {
+        unitsFulfilled: emergencyRequest.fulfillment.unitsFulfilled,
+        requestStatus: emergencyRequest.status
+      })
+    });
+
+    notifyUser(rejected.donor, {
+      template: afterCollection ? 'donation_unit_rejected' : 'donation_deferred',
+      data: {
+        hospitalName: rejected.location.hospital && rejected.location.hospital.name,
+        reason: req.body.reason,
+        pointsRevoked
+      },
+      always: true,
+      metadata: { donation: rejected._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Donation rejected',
+      data: {
+        donation: rejected,
+        emergencyRequest,
+        ...(afterCollection && { pointsRevoked })
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,34 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
-const { User, EmergencyRequest, DonationHistory } = require('../models');
+const { User, EmergencyRequest, DonationHistory, DonationSlot, Hospital } = require('../models');
 const { protect, authorize, checkDonorApproval } = require('../middleware/auth');
+const { isCompatible, buildCompatibleRequestFilter } = require('../utils/bloodCompatibility');
+const {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  metersToKm,
+  normalizeRadius,
+  geoNearStage
+} = require('../utils/geo');
+const { checkDispatchCompletion } = require('../services/emergencyDispatcher');
+const { notifyUser, emitToRoom } = require('../services/notifications');
+const { checkEligibility } = require('../services/eligibility');
+const { DEFAULT_VOLUME_ML, transitionDonation } = require('../services/donationLifecycle');
+const {
+  bookSlot,
+  rescheduleDonation,
+  findAvailableSlots,
+  buildCalendarInvite,
+  sendAppointmentInvite
+} = require('../services/appointments');
+const { issueCertificate, renderCertificatePdf } = require('../services/certificates');
+const { getRewardsSummary } = require('../services/rewards');
+const {
+  CURRENT_VERSION,
+  getQuestionnaire,
+  screenAnswers,
+  applyScreeningDeferrals
+} = require('../services/questionnaire');
 
 const router = express.Router();
 
@@ -16,16 +43,16 @@ router.get('/dashboard', checkDonorApproval, async (req, res, next) => {
   try {
     const donorId = req.user.id;
 
-    // Get emergency requests matching donor's blood group and city
-    const emergencyRequests = await EmergencyRequest.find({
-      'patient.bloodGroup': req.user.medicalInfo.bloodGroup,
-      'hospital.address.city': { $regex: req.user.address.city, $options: 'i' },
-      status: 'active',
+    // Get nearby emergency requests the donor's blood group can serve
+    const { emergencyRequests } = await findRequestsForDonor(req.user, {
+      ...buildCompatibleRequestFilter(req.user.medicalInfo.bloodGroup),
+      status: { $in: EmergencyRequest.OPEN_STATUSES },
       'medical.requiredBy': { $gte: new Date() }
-    })
-    .populate('requester', 'name phone')
-    .sort({ 'admin.priorityScore': -1, createdAt: -1 })
-    .limit(10);
+    }, {
+      sort: { 'admin.priorityScore': -1, createdAt: -1 },
+      limit: 10,
+      requesterFields: 'name'
+    });
 
     // Get donor's donation history
     const donationHistory = await DonationHistory.find({ donor: donorId })
@@ -37,19 +64,20 @@ router.get('/dashboard', checkDonorApproval, async (req, res, next) => {
     const myResponses = await EmergencyRequest.find({
       'responses.donor': donorId
     })
-    .populate('requester', 'name phone')
+    .populate('requester', 'name')
     .sort({ createdAt: -1 })
     .limit(5);
 
+    const eligibility = await checkEligibility(req.user, { component: 'blood' });
+
     // Calculate donor stats
     const stats = {
       totalDonations: req.user.stats.totalDonations,
       lifetimeUnits: donationHistory.reduce((sum, donation) => sum + (donation.donation.units || 0), 0),
       responseCount: myResponses.length,
       lastDonationDate: req.user.medicalInfo.lastDonationDate,
-      nextEligibleDate: req.user.medicalInfo.lastDonationDate ? 
-        new Date(req.user.medicalInfo.lastDonationDate.getTime() + (56 * 24 * 60 * 60 * 1000)) : null,
-      canDonateNow: req.user.canDonate()
+      nextEligibleDate: eligibility.nextEligibleDate,
+      canDonateNow: eligibility.eligible
     };
 
     res.status(200).json({
@@ -59,7 +87,8 @@ router.get('/dashboard', checkDonorApproval, async (req, res, next) => {
         emergencyRequests,
         donationHistory,
         myResponses,
-        stats
+        stats,
+        eligibility
       }
     });
 
@@ -68,6 +97,67 @@ router.get('/dashboard', checkDonorApproval, async (req, res, next) => {
   }
 });
 
+// Helper function to find requests near a donor. Uses the donor's GeoJSON location,
+// limited to the given radius and to each request's own visibility.maxRadius, and
+// falls back to matching the donor's city when the donor has no location.
+async function findRequestsForDonor(donor, filter, { radius, sort, skip = 0, limit, requesterFields }) {
+  const hasLocation = donor.location && donor.location.coordinates && donor.location.coordinates.length === 2;
+
+  if (!hasLocation) {
+    const cityFilter = { ...filter, 'hospital.address.city': { $regex: donor.address.city, $options: 'i' } };
+    const [emergencyRequests, total] = await Promise.all([
+      EmergencyRequest.find(cityFilter)
+        .populate('requester', requesterFields)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      EmergencyRequest.countDocuments(cityFilter)
+    ]);
+
+    return { emergencyRequests, total };
+  }
+
+  const [result] = await EmergencyRequest.aggregate([
+    geoNearStage({
+      point: { type: 'Point', coordinates: donor.location.coordinates },
+      key: 'hospital.location',
+      radiusKm: normalizeRadius(radius, MAX_RADIUS_KM),
+      query: filter
+    }),
+    {
+      $match: {
+        $expr: {
+          $lte: ['$distance', { $multiply: [{ $ifNull: ['$visibility.maxRadius', DEFAULT_RADIUS_KM] }, 1000] }]
+        }
+      }
+    },
+    {
+      $facet: {
+        results: [{ $sort: sort }, { $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const documents = result.results.map(({ distance, ...request }) => ({
+    request: EmergencyRequest.hydrate(request),
+    distance
+  }));
+
+  await EmergencyRequest.populate(documents.map(doc => doc.request), {
+    path: 'requester',
+    select: requesterFields
+  });
+
+  return {
+    emergencyRequests: documents.map(({ request, distance }) => ({
+      ...request.toObject(),
+      distanceKm: metersToKm(distance)
+    })),
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+}
+
 // @desc    Update donor availability
 // @route   PUT /api/donor/availability
 // @access  Private (Donor)
@@ -137,8 +227,8 @@ router.get('/emergency-requests', checkDonorApproval, [
 
     // Build query
     const query = {
-      'patient.bloodGroup': req.user.medicalInfo.bloodGroup,
-      status: 'active',
+      ...buildCompatibleRequestFilter(req.user.medicalInfo.bloodGroup),
+      status: { $in: EmergencyRequest.OPEN_STATUSES },
       'medical.requiredBy': { $gte: new Date() }
     };
 
@@ -147,18 +237,14 @@ router.get('/emergency-requests', checkDonorApproval, [
       query['medical.urgencyLevel'] = req.query.urgency;
     }
 
-    // Add location filter (simplified - using city for now)
-    query['hospital.address.city'] = { $regex: req.user.address.city, $options: 'i' };
-
-    // Get emergency requests
-    const emergencyRequests = await EmergencyRequest.find(query)
-      .populate('requester', 'name phone email')
-      .sort({ 'admin.priorityScore': -1, 'medical.urgencyLevel': -1, createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    // Get total count
-    const total = await EmergencyRequest.countDocuments(query);
+    // Get emergency requests within range of the donor
+    const { emergencyRequests, total } = await findRequestsForDonor(req.user, query, {
+      radius: req.query.radius,
+      sort: { 'admin.priorityScore': -1, 'medical.urgencyLevel': -1, createdAt: -1 },
+      skip,
+      limit,
+      requesterFields: 'name'
+    });
 
     res.status(200).json({
       success: true,
@@ -178,13 +264,58 @@ router.get('/emergency-requests', checkDonorApproval, [
   }
 });
 
+// Helper function to validate questionnaire answers, required to confirm a response
+function questionnaireValidation() {
+  const confirming = () => body('responseType').equals('confirmed');
+  const { questions } = getQuestionnaire();
+
+  return [
+    body('questionnaire.version')
+      .if(confirming())
+      .isInt({ min: 1 }).withMessage('The health questionnaire must be completed to confirm')
+      .toInt(),
+    ...questions.map(question => {
+      let field = body(`questionnaire.answers.${question.id}`).if(confirming());
+      if (question.requiredIf) {
+        field = field.if(body(`questionnaire.answers.${question.requiredIf}`).equals('true'));
+      }
+
+      const message = `Please answer: ${question.text}`;
+      switch (question.type) {
+        case 'boolean':
+          return field.isBoolean().withMessage(message).toBoolean();
+        case 'number':
+          return field.isFloat({ min: question.min, max: question.max }).withMessage(message).toFloat();
+        case 'date':
+          return field.isISO8601().withMessage(message);
+        default:
+          return field
+            .isArray({ max: 20 }).withMessage(message)
+            .custom(items => items.every(item => typeof item === 'string' && item.length <= 100))
+            .withMessage(`${question.id} must be a list of short text entries`);
+      }
+    })
+  ];
+}
+
+// @desc    Get the current pre-donation health questionnaire
+// @route   GET /api/donor/questionnaire
+// @access  Private (Donor)
+router.get('/questionnaire', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getQuestionnaire()
+  });
+});
+
 // @desc    Respond to emergency request
 // @route   POST /api/donor/emergency-requests/:id/respond
 // @access  Private (Donor)
 router.post('/emergency-requests/:id/respond', checkDonorApproval, [
   body('responseType').isIn(['interested', 'confirmed']).withMessage('Response type must be interested or confirmed'),
   body('scheduledTime').optional().isISO8601().withMessage('Scheduled time must be a valid date'),
-  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  ...questionnaireValidation()
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -196,16 +327,17 @@ router.post('/emergency-requests/:id/respond', checkDonorApproval, [
       });
     }
 
-    const { responseType, scheduledTime, notes } = req.body;
-    const emergencyRequestId = req.params.id;
+    const { responseType, scheduledTime, notes, questionnaire } = req.body;
 
-    // Check if donor can donate
-    if (!req.user.canDonate()) {
+    // Answers to an older questionnaire have to be given again
+    if (responseType === 'confirmed' && questionnaire.version !== CURRENT_VERSION) {
       return res.status(400).json({
         success: false,
-        message: 'You are not eligible to donate at this time. Please check your last donation date.'
+        message: 'The health questionnaire has changed. Please answer the current questions.',
+        data: getQuestionnaire()
       });
     }
+    const emergencyRequestId = req.params.id;
 
     // Find emergency request
     const emergencyRequest = await EmergencyRequest.findById(emergencyRequestId);
@@ -217,8 +349,19 @@ router.post('/emergency-requests/:id/respond', checkDonorApproval, [
       });
     }
 
-    // Check if request is still active
-    if (emergencyRequest.status !== 'active') {
+    // Check if donor can donate the requested component
+    const eligibility = await checkEligibility(req.user, { component: emergencyRequest.medical.bloodType });
+    if (!eligibility.eligible) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not eligible to donate at this time',
+        reasons: eligibility.reasons,
+        nextEligibleDate: eligibility.nextEligibleDate
+      });
+    }
+
+    // Check if request is still open
+    if (!emergencyRequest.isOpen()) {
       return res.status(400).json({
         success: false,
         message: 'This emergency request is no longer active'
@@ -233,47 +376,84 @@ router.post('/emergency-requests/:id/respond', checkDonorApproval, [
       });
     }
 
-    // Check blood group compatibility
-    if (emergencyRequest.patient.bloodGroup !== req.user.medicalInfo.bloodGroup) {
+    // Check blood group compatibility for the requested component
+    if (!isCompatible(
+      req.user.medicalInfo.bloodGroup,
+      emergencyRequest.patient.bloodGroup,
+      emergencyRequest.medical.bloodType
+    )) {
       return res.status(400).json({
         success: false,
-        message: 'Blood group mismatch'
+        message: `Blood group ${req.user.medicalInfo.bloodGroup} is not compatible with ${emergencyRequest.patient.bloodGroup} for ${emergencyRequest.medical.bloodType.replace('_', ' ')}`
       });
     }
 
+    // Screen the donor's answers before accepting a confirmation. Flagged
+    // answers defer the donor, and the response is cancelled with the answers
+    // kept on it.
+    let screening;
+    if (responseType === 'confirmed') {
+      screening = await screenAnswers(questionnaire.answers, { component: emergencyRequest.medical.bloodType });
+
+      if (screening.flags.length > 0) {
+        await applyScreeningDeferrals(req.user, screening);
+      }
+
+      if (!screening.passed) {
+        await emergencyRequest.addDonorResponse(req.user.id, 'cancelled', null, notes, screening);
+        const eligibility = await checkEligibility(req.user, { component: emergencyRequest.medical.bloodType });
+
+        return res.status(400).json({
+          success: false,
+          message: 'Based on your answers you cannot donate right now. You have been deferred until it is safe to donate.',
+          reasons: screening.flags.map(flag => flag.reason),
+          nextEligibleDate: eligibility.nextEligibleDate
+        });
+      }
+    }
+
     // Add or update donor response
-    await emergencyRequest.addDonorResponse(
+    const updatedRequest = await emergencyRequest.addDonorResponse(
       req.user.id,
       responseType,
       scheduledTime ? new Date(scheduledTime) : null,
-      notes
+      notes,
+      screening
     );
 
+    // Stop further notification waves once enough donors have confirmed
+    if (responseType === 'confirmed') {
+      await checkDispatchCompletion(emergencyRequestId);
+    }
+
     // Send real-time notification to admin and requester
-    const io = req.app.get('io');
-    if (io) {
-      io.to('admin-room').emit('donor-response', {
-        emergencyRequestId,
-        donorId: req.user.id,
-        donorName: req.user.name,
-        responseType,
-        timestamp: new Date()
-      });
+    emitToRoom('admin-room', 'donor-response', {
+      emergencyRequestId,
+      donorId: req.user.id,
+      donorName: req.user.name,
+      responseType,
+      timestamp: new Date()
+    });
 
-      io.to(`requester-${emergencyRequest.requester}`).emit('donor-response', {
+    notifyUser(emergencyRequest.requester, {
+      event: 'donor-response',
+      payload: {
         emergencyRequestId,
         donorName: req.user.name,
         responseType,
         timestamp: new Date()
-      });
-    }
+      }
+    });
 
     res.status(200).json({
       success: true,
       message: `Response recorded successfully. ${responseType === 'confirmed' ? 'Thank you for confirming your donation!' : 'Thank you for showing interest!'}`,
       data: {
         responseType,
-        emergencyRequestId
+        emergencyRequestId,
+        // Reveals the requester's contact details once confirmed, through
+        // GET /api/contacts/:relayId
+        relayId: updatedRequest.responses.find(r => r.donor.equals(req.user._id)).relayId
       }
     });
 
@@ -288,7 +468,7 @@ router.post('/emergency-requests/:id/respond', checkDonorApproval, [
 router.get('/donations', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-  query('status').optional().isIn(['scheduled', 'completed', 'cancelled']).withMessage('Invalid status')
+  query('status').optional().isIn(DonationHistory.DONATION_STATUSES).withMessage('Invalid status')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -352,6 +532,322 @@ router.get('/donations', [
   }
 });
 
+// @desc    Get open appointment slots, in the donor's preferred time of day by default
+// @route   GET /api/donor/slots
+// @access  Private (Donor)
+router.get('/slots', checkDonorApproval, [
+  query('facility').optional().isMongoId().withMessage('Invalid facility ID'),
+  query('from').optional().isISO8601().withMessage('From date must be valid'),
+  query('to').optional().isISO8601().withMessage('To date must be valid'),
+  query('preferredTime').optional().isIn(['morning', 'afternoon', 'evening', 'any']).withMessage('Invalid preferred time'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const preferredTime = req.query.preferredTime ||
+      (req.user.availability && req.user.availability.preferredDonationTime) || 'any';
+
+    const slots = await findAvailableSlots({
+      facility: req.query.facility,
+      from: req.query.from,
+      to: req.query.to,
+      preference: preferredTime,
+      limit: parseInt(req.query.limit) || 50
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        slots,
+        preferredTime
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Book a donation appointment in a slot
+// @route   POST /api/donor/appointments
+// @access  Private (Donor)
+router.post('/appointments', checkDonorApproval, [
+  body('slotId').isMongoId().withMessage('Invalid slot ID'),
+  body('component').optional().isIn(User.DONATION_COMPONENTS).withMessage('Invalid component'),
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { slotId, notes } = req.body;
+    const component = req.body.component || 'blood';
+
+    const slot = await DonationSlot.findById(slotId);
+    const hospital = slot && await Hospital.findOne({ _id: slot.facility, isActive: true });
+    if (!hospital) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment slot not found'
+      });
+    }
+
+    // Donors can only book when they will be eligible on the day
+    const eligibility = await checkEligibility(req.user, { component, now: slot.startsAt });
+    if (!eligibility.eligible) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not eligible to donate on this date',
+        data: {
+          reasons: eligibility.reasons,
+          nextEligibleDate: eligibility.nextEligibleDate
+        }
+      });
+    }
+
+    const donation = await bookSlot({
+      donor: req.user._id,
+      donation: {
+        type: component,
+        units: 1,
+        volume: DEFAULT_VOLUME_ML[component],
+        bloodGroup: req.user.medicalInfo.bloodGroup
+      },
+      location: { hospital: hospital.toEmbedded() },
+      status: 'scheduled',
+      statusHistory: [{ to: 'scheduled', changedBy: req.user._id }],
+      notes: notes ? { donorNotes: notes } : undefined,
+      metadata: {
+        createdBy: req.user._id,
+        source: 'scheduled'
+      }
+    }, slotId);
+
+    sendAppointmentInvite(donation, 'appointment_booked');
+    emitToRoom(`hospital-${hospital._id}`, 'donation-scheduled', {
+      donationId: donation._id,
+      donorId: req.user._id,
+      scheduledDate: donation.scheduling.scheduledDate,
+      timestamp: new Date()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Appointment booked. A calendar invite has been sent to your email.',
+      data: { donation }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Move a scheduled donation to another slot at the same facility
+// @route   PUT /api/donor/donations/:id/slot
+// @access  Private (Donor)
+router.put('/donations/:id/slot', [
+  body('slotId').isMongoId().withMessage('Invalid slot ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donation = await DonationHistory.findOne({ _id: req.params.id, donor: req.user._id });
+    if (!donation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donation not found'
+      });
+    }
+
+    const updated = await rescheduleDonation(donation, req.body.slotId, {
+      changedBy: req.user._id,
+      reason: 'Rescheduled by donor'
+    });
+
+    sendAppointmentInvite(updated, 'appointment_rescheduled');
+    notifyAppointmentChange(updated, 'donation-rescheduled');
+
+    res.status(200).json({
+      success: true,
+      message: 'Appointment rescheduled',
+      data: { donation: updated }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Cancel a scheduled donation
+// @route   PUT /api/donor/donations/:id/cancel
+// @access  Private (Donor)
+router.put('/donations/:id/cancel', [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donation = await DonationHistory.findOne({ _id: req.params.id, donor: req.user._id });
+    if (!donation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donation not found'
+      });
+    }
+
+    if (donation.status !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only scheduled donations can be cancelled'
+      });
+    }
+
+    const updated = await transitionDonation(donation, 'cancelled', {
+      changedBy: req.user._id,
+      reason: req.body.reason || 'Cancelled by donor'
+    });
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Donation was updated by someone else. Please refresh and try again.'
+      });
+    }
+
+    // The donor is no longer coming for the request they were selected for
+    if (updated.emergencyRequest) {
+      await EmergencyRequest.updateOne(
+        { _id: updated.emergencyRequest, 'responses.donor': req.user._id },
+        {
+          $set: {
+            'responses.$.responseType': 'cancelled',
+            'fulfillment.selectedDonors.$[selection].status': 'cancelled'
+          }
+        },
+        { arrayFilters: [{ 'selection.donation': updated._id, 'selection.status': 'scheduled' }] }
+      );
+    }
+
+    sendAppointmentInvite(updated, 'appointment_cancelled');
+    notifyAppointmentChange(updated, 'donation-cancelled');
+
+    res.status(200).json({
+      success: true,
+      message: 'Appointment cancelled',
+      data: { donation: updated }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Download a scheduled donation as a calendar invite
+// @route   GET /api/donor/donations/:id/calendar.ics
+// @access  Private (Donor)
+router.get('/donations/:id/calendar.ics', async (req, res, next) => {
+  try {
+    const donation = await DonationHistory.findOne({ _id: req.params.id, donor: req.user._id });
+    if (!donation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donation not found'
+      });
+    }
+
+    const invite = await buildCalendarInvite(donation, { cancelled: donation.status === 'cancelled' });
+
+    res.set('Content-Type', invite.contentType);
+    res.set('Content-Disposition', `attachment; filename="${invite.filename}"`);
+    res.status(200).send(invite.content);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Download the certificate of a completed donation as a PDF
+// @route   GET /api/donor/donations/:id/certificate
+// @access  Private (Donor)
+router.get('/donations/:id/certificate', async (req, res, next) => {
+  try {
+    const donation = await DonationHistory.findOne({ _id: req.params.id, donor: req.user._id });
+    if (!donation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donation not found'
+      });
+    }
+
+    if (donation.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Certificates are only available for completed donations'
+      });
+    }
+
+    // Donations completed before certificates existed get one on first download
+    const issued = await issueCertificate(donation);
+    const pdf = await renderCertificatePdf(issued, req.user);
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="donation-certificate-${issued.recognition.certificateCode}.pdf"`);
+    res.status(200).send(pdf);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to tell the hospital, admins and any requester that a
+// donor changed their appointment
+function notifyAppointmentChange(donation, event) {
+  const payload = {
+    donationId: donation._id,
+    donorId: donation.donor,
+    emergencyRequestId: donation.emergencyRequest,
+    status: donation.status,
+    scheduledDate: donation.scheduling.scheduledDate,
+    timestamp: new Date()
+  };
+
+  emitToRoom('admin-room', event, payload);
+  if (donation.location.hospital.facility) {
+    emitToRoom(`hospital-${donation.location.hospital.facility}`, event, payload);
+  }
+  if (donation.recipient) {
+    notifyUser(donation.recipient, { event, payload });
+  }
+}
+
 // @desc    Get donor's response history
 // @route   GET /api/donor/responses
 // @access  Private (Donor)
@@ -376,7 +872,7 @@ router.get('/responses', [
     const responses = await EmergencyRequest.find({
       'responses.donor': req.user.id
     })
-    .populate('requester', 'name phone')
+    .populate('requester', 'name')
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit)
@@ -421,6 +917,119 @@ router.get('/responses', [
   }
 });
 
+// @desc    Check donor eligibility, per component or for one component
+// @route   GET /api/donor/eligibility
+// @access  Private (Donor)
+router.get('/eligibility', [
+  query('component').optional().isIn(User.DONATION_COMPONENTS).withMessage('Invalid component')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const eligibility = await checkEligibility(req.user, { component: req.query.component });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eligibility,
+        deferrals: req.user.getActiveDeferrals()
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get donor's reward points, badges and points history
+// @route   GET /api/donor/rewards
+// @access  Private (Donor)
+router.get('/rewards', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rewards = await getRewardsSummary(req.user, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.status(200).json({
+      success: true,
+      data: rewards
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update donor privacy settings
+// @route   PUT /api/donor/privacy
+// @access  Private (Donor)
+router.put('/privacy', [
+  body('showOnLeaderboard').optional().isBoolean().withMessage('Show on leaderboard must be true or false'),
+  body('revealContact').optional().isIn(['on_confirm', 'never']).withMessage('Reveal contact must be on_confirm or never'),
+  body('sharePhone').optional().isBoolean().withMessage('Share phone must be true or false'),
+  body('shareEmail').optional().isBoolean().withMessage('Share email must be true or false')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updateData = {};
+    ['showOnLeaderboard', 'revealContact', 'sharePhone', 'shareEmail'].forEach(field => {
+      if (req.body[field] !== undefined) updateData[`privacy.${field}`] = req.body[field];
+    });
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No privacy settings provided'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Privacy settings updated successfully',
+      data: {
+        privacy: user.privacy
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Update donor medical information
 // @route   PUT /api/donor/medical-info
 // @access  Private (Donor)
@@ -428,7 +1037,10 @@ router.put('/medical-info', [
   body('weight').optional().isFloat({ min: 50, max: 200 }).withMessage('Weight must be between 50 and 200 kg'),
   body('medicalConditions').optional().isArray().withMessage('Medical conditions must be an array'),
   body('medications').optional().isArray().withMessage('Medications must be an array'),
-  body('lastDonationDate').optional().isISO8601().withMessage('Last donation date must be a valid date')
+  body('lastDonationDate').optional().isISO8601().withMessage('Last donation date must be a valid date'),
+  body('sex').optional().isIn(['male', 'female']).withMessage('Sex must be male or female'),
+  body('lastTattooDate').optional({ nullable: true }).isISO8601().withMessage('Last tattoo date must be a valid date'),
+  body('lastTravelDate').optional({ nullable: true }).isISO8601().withMessage('Last travel date must be a valid date')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -440,13 +1052,24 @@ router.put('/medical-info', [
       });
     }
 
-    const { weight, medicalConditions, medications, lastDonationDate } = req.body;
+    const { weight, sex, medicalConditions, medications, lastDonationDate, lastTattooDate, lastTravelDate } = req.body;
+
+    // Sex changes donation intervals, so it cannot be changed once recorded
+    if (sex !== undefined && req.user.medicalInfo.sex && sex !== req.user.medicalInfo.sex) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sex is already recorded. Please contact support to change it.'
+      });
+    }
 
     const updateData = {};
     if (weight !== undefined) updateData['medicalInfo.weight'] = weight;
+    if (sex !== undefined) updateData['medicalInfo.sex'] = sex;
     if (medicalConditions !== undefined) updateData['medicalInfo.medicalConditions'] = medicalConditions;
     if (medications !== undefined) updateData['medicalInfo.medications'] = medications;
     if (lastDonationDate !== undefined) updateData['medicalInfo.lastDonationDate'] = new Date(lastDonationDate);
+    if (lastTattooDate !== undefined) updateData['medicalInfo.lastTattooDate'] = lastTattooDate && new Date(lastTattooDate);
+    if (lastTravelDate !== undefined) updateData['medicalInfo.lastTravelDate'] = lastTravelDate && new Date(lastTravelDate);
 
     const user = await User.findByIdAndUpdate(
       req.user.id,
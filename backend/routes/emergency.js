@@ -1,7 +1,10 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { EmergencyRequest, User } = require('../models');
-const { protect } = require('../middleware/auth');
+const { protect, authorizePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { BLOOD_COMPONENTS, getCompatibleDonorGroups } = require('../utils/bloodCompatibility');
+const { notifyUser, emitToRoom } = require('../services/notifications');
 
 const router = express.Router();
 
@@ -11,7 +14,7 @@ const router = express.Router();
 router.get('/active', async (req, res, next) => {
   try {
     const activeRequests = await EmergencyRequest.find({
-      status: 'active',
+      status: { $in: EmergencyRequest.OPEN_STATUSES },
       'medical.requiredBy': { $gte: new Date() }
     })
     .select('patient.bloodGroup medical.urgencyLevel hospital.name hospital.address.city createdAt')
@@ -21,7 +24,7 @@ router.get('/active', async (req, res, next) => {
     const summary = await EmergencyRequest.aggregate([
       {
         $match: {
-          status: 'active',
+          status: { $in: EmergencyRequest.OPEN_STATUSES },
           'medical.requiredBy': { $gte: new Date() }
         }
       },
@@ -53,9 +56,19 @@ router.get('/active', async (req, res, next) => {
 
 // @desc    Emergency alert broadcast
 // @route   POST /api/emergency/broadcast
-// @access  Private (Admin or Emergency Services)
-router.post('/broadcast', protect, [
+// @access  Private (Admin: broadcast.send)
+router.post('/broadcast', protect, authorizePermission('broadcast.send'), audit('broadcast.send', {
+  target: req => ({ type: 'broadcast', id: 'emergency', label: req.body.city }),
+  metadata: req => ({
+    bloodGroup: req.body.bloodGroup,
+    bloodType: req.body.bloodType,
+    urgencyLevel: req.body.urgencyLevel,
+    city: req.body.city,
+    message: req.body.message
+  })
+}), [
   body('bloodGroup').isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Invalid blood group'),
+  body('bloodType').optional().isIn(BLOOD_COMPONENTS).withMessage('Invalid blood type'),
   body('urgencyLevel').isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid urgency level'),
   body('city').isLength({ min: 2 }).withMessage('City must be at least 2 characters'),
   body('message').isLength({ min: 10, max: 500 }).withMessage('Message must be 10-500 characters'),
@@ -72,40 +85,46 @@ router.post('/broadcast', protect, [
     }
 
     const { bloodGroup, urgencyLevel, city, message, radius } = req.body;
+    const bloodType = req.body.bloodType || 'whole_blood';
 
-    // Find eligible donors
+    // Find eligible donors whose blood group is compatible
     const eligibleDonors = await User.find({
       role: 'donor',
-      'admin.isApproved': true,
+      status: 'approved',
       'availability.isAvailable': true,
-      'medicalInfo.bloodGroup': bloodGroup,
+      'medicalInfo.bloodGroup': { $in: getCompatibleDonorGroups(bloodGroup, bloodType) },
       'address.city': { $regex: city, $options: 'i' }
     });
 
     // Broadcast to all eligible donors
-    const io = req.app.get('io');
-    if (io) {
-      const broadcastData = {
-        type: 'emergency-broadcast',
-        bloodGroup,
-        urgencyLevel,
-        city,
-        message,
-        broadcastBy: req.user.name,
-        timestamp: new Date()
-      };
+    const broadcastData = {
+      type: 'emergency-broadcast',
+      bloodGroup,
+      bloodType,
+      urgencyLevel,
+      city,
+      message,
+      broadcastBy: req.user.name,
+      timestamp: new Date()
+    };
 
-      // Send to individual donors
-      eligibleDonors.forEach(donor => {
-        io.to(`donor-${donor._id}`).emit('emergency-broadcast', broadcastData);
+    // Send to individual donors, by email/SMS when they are offline
+    eligibleDonors.forEach(donor => {
+      notifyUser(donor, {
+        event: 'emergency-broadcast',
+        payload: broadcastData,
+        template: 'emergency_broadcast',
+        data: { bloodGroup, city, urgencyLevel, message }
       });
+    });
 
-      // Send to admin room
-      io.to('admin-room').emit('emergency-broadcast-sent', {
-        ...broadcastData,
-        recipientCount: eligibleDonors.length
-      });
-    }
+    res.locals.audit = { metadata: { recipientCount: eligibleDonors.length } };
+
+    // Send to admin room
+    emitToRoom('admin-room', 'emergency-broadcast-sent', {
+      ...broadcastData,
+      recipientCount: eligibleDonors.length
+    });
 
     res.status(200).json({
       success: true,
@@ -114,6 +133,7 @@ router.post('/broadcast', protect, [
         recipientCount: eligibleDonors.length,
         broadcastData: {
           bloodGroup,
+          bloodType,
           urgencyLevel,
           city,
           message
@@ -0,0 +1,927 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { EmergencyRequest, DonationHistory, InventoryUnit, DonationSlot } = require('../models');
+const { protect, authorize, requireHospital } = require('../middleware/auth');
+const { BLOOD_GROUPS, BLOOD_COMPONENTS, DEFAULT_COMPONENT, isCompatible } = require('../utils/bloodCompatibility');
+const { transitionDonation } = require('../services/donationLifecycle');
+const {
+  checkInventoryAndDispatch,
+  transitionUnit,
+  reserveUnits,
+  issueUnit,
+  releaseUnit
+} = require('../services/inventory');
+const { rescoreRequest } = require('../services/priority');
+const { notifyUser, emitToRoom } = require('../services/notifications');
+
+const router = express.Router();
+
+// All routes are protected and require a hospital staff account linked to an
+// active facility
+router.use(protect);
+router.use(authorize('hospital_staff'));
+router.use(requireHospital);
+
+// @desc    Get the staff member's facility
+// @route   GET /api/hospital/profile
+// @access  Private (Hospital staff)
+router.get('/profile', async (req, res, next) => {
+  try {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
+
+    const stats = await Promise.all([
+      DonationHistory.countDocuments({
+        'location.hospital.facility': req.hospital._id,
+        status: 'scheduled',
+        'scheduling.scheduledDate': { $gte: today, $lt: tomorrow }
+      }),
+      DonationHistory.countDocuments({ 'location.hospital.facility': req.hospital._id, status: 'in_progress' }),
+      EmergencyRequest.countDocuments({
+        'hospital.facility': req.hospital._id,
+        status: { $in: EmergencyRequest.OPEN_STATUSES }
+      })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        hospital: req.hospital,
+        stats: {
+          scheduledToday: stats[0],
+          inProgress: stats[1],
+          openRequests: stats[2]
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get donations scheduled at the facility
+// @route   GET /api/hospital/donations
+// @access  Private (Hospital staff)
+router.get('/donations', [
+  query('status').optional().isIn(['scheduled', 'in_progress', 'completed', 'cancelled', 'rejected']).withMessage('Invalid status'),
+  query('from').optional().isISO8601().withMessage('From date must be valid'),
+  query('to').optional().isISO8601().withMessage('To date must be valid'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Incoming donations by default
+    const query = {
+      'location.hospital.facility': req.hospital._id,
+      status: req.query.status || { $in: ['scheduled', 'in_progress'] }
+    };
+
+    if (req.query.from || req.query.to) {
+      query['scheduling.scheduledDate'] = {
+        ...(req.query.from && { $gte: new Date(req.query.from) }),
+        ...(req.query.to && { $lte: new Date(req.query.to) })
+      };
+    }
+
+    const donations = await DonationHistory.find(query)
+      .populate('donor', 'name phone medicalInfo.bloodGroup')
+      .populate('emergencyRequest', 'patient.name patient.bloodGroup medical.unitsRequired medical.urgencyLevel')
+      .sort({ 'scheduling.scheduledDate': 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await DonationHistory.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        donations,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Verify a donor on arrival by their donation code and check them in
+// @route   POST /api/hospital/arrivals
+// @access  Private (Hospital staff)
+router.post('/arrivals', [
+  body('code').trim().notEmpty().withMessage('Verification code is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donation = await DonationHistory.findOne({
+      'verification.verificationCode': req.body.code.toUpperCase(),
+      'location.hospital.facility': req.hospital._id
+    });
+
+    if (!donation) {
+      return res.status(404).json({
+        success: false,
+        message: 'No donation at this hospital matches this code'
+      });
+    }
+
+    if (donation.status !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: `This donation is already ${donation.status.replace('_', ' ')}`,
+        status: donation.status
+      });
+    }
+
+    const now = new Date();
+    const updated = await transitionDonation(donation, 'in_progress', {
+      changedBy: req.user._id,
+      reason: 'Donor verified on arrival',
+      set: {
+        'scheduling.arrivalTime': now,
+        'verification.donorVerified': true,
+        'verification.hospitalVerified': true,
+        'verification.verifiedBy': req.user._id,
+        'verification.verifiedAt': now
+      }
+    });
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Donation was updated by someone else. Please refresh and try again.'
+      });
+    }
+
+    await updated.populate('donor', 'name phone medicalInfo.bloodGroup');
+
+    const payload = {
+      donationId: updated._id,
+      emergencyRequestId: updated.emergencyRequest,
+      status: updated.status,
+      hospital: req.hospital.name,
+      timestamp: now
+    };
+    notifyUser(updated.donor, { event: 'donation-status-updated', payload });
+    emitToRoom('admin-room', 'donation-status-updated', payload);
+
+    res.status(200).json({
+      success: true,
+      message: 'Donor verified and checked in',
+      data: {
+        donation: updated
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Raise an emergency request on behalf of a patient
+// @route   POST /api/hospital/emergency-requests
+// @access  Private (Hospital staff)
+router.post('/emergency-requests', [
+  body('patient.name').isLength({ min: 2, max: 100 }).withMessage('Patient name must be 2-100 characters'),
+  body('patient.age').isInt({ min: 0, max: 120 }).withMessage('Patient age must be between 0 and 120'),
+  body('patient.bloodGroup').isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Invalid blood group'),
+  body('patient.gender').isIn(['male', 'female', 'other']).withMessage('Invalid gender'),
+  body('patient.contactNumber').matches(/^[0-9]{10}$/).withMessage('Patient contact number must be 10 digits'),
+  body('medical.condition').isLength({ min: 5, max: 500 }).withMessage('Medical condition description must be 5-500 characters'),
+  body('medical.urgencyLevel').isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid urgency level'),
+  body('medical.requiredBy').isISO8601().withMessage('Required by date must be valid'),
+  body('medical.unitsRequired').isInt({ min: 1, max: 10 }).withMessage('Units required must be between 1 and 10'),
+  body('medical.bloodType').optional().isIn(BLOOD_COMPONENTS).withMessage('Invalid blood type'),
+  body('medical.additionalNotes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('doctorName').trim().isLength({ min: 2, max: 100 }).withMessage('Doctor name must be 2-100 characters'),
+  body('maxRadius').optional().isInt({ min: 1, max: 500 }).withMessage('Radius must be between 1 and 500 km')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { patient, medical, doctorName, maxRadius } = req.body;
+
+    const emergencyRequest = await EmergencyRequest.create({
+      requester: req.user._id,
+      raisedBy: 'hospital',
+      patient,
+      medical: {
+        ...medical,
+        requiredBy: new Date(medical.requiredBy)
+      },
+      hospital: {
+        ...req.hospital.toEmbedded(),
+        doctorName
+      },
+      ...(maxRadius && { visibility: { maxRadius: parseInt(maxRadius) } })
+    });
+    await rescoreRequest(emergencyRequest);
+
+    await emergencyRequest.populate('requester', 'name phone email');
+
+    // Send real-time notification to admin
+    emitToRoom('admin-room', 'new-emergency-request', {
+      requestId: emergencyRequest._id,
+      patient: emergencyRequest.patient,
+      medical: emergencyRequest.medical,
+      hospital: emergencyRequest.hospital,
+      requester: emergencyRequest.requester,
+      timestamp: emergencyRequest.createdAt
+    });
+
+    // Check nearby stock first, then notify eligible donors in widening waves
+    const inventory = await checkInventoryAndDispatch(emergencyRequest);
+
+    res.status(201).json({
+      success: true,
+      message: 'Emergency request submitted successfully. Eligible donors will be notified.',
+      data: {
+        emergencyRequest,
+        inventory
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get emergency requests for the facility
+// @route   GET /api/hospital/emergency-requests
+// @access  Private (Hospital staff)
+router.get('/emergency-requests', [
+  query('status').optional().isIn(EmergencyRequest.REQUEST_STATUSES).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { 'hospital.facility': req.hospital._id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const emergencyRequests = await EmergencyRequest.find(query)
+      .populate('requester', 'name role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await EmergencyRequest.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        emergencyRequests,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to load an open emergency request for inventory actions
+async function findOpenRequest(res, emergencyRequestId) {
+  const emergencyRequest = await EmergencyRequest.findOne({
+    _id: emergencyRequestId,
+    status: { $in: EmergencyRequest.OPEN_STATUSES }
+  });
+
+  if (!emergencyRequest) {
+    res.status(404).json({
+      success: false,
+      message: 'Open emergency request not found'
+    });
+    return null;
+  }
+
+  return emergencyRequest;
+}
+
+// Helper function to tell the requester and admins about stock committed to a request
+function broadcastInventoryUpdate(emergencyRequest, hospital, payload) {
+  const event = {
+    requestId: emergencyRequest._id,
+    hospital: hospital.name,
+    ...payload,
+    timestamp: new Date()
+  };
+
+  notifyUser(emergencyRequest.requester, { event: 'inventory-updated', payload: event });
+  emitToRoom('admin-room', 'inventory-updated', event);
+}
+
+// @desc    Get the facility's inventory units
+// @route   GET /api/hospital/inventory
+// @access  Private (Hospital staff)
+router.get('/inventory', [
+  query('status').optional().isIn(InventoryUnit.UNIT_STATUSES).withMessage('Invalid status'),
+  query('bloodGroup').optional().isIn(BLOOD_GROUPS).withMessage('Invalid blood group'),
+  query('component').optional().isIn(BLOOD_COMPONENTS).withMessage('Invalid component'),
+  query('expiringWithinDays').optional().isInt({ min: 0, max: 365 }).withMessage('Days must be between 0 and 365'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Units still in stock by default
+    const query = {
+      facility: req.hospital._id,
+      status: req.query.status || { $in: ['quarantined', 'available', 'reserved'] }
+    };
+    if (req.query.bloodGroup) query.bloodGroup = req.query.bloodGroup;
+    if (req.query.component) query.component = req.query.component;
+    if (req.query.expiringWithinDays !== undefined) {
+      const days = parseInt(req.query.expiringWithinDays);
+      query.expiresAt = { $lte: new Date(Date.now() + days * 24 * 60 * 60 * 1000) };
+    }
+
+    const units = await InventoryUnit.find(query)
+      .populate('emergencyRequest', 'patient.name patient.bloodGroup hospital.name status')
+      .sort({ expiresAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await InventoryUnit.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        units,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get usable stock levels by blood group and component
+// @route   GET /api/hospital/inventory/summary
+// @access  Private (Hospital staff)
+router.get('/inventory/summary', async (req, res, next) => {
+  try {
+    const now = new Date();
+    const soon = new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000);
+
+    const summary = await InventoryUnit.aggregate([
+      {
+        $match: {
+          facility: req.hospital._id,
+          status: { $in: ['available', 'reserved', 'quarantined'] },
+          expiresAt: { $gt: now }
+        }
+      },
+      {
+        $group: {
+          _id: { bloodGroup: '$bloodGroup', component: '$component' },
+          available: { $sum: { $cond: [{ $eq: ['$status', 'available'] }, 1, 0] } },
+          reserved: { $sum: { $cond: [{ $eq: ['$status', 'reserved'] }, 1, 0] } },
+          quarantined: { $sum: { $cond: [{ $eq: ['$status', 'quarantined'] }, 1, 0] } },
+          expiringSoon: {
+            $sum: { $cond: [{ $and: [{ $eq: ['$status', 'available'] }, { $lte: ['$expiresAt', soon] }] }, 1, 0] }
+          }
+        }
+      },
+      { $sort: { '_id.component': 1, '_id.bloodGroup': 1 } }
+    ]);
+
+    const expired = await InventoryUnit.countDocuments({
+      facility: req.hospital._id,
+      status: { $in: ['available', 'reserved', 'quarantined'] },
+      expiresAt: { $lte: now }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        summary: summary.map(entry => ({
+          bloodGroup: entry._id.bloodGroup,
+          component: entry._id.component,
+          available: entry.available,
+          reserved: entry.reserved,
+          quarantined: entry.quarantined,
+          expiringSoon: entry.expiringSoon
+        })),
+        expired
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add units to the facility's inventory
+// @route   POST /api/hospital/inventory
+// @access  Private (Hospital staff)
+router.post('/inventory', [
+  body('bloodGroup').isIn(BLOOD_GROUPS).withMessage('Invalid blood group'),
+  body('component').isIn(BLOOD_COMPONENTS).withMessage('Invalid component'),
+  body('collectedAt').isISO8601().withMessage('Collection date must be valid'),
+  body('count').optional().isInt({ min: 1, max: 50 }).withMessage('Count must be between 1 and 50'),
+  body('volume').optional().isInt({ min: 50, max: 1000 }).withMessage('Volume must be between 50 and 1000 ml'),
+  body('status').optional().isIn(['quarantined', 'available']).withMessage('New units must be quarantined or available'),
+  body('donationId').optional().isMongoId().withMessage('Invalid donation ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const collectedAt = new Date(req.body.collectedAt);
+    if (collectedAt > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collection date cannot be in the future'
+      });
+    }
+
+    // Units from a donation must have been collected at this facility
+    if (req.body.donationId) {
+      const donation = await DonationHistory.exists({
+        _id: req.body.donationId,
+        'location.hospital.facility': req.hospital._id,
+        status: 'completed'
+      });
+
+      if (!donation) {
+        return res.status(404).json({
+          success: false,
+          message: 'No completed donation at this hospital matches this ID'
+        });
+      }
+    }
+
+    const count = parseInt(req.body.count) || 1;
+    const units = await InventoryUnit.create(Array.from({ length: count }, () => ({
+      facility: req.hospital._id,
+      bloodGroup: req.body.bloodGroup,
+      component: req.body.component,
+      collectedAt,
+      volume: req.body.volume && parseInt(req.body.volume),
+      status: req.body.status || 'quarantined',
+      donation: req.body.donationId,
+      addedBy: req.user._id
+    })));
+
+    res.status(201).json({
+      success: true,
+      message: `${units.length} unit(s) added to inventory`,
+      data: {
+        units
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reserve compatible units for an emergency request
+// @route   POST /api/hospital/inventory/reserve
+// @access  Private (Hospital staff)
+router.post('/inventory/reserve', [
+  body('emergencyRequestId').isMongoId().withMessage('Invalid emergency request ID'),
+  body('count').isInt({ min: 1, max: 10 }).withMessage('Count must be between 1 and 10')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const emergencyRequest = await findOpenRequest(res, req.body.emergencyRequestId);
+    if (!emergencyRequest) return;
+
+    const units = await reserveUnits(req.hospital._id, emergencyRequest, {
+      count: parseInt(req.body.count),
+      changedBy: req.user._id
+    });
+
+    if (units.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No compatible units available to reserve'
+      });
+    }
+
+    broadcastInventoryUpdate(emergencyRequest, req.hospital, {
+      action: 'reserved',
+      units: units.length
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${units.length} unit(s) reserved`,
+      data: {
+        units
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update an inventory unit's status
+// @route   PUT /api/hospital/inventory/:id/status
+// @access  Private (Hospital staff)
+router.put('/inventory/:id/status', [
+  body('status').isIn(['available', 'issued', 'discarded']).withMessage('Status must be available, issued or discarded'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  body('emergencyRequestId').optional().isMongoId().withMessage('Invalid emergency request ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, reason, emergencyRequestId } = req.body;
+
+    const unit = await InventoryUnit.findOne({ _id: req.params.id, facility: req.hospital._id });
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inventory unit not found'
+      });
+    }
+
+    if (!unit.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot move a ${unit.status} unit to ${status}`,
+        status: unit.status,
+        allowedStatuses: InventoryUnit.STATUS_TRANSITIONS[unit.status]
+      });
+    }
+
+    if (status !== 'discarded' && unit.isExpired) {
+      return res.status(400).json({
+        success: false,
+        message: 'This unit has expired and can only be discarded'
+      });
+    }
+
+    if (status === 'discarded' && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to discard a unit'
+      });
+    }
+
+    let updated;
+    let emergencyRequest = null;
+
+    if (status === 'issued') {
+      if (emergencyRequestId && unit.emergencyRequest && !unit.emergencyRequest.equals(emergencyRequestId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This unit is reserved for a different emergency request'
+        });
+      }
+
+      // Units issued against a request must suit the patient
+      const requestId = emergencyRequestId || unit.emergencyRequest;
+      if (requestId) {
+        emergencyRequest = await findOpenRequest(res, requestId);
+        if (!emergencyRequest) return;
+
+        if (unit.component !== (emergencyRequest.medical.bloodType || DEFAULT_COMPONENT) ||
+          !isCompatible(unit.bloodGroup, emergencyRequest.patient.bloodGroup, unit.component)) {
+          return res.status(400).json({
+            success: false,
+            message: 'This unit is not compatible with the emergency request'
+          });
+        }
+      }
+
+      const result = await issueUnit(unit, { emergencyRequestId: requestId, changedBy: req.user._id, reason });
+      updated = result && result.unit;
+      emergencyRequest = result && result.emergencyRequest;
+    } else if (status === 'available' && unit.status === 'reserved') {
+      updated = await releaseUnit(unit, { changedBy: req.user._id, reason });
+    } else {
+      updated = await transitionUnit(unit, status, {
+        changedBy: req.user._id,
+        reason,
+        ...(status === 'discarded' && { set: { discardReason: reason } })
+      });
+    }
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Unit was updated by someone else. Please refresh and try again.'
+      });
+    }
+
+    if (emergencyRequest) {
+      broadcastInventoryUpdate(emergencyRequest, req.hospital, {
+        action: 'issued',
+        units: 1,
+        unitsFulfilled: emergencyRequest.fulfillment.unitsFulfilled,
+        requestStatus: emergencyRequest.status
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Unit marked as ${status}`,
+      data: {
+        unit: updated,
+        emergencyRequest
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Publish donation appointment slots
+// @route   POST /api/hospital/slots
+// @access  Private (Hospital staff)
+router.post('/slots', [
+  body('slots').isArray({ min: 1, max: 100 }).withMessage('Provide between 1 and 100 slots'),
+  body('slots.*.startsAt').isISO8601().withMessage('Slot start time must be valid'),
+  body('slots.*.endsAt').isISO8601().withMessage('Slot end time must be valid'),
+  body('slots.*.capacity').isInt({ min: 1, max: 100 }).withMessage('Slot capacity must be between 1 and 100'),
+  body('slots.*.notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const slots = req.body.slots
+      .map(slot => ({
+        facility: req.hospital._id,
+        startsAt: new Date(slot.startsAt),
+        endsAt: new Date(slot.endsAt),
+        capacity: parseInt(slot.capacity),
+        notes: slot.notes,
+        createdBy: req.user._id
+      }))
+      .sort((a, b) => a.startsAt - b.startsAt);
+
+    const invalid = slots.find(slot => slot.endsAt <= slot.startsAt || slot.startsAt <= new Date());
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Slots must be in the future and end after they start',
+        slot: invalid
+      });
+    }
+
+    // Slots may not overlap each other or the facility's open slots
+    const overlapping = slots.find((slot, index) => index > 0 && slot.startsAt < slots[index - 1].endsAt);
+    const existing = overlapping || await DonationSlot.findOne({
+      facility: req.hospital._id,
+      status: 'open',
+      $or: slots.map(slot => ({ startsAt: { $lt: slot.endsAt }, endsAt: { $gt: slot.startsAt } }))
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Slots cannot overlap the facility\'s other slots',
+        slot: existing
+      });
+    }
+
+    const created = await DonationSlot.insertMany(slots);
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} slot(s) published`,
+      data: { slots: created }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the facility's appointment slots
+// @route   GET /api/hospital/slots
+// @access  Private (Hospital staff)
+router.get('/slots', [
+  query('from').optional().isISO8601().withMessage('From date must be valid'),
+  query('to').optional().isISO8601().withMessage('To date must be valid'),
+  query('status').optional().isIn(['open', 'cancelled']).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Upcoming slots by default
+    const query = {
+      facility: req.hospital._id,
+      startsAt: {
+        $gte: req.query.from ? new Date(req.query.from) : new Date(),
+        ...(req.query.to && { $lte: new Date(req.query.to) })
+      }
+    };
+    if (req.query.status) query.status = req.query.status;
+
+    const slots = await DonationSlot.find(query)
+      .sort({ startsAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await DonationSlot.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        slots,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Change a slot's capacity or notes, or cancel it
+// @route   PUT /api/hospital/slots/:id
+// @access  Private (Hospital staff)
+router.put('/slots/:id', [
+  body('capacity').optional().isInt({ min: 1, max: 100 }).withMessage('Capacity must be between 1 and 100'),
+  body('status').optional().isIn(['cancelled']).withMessage('Slots can only be cancelled'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { capacity, status, notes } = req.body;
+
+    const slot = await DonationSlot.findOne({ _id: req.params.id, facility: req.hospital._id });
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment slot not found'
+      });
+    }
+
+    if (slot.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'This slot has been cancelled'
+      });
+    }
+
+    // Conditional on the booked count, so a booking made meanwhile is not lost
+    const filter = { _id: slot._id, status: 'open' };
+    const set = {};
+
+    if (capacity !== undefined) {
+      filter.booked = { $lte: parseInt(capacity) };
+      set.capacity = parseInt(capacity);
+    }
+    if (status === 'cancelled') {
+      filter.booked = 0;
+      set.status = 'cancelled';
+    }
+    if (notes !== undefined) set.notes = notes;
+
+    const updated = await DonationSlot.findOneAndUpdate(filter, { $set: set }, { new: true, runValidators: true });
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: status === 'cancelled'
+          ? 'Slots with booked appointments cannot be cancelled. Reschedule the donors first.'
+          : 'Capacity cannot be lower than the appointments already booked',
+        booked: slot.booked
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: status === 'cancelled' ? 'Slot cancelled' : 'Slot updated',
+      data: { slot: updated }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { DonationHistory } = require('../models');
+const { getCertificateDetails } = require('../services/certificates');
+
+const router = express.Router();
+
+// @desc    Verify a donation certificate by its code (linked from the certificate's QR code)
+// @route   GET /api/public/certificates/:code
+// @access  Public
+router.get('/certificates/:code', [
+  param('code').trim().toUpperCase().matches(/^BFC-[0-9A-F]{12}$/).withMessage('Invalid certificate code')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donation = await DonationHistory.findOne({
+      'recognition.certificateCode': req.params.code,
+      status: 'completed'
+    }).populate('donor', 'name');
+
+    if (!donation || !donation.donor) {
+      return res.status(404).json({
+        success: false,
+        valid: false,
+        message: 'No certificate found with this code'
+      });
+    }
+
+    // Only what is printed on the certificate
+    res.status(200).json({
+      success: true,
+      valid: true,
+      data: {
+        certificate: getCertificateDetails(donation, donation.donor)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the leaderboard of donors who chose to appear on it
+// @route   GET /api/public/leaderboard
+// @access  Public
+router.get('/leaderboard', [
+  query('city').optional().trim().isLength({ min: 1, max: 100 }).withMessage('City must be at most 100 characters'),
+  query('period').optional().isIn(['all', 'year', 'month', 'week']).withMessage('Period must be all, year, month or week'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const period = req.query.period || 'all';
+
+    const leaderboard = await DonationHistory.getDonorLeaderboard({
+      limit: parseInt(req.query.limit) || 10,
+      city: req.query.city,
+      since: getPeriodStart(period)
+    });
+
+    // Only a display name and public stats; no contact details
+    const donors = leaderboard.map((entry, index) => ({
+      rank: index + 1,
+      name: formatDisplayName(entry.donorInfo.name),
+      bloodGroup: entry.donorInfo.medicalInfo && entry.donorInfo.medicalInfo.bloodGroup,
+      city: entry.donorInfo.address && entry.donorInfo.address.city,
+      totalDonations: entry.totalDonations,
+      totalUnits: entry.totalUnits,
+      totalPoints: entry.totalPoints,
+      badges: (entry.donorInfo.badges || []).map(badge => badge.key)
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period,
+        city: req.query.city || null,
+        donors
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to get the start of the current calendar period
+function getPeriodStart(period) {
+  const now = new Date();
+
+  switch (period) {
+    case 'year':
+      return new Date(now.getFullYear(), 0, 1);
+    case 'month':
+      return new Date(now.getFullYear(), now.getMonth(), 1);
+    case 'week': {
+      // Weeks start on Monday
+      const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+      return start;
+    }
+    default:
+      return undefined;
+  }
+}
+
+// Helper function to shorten a name to first name and last initial
+function formatDisplayName(name = '') {
+  const parts = name.trim().split(/\s+/);
+  if (parts.length < 2) return parts[0];
+
+  return `${parts[0]} ${parts[parts.length - 1][0].toUpperCase()}.`;
+}
+
+module.exports = router;
@@ -1,7 +1,28 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
-const { User, EmergencyRequest, DonationHistory } = require('../models');
+const { User, EmergencyRequest, DonationHistory, DonationSlot } = require('../models');
 const { protect, authorize } = require('../middleware/auth');
+const {
+  BLOOD_COMPONENTS,
+  getCompatibleDonorGroups,
+  getMatchType,
+  matchRankExpression
+} = require('../utils/bloodCompatibility');
+const {
+  lookupPincode,
+  toGeoPoint,
+  metersToKm,
+  normalizeRadius,
+  geoNearStage,
+  withinRadiusFilter
+} = require('../utils/geo');
+const { emitToRoom } = require('../services/notifications');
+const { checkInventoryAndDispatch } = require('../services/inventory');
+const { rescoreRequest } = require('../services/priority');
+const { filterEligibleDonors } = require('../services/eligibility');
+const { matchesPreference, rescheduleDonation, sendAppointmentInvite } = require('../services/appointments');
+const { toRequesterView } = require('../services/contactPrivacy');
+const { maskPhone } = require('../utils/mask');
 
 const router = express.Router();
 
@@ -23,7 +44,7 @@ router.get('/dashboard', async (req, res, next) => {
 
     // Get recent donations received
     const donationsReceived = await DonationHistory.find({ recipient: recipientId })
-      .populate('donor', 'name phone email medicalInfo.bloodGroup')
+      .populate('donor', 'name medicalInfo.bloodGroup')
       .populate('emergencyRequest', 'patient.name medical.condition')
       .sort({ 'scheduling.actualDate': -1 })
       .limit(5);
@@ -33,11 +54,11 @@ router.get('/dashboard', async (req, res, next) => {
       totalRequests: await EmergencyRequest.countDocuments({ requester: recipientId }),
       activeRequests: await EmergencyRequest.countDocuments({ 
         requester: recipientId, 
-        status: 'active' 
+        status: { $in: EmergencyRequest.OPEN_STATUSES }
       }),
       completedRequests: await EmergencyRequest.countDocuments({ 
         requester: recipientId, 
-        status: 'completed' 
+        status: 'fulfilled' 
       }),
       totalDonationsReceived: await DonationHistory.countDocuments({ 
         recipient: recipientId, 
@@ -65,8 +86,13 @@ router.get('/dashboard', async (req, res, next) => {
 // @access  Private (Recipient)
 router.get('/donors/search', [
   query('bloodGroup').isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Invalid blood group'),
+  query('bloodType').optional().isIn(BLOOD_COMPONENTS).withMessage('Invalid blood type'),
   query('city').optional().isLength({ min: 2 }).withMessage('City must be at least 2 characters'),
   query('radius').optional().isInt({ min: 1, max: 500 }).withMessage('Radius must be between 1 and 500 km'),
+  query('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('pincode').optional().matches(/^[0-9]{6}$/).withMessage('Pincode must be 6 digits'),
+  query('requestId').optional().isMongoId().withMessage('Invalid emergency request ID'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
 ], async (req, res, next) => {
@@ -80,7 +106,8 @@ router.get('/donors/search', [
       });
     }
 
-    const { bloodGroup, city, radius } = req.query;
+    const { bloodGroup, city } = req.query;
+    const bloodType = req.query.bloodType || 'whole_blood';
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
@@ -88,36 +115,105 @@ router.get('/donors/search', [
     // Build search query
     const searchQuery = {
       role: 'donor',
-      'admin.isApproved': true,
+      status: 'approved',
       'availability.isAvailable': true,
-      'medicalInfo.bloodGroup': bloodGroup
+      'medicalInfo.bloodGroup': { $in: getCompatibleDonorGroups(bloodGroup, bloodType) }
     };
 
-    // Add location filter
-    if (city) {
-      searchQuery['address.city'] = { $regex: city, $options: 'i' };
-    } else if (req.user.address && req.user.address.city) {
-      // Default to recipient's city if no city specified
-      searchQuery['address.city'] = { $regex: req.user.address.city, $options: 'i' };
+    const center = await resolveSearchCenter(req);
+    if (center === false) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency request not found'
+      });
     }
 
-    // Find eligible donors
-    const donors = await User.find(searchQuery)
-      .select('name phone email medicalInfo.bloodGroup address availability stats.totalDonations medicalInfo.lastDonationDate')
-      .sort({ 'stats.totalDonations': -1, 'medicalInfo.lastDonationDate': 1 })
-      .skip(skip)
-      .limit(limit);
+    const radius = center ? normalizeRadius(req.query.radius, center.defaultRadius) : undefined;
+    // Medical details and deferrals are loaded for the eligibility check only
+    // and are not returned to the recipient. The phone is only returned masked.
+    const projection = {
+      name: 1,
+      phone: 1,
+      role: 1,
+      status: 1,
+      address: 1,
+      availability: 1,
+      medicalInfo: 1,
+      deferrals: 1,
+      'stats.totalDonations': 1,
+      distance: 1
+    };
 
-    // Filter donors who can donate now
-    const availableDonors = donors.filter(donor => donor.canDonate());
+    let results;
+    let total;
+
+    if (center) {
+      // Find compatible donors within the radius, exact blood group matches first, then nearest
+      results = await User.aggregate([
+        geoNearStage({ point: center.point, key: 'location', radiusKm: radius, query: searchQuery }),
+        { $addFields: { matchRank: matchRankExpression(bloodGroup) } },
+        { $sort: { matchRank: 1, distance: 1 } },
+        { $skip: skip },
+        { $limit: limit },
+        { $project: projection }
+      ]);
+
+      total = await User.countDocuments({
+        ...searchQuery,
+        location: withinRadiusFilter(center.point, radius)
+      });
+    } else {
+      // No location to search around, fall back to matching by city
+      const searchCity = city || (req.user.address && req.user.address.city);
+      if (searchCity) {
+        searchQuery['address.city'] = { $regex: searchCity, $options: 'i' };
+      }
+
+      results = await User.aggregate([
+        { $match: searchQuery },
+        { $addFields: { matchRank: matchRankExpression(bloodGroup) } },
+        { $sort: { matchRank: 1, 'stats.totalDonations': -1, 'medicalInfo.lastDonationDate': 1 } },
+        { $skip: skip },
+        { $limit: limit },
+        { $project: projection }
+      ]);
+
+      total = await User.countDocuments(searchQuery);
+    }
+
+    // Filter donors who can donate the requested component now
+    const eligibleDonors = await filterEligibleDonors(
+      results.map(({ distance, ...result }) => ({ donor: User.hydrate(result), distance })),
+      bloodType
+    );
 
-    const total = await User.countDocuments(searchQuery);
+    const availableDonors = eligibleDonors.map(({ donor, distance }) => ({
+      _id: donor._id,
+      name: donor.name,
+      maskedPhone: maskPhone(donor.phone),
+      role: donor.role,
+      address: donor.address,
+      availability: donor.availability,
+      medicalInfo: {
+        bloodGroup: donor.medicalInfo.bloodGroup,
+        lastDonationDate: donor.medicalInfo.lastDonationDate
+      },
+      stats: { totalDonations: donor.stats.totalDonations },
+      matchType: getMatchType(donor.medicalInfo.bloodGroup, bloodGroup, bloodType),
+      distanceKm: distance !== undefined ? metersToKm(distance) : null
+    }));
 
     res.status(200).json({
       success: true,
       data: {
         donors: availableDonors,
-        searchCriteria: { bloodGroup, city, radius },
+        searchCriteria: {
+          bloodGroup,
+          bloodType,
+          city: center ? undefined : city,
+          radius,
+          center: center ? { ...center.coordinates, source: center.source } : null
+        },
         pagination: {
           current: page,
           pages: Math.ceil(total / limit),
@@ -133,6 +229,53 @@ router.get('/donors/search', [
   }
 });
 
+// Helper function to pick the point a donor search is centred on.
+// Returns null when no location is known and false when requestId is not found.
+async function resolveSearchCenter(req) {
+  const { latitude, longitude, pincode, requestId, city } = req.query;
+
+  if (latitude !== undefined && longitude !== undefined) {
+    const coordinates = { latitude: parseFloat(latitude), longitude: parseFloat(longitude) };
+    return { point: toGeoPoint(coordinates), coordinates, source: 'coordinates' };
+  }
+
+  if (requestId) {
+    const emergencyRequest = await EmergencyRequest.findOne({ _id: requestId, requester: req.user.id })
+      .select('hospital.location visibility.maxRadius');
+
+    if (!emergencyRequest) return false;
+
+    const point = emergencyRequest.hospital.location;
+    if (point && point.coordinates && point.coordinates.length === 2) {
+      return {
+        point: { type: 'Point', coordinates: point.coordinates },
+        coordinates: { latitude: point.coordinates[1], longitude: point.coordinates[0] },
+        source: 'emergency_request',
+        defaultRadius: emergencyRequest.visibility.maxRadius
+      };
+    }
+  }
+
+  if (pincode) {
+    const coordinates = lookupPincode(pincode);
+    if (coordinates) {
+      return { point: toGeoPoint(coordinates), coordinates, source: 'pincode' };
+    }
+  }
+
+  // An explicit city means a city search; otherwise use the recipient's own location
+  if (!city && req.user.location && req.user.location.coordinates && req.user.location.coordinates.length === 2) {
+    const [lng, lat] = req.user.location.coordinates;
+    return {
+      point: { type: 'Point', coordinates: [lng, lat] },
+      coordinates: { latitude: lat, longitude: lng },
+      source: 'profile'
+    };
+  }
+
+  return null;
+}
+
 // @desc    Submit emergency blood request
 // @route   POST /api/recipient/emergency-request
 // @access  Private (Recipient)
@@ -148,7 +291,7 @@ router.post('/emergency-request', [
   body('medical.condition').isLength({ min: 5, max: 500 }).withMessage('Medical condition description must be 5-500 characters'),
   body('medical.urgencyLevel').isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid urgency level'),
   body('medical.requiredBy').isISO8601().withMessage('Required by date must be valid'),
-  body('medical.unitsNeeded').isInt({ min: 1, max: 10 }).withMessage('Units needed must be between 1 and 10'),
+  body('medical.unitsRequired').isInt({ min: 1, max: 10 }).withMessage('Units required must be between 1 and 10'),
   body('medical.bloodType').isIn(['whole_blood', 'platelets', 'plasma', 'red_cells']).withMessage('Invalid blood type'),
 
   // Hospital information validation
@@ -172,65 +315,49 @@ router.post('/emergency-request', [
       });
     }
 
-    const emergencyRequestData = {
-      ...req.body,
+    // Only the requester's own details are taken from the body; responses,
+    // fulfillment, dispatch, status and priority are never set by the client
+    const { patient, medical, hospital } = req.body;
+
+    const emergencyRequest = await EmergencyRequest.create({
       requester: req.user.id,
-      requesterInfo: {
-        name: req.user.name,
-        phone: req.user.phone,
-        email: req.user.email
-      },
+      patient,
       medical: {
-        ...req.body.medical,
-        requiredBy: new Date(req.body.medical.requiredBy)
+        ...medical,
+        requiredBy: new Date(medical.requiredBy)
       },
-      admin: {
-        priorityScore: calculatePriorityScore(req.body.medical.urgencyLevel, req.body.medical.requiredBy)
+      hospital: {
+        name: hospital.name,
+        address: hospital.address,
+        coordinates: hospital.coordinates,
+        contactNumber: hospital.contactNumber,
+        doctorName: hospital.doctorName
       }
-    };
-
-    const emergencyRequest = await EmergencyRequest.create(emergencyRequestData);
+    });
+    await rescoreRequest(emergencyRequest);
 
     // Populate the created request for response
     await emergencyRequest.populate('requester', 'name phone email');
 
     // Send real-time notification to admin
-    const io = req.app.get('io');
-    if (io) {
-      io.to('admin-room').emit('new-emergency-request', {
-        requestId: emergencyRequest._id,
-        patient: emergencyRequest.patient,
-        medical: emergencyRequest.medical,
-        hospital: emergencyRequest.hospital,
-        requester: emergencyRequest.requester,
-        timestamp: emergencyRequest.createdAt
-      });
+    emitToRoom('admin-room', 'new-emergency-request', {
+      requestId: emergencyRequest._id,
+      patient: emergencyRequest.patient,
+      medical: emergencyRequest.medical,
+      hospital: emergencyRequest.hospital,
+      requester: emergencyRequest.requester,
+      timestamp: emergencyRequest.createdAt
+    });
 
-      // Notify eligible donors in the same city
-      const eligibleDonors = await User.find({
-        role: 'donor',
-        'admin.isApproved': true,
-        'availability.isAvailable': true,
-        'medicalInfo.bloodGroup': emergencyRequest.patient.bloodGroup,
-        'address.city': { $regex: emergencyRequest.hospital.address.city, $options: 'i' }
-      }).select('_id');
-
-      eligibleDonors.forEach(donor => {
-        io.to(`donor-${donor._id}`).emit('new-emergency-request', {
-          requestId: emergencyRequest._id,
-          patient: emergencyRequest.patient,
-          medical: emergencyRequest.medical,
-          hospital: emergencyRequest.hospital,
-          timestamp: emergencyRequest.createdAt
-        });
-      });
-    }
+    // Check nearby stock first, then notify eligible donors in widening waves
+    const inventory = await checkInventoryAndDispatch(emergencyRequest);
 
     res.status(201).json({
       success: true,
       message: 'Emergency request submitted successfully. Eligible donors will be notified.',
       data: {
-        emergencyRequest
+        emergencyRequest,
+        inventory
       }
     });
 
@@ -239,28 +366,11 @@ router.post('/emergency-request', [
   }
 });
 
-// Helper function to calculate priority score
-function calculatePriorityScore(urgencyLevel, requiredBy) {
-  const urgencyScores = { critical: 100, high: 75, medium: 50, low: 25 };
-  const baseScore = urgencyScores[urgencyLevel] || 25;
-  
-  // Add time-based urgency
-  const hoursUntilRequired = (new Date(requiredBy) - new Date()) / (1000 * 60 * 60);
-  let timeScore = 0;
-  
-  if (hoursUntilRequired <= 2) timeScore = 50;
-  else if (hoursUntilRequired <= 6) timeScore = 30;
-  else if (hoursUntilRequired <= 24) timeScore = 15;
-  else if (hoursUntilRequired <= 72) timeScore = 5;
-  
-  return Math.min(baseScore + timeScore, 150);
-}
-
 // @desc    Get recipient's emergency requests
 // @route   GET /api/recipient/emergency-requests
 // @access  Private (Recipient)
 router.get('/emergency-requests', [
-  query('status').optional().isIn(['active', 'completed', 'expired', 'cancelled']).withMessage('Invalid status'),
+  query('status').optional().isIn(EmergencyRequest.REQUEST_STATUSES).withMessage('Invalid status'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
 ], async (req, res, next) => {
@@ -327,50 +437,9 @@ router.get('/emergency-requests/:id', async (req, res, next) => {
     const emergencyRequest = await EmergencyRequest.findOne({
       _id: req.params.id,
       requester: req.user.id
-    }).populate('responses.donor', 'name phone email medicalInfo.bloodGroup stats.totalDonations');
-
-    if (!emergencyRequest) {
-      return res.status(404).json({
-        success: false,
-        message: 'Emergency request not found'
-      });
-    }
-
-    res.status(200).json({
-      success: true,
-      data: {
-        emergencyRequest
-      }
-    });
-
-  } catch (error) {
-    next(error);
-  }
-});
-
-// @desc    Update emergency request status
-// @route   PUT /api/recipient/emergency-requests/:id/status
-// @access  Private (Recipient)
-router.put('/emergency-requests/:id/status', [
-  body('status').isIn(['active', 'completed', 'cancelled']).withMessage('Invalid status'),
-  body('completionNotes').optional().isLength({ max: 500 }).withMessage('Completion notes cannot exceed 500 characters')
-], async (req, res, next) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    const { status, completionNotes } = req.body;
-
-    const emergencyRequest = await EmergencyRequest.findOne({
-      _id: req.params.id,
-      requester: req.user.id
-    });
+    })
+    .populate('responses.donor', 'name phone privacy medicalInfo.bloodGroup stats.totalDonations')
+    .populate('fulfillment.selectedDonors.donor', 'name phone medicalInfo.bloodGroup');
 
     if (!emergencyRequest) {
       return res.status(404).json({
@@ -379,43 +448,20 @@ router.put('/emergency-requests/:id/status', [
       });
     }
 
-    // Update status
-    emergencyRequest.status = status;
-    if (completionNotes) {
-      emergencyRequest.notes = completionNotes;
-    }
-
-    if (status === 'completed') {
-      emergencyRequest.admin.completedAt = new Date();
-    }
-
-    await emergencyRequest.save();
-
-    // Send real-time notification
-    const io = req.app.get('io');
-    if (io) {
-      io.to('admin-room').emit('request-status-updated', {
-        requestId: emergencyRequest._id,
-        status,
-        timestamp: new Date()
-      });
-
-      // Notify donors who responded
-      emergencyRequest.responses.forEach(response => {
-        io.to(`donor-${response.donor}`).emit('request-status-updated', {
-          requestId: emergencyRequest._id,
-          status,
-          patientName: emergencyRequest.patient.name,
-          timestamp: new Date()
-        });
-      });
-    }
+    const unitsScheduled = emergencyRequest.getScheduledUnits();
 
     res.status(200).json({
       success: true,
-      message: `Emergency request ${status} successfully`,
       data: {
-        emergencyRequest
+        // Donors are masked; confirmed donors' contact details are revealed
+        // through GET /api/contacts/:relayId
+        emergencyRequest: toRequesterView(emergencyRequest),
+        fulfillment: {
+          unitsRequired: emergencyRequest.medical.unitsRequired,
+          unitsFulfilled: emergencyRequest.fulfillment.unitsFulfilled,
+          unitsScheduled,
+          unitsOpen: Math.max(emergencyRequest.medical.unitsRequired - emergencyRequest.fulfillment.unitsFulfilled - unitsScheduled, 0)
+        }
       }
     });
 
@@ -424,13 +470,11 @@ router.put('/emergency-requests/:id/status', [
   }
 });
 
-// @desc    Select donor for emergency request
-// @route   POST /api/recipient/emergency-requests/:id/select-donor
+// @desc    Move a scheduled donation for the recipient's request to another slot
+// @route   PUT /api/recipient/donations/:id/slot
 // @access  Private (Recipient)
-router.post('/emergency-requests/:id/select-donor', [
-  body('donorId').isMongoId().withMessage('Invalid donor ID'),
-  body('scheduledDate').isISO8601().withMessage('Scheduled date must be valid'),
-  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+router.put('/donations/:id/slot', [
+  body('slotId').isMongoId().withMessage('Invalid slot ID')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -442,92 +486,49 @@ router.post('/emergency-requests/:id/select-donor', [
       });
     }
 
-    const { donorId, scheduledDate, notes } = req.body;
-
-    const emergencyRequest = await EmergencyRequest.findOne({
-      _id: req.params.id,
-      requester: req.user.id
-    });
-
-    if (!emergencyRequest) {
+    const donation = await DonationHistory.findOne({ _id: req.params.id, recipient: req.user._id })
+      .populate('donor', 'availability');
+    if (!donation) {
       return res.status(404).json({
         success: false,
-        message: 'Emergency request not found'
+        message: 'Donation not found'
       });
     }
 
-    // Check if donor responded to this request
-    const donorResponse = emergencyRequest.responses.find(
-      r => r.donor.toString() === donorId
-    );
-
-    if (!donorResponse) {
+    // Keep to the time of day the donor said they can make
+    const slot = await DonationSlot.findById(req.body.slotId);
+    const preferredTime = donation.donor.availability && donation.donor.availability.preferredDonationTime;
+    if (slot && !matchesPreference(slot, preferredTime)) {
       return res.status(400).json({
         success: false,
-        message: 'Selected donor has not responded to this request'
+        message: `This donor prefers to donate in the ${preferredTime}. Please choose a slot at that time.`
       });
     }
 
-    // Verify donor is still eligible
-    const donor = await User.findById(donorId);
-    if (!donor || !donor.canDonate()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Selected donor is not eligible to donate'
-      });
-    }
-
-    // Create donation history record
-    const donationHistory = await DonationHistory.create({
-      donor: donorId,
-      recipient: req.user.id,
-      emergencyRequest: emergencyRequest._id,
-      scheduling: {
-        scheduledDate: new Date(scheduledDate),
-        location: emergencyRequest.hospital
-      },
-      donation: {
-        type: emergencyRequest.medical.bloodType,
-        units: emergencyRequest.medical.unitsNeeded
-      },
-      status: 'scheduled',
-      notes
+    const updated = await rescheduleDonation(donation, req.body.slotId, {
+      changedBy: req.user._id,
+      reason: 'Rescheduled by recipient'
     });
 
-    // Update emergency request status
-    emergencyRequest.admin.selectedDonor = donorId;
-    await emergencyRequest.save();
-
-    // Send notifications
-    const io = req.app.get('io');
-    if (io) {
-      // Notify selected donor
-      io.to(`donor-${donorId}`).emit('donation-scheduled', {
-        emergencyRequestId: emergencyRequest._id,
-        donationId: donationHistory._id,
-        scheduledDate: new Date(scheduledDate),
-        hospital: emergencyRequest.hospital,
-        patient: emergencyRequest.patient,
-        timestamp: new Date()
-      });
-
-      // Notify admin
-      io.to('admin-room').emit('donation-scheduled', {
-        emergencyRequestId: emergencyRequest._id,
-        donorId,
-        recipientId: req.user.id,
-        scheduledDate: new Date(scheduledDate),
+    sendAppointmentInvite(updated, 'appointment_rescheduled', {
+      event: 'donation-rescheduled',
+      payload: {
+        donationId: updated._id,
+        emergencyRequestId: updated.emergencyRequest,
+        scheduledDate: updated.scheduling.scheduledDate,
         timestamp: new Date()
-      });
-    }
+      }
+    });
+    emitToRoom(`hospital-${updated.location.hospital.facility}`, 'donation-rescheduled', {
+      donationId: updated._id,
+      scheduledDate: updated.scheduling.scheduledDate,
+      timestamp: new Date()
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Donor selected and donation scheduled successfully',
-      data: {
-        donationHistory,
-        emergencyRequest
-      }
+      message: 'Donation rescheduled',
+      data: { donation: updated }
     });
 
   } catch (error) {
@@ -563,7 +564,7 @@ router.get('/donations-received', [
     }
 
     const donations = await DonationHistory.find(query)
-      .populate('donor', 'name phone email medicalInfo.bloodGroup stats.totalDonations')
+      .populate('donor', 'name medicalInfo.bloodGroup stats.totalDonations')
       .populate('emergencyRequest', 'patient.name medical.condition')
       .sort({ 'scheduling.actualDate': -1, 'scheduling.scheduledDate': -1 })
       .skip(skip)
@@ -0,0 +1,443 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { User, EmergencyRequest, DonationSlot, InventoryUnit } = require('../models');
+const { protect, authorize, requireHospital } = require('../middleware/auth');
+const { stopDispatch, checkDispatchCompletion } = require('../services/emergencyDispatcher');
+const { buildDonationFromRequest, transitionDonation, cancelRequestDonations } = require('../services/donationLifecycle');
+const { notifyUser, emitToRoom } = require('../services/notifications');
+const { releaseReservations } = require('../services/inventory');
+const { checkEligibility } = require('../services/eligibility');
+const {
+  matchesPreference,
+  ensureDonorFree,
+  createScheduledDonation,
+  bookSlot,
+  buildCalendarInvite
+} = require('../services/appointments');
+
+// Actions the requester takes on an emergency request. A recipient acts on
+// the requests they raised; hospital staff act on the requests raised by
+// their facility. Mounted under both /api/recipient and /api/hospital, so
+// each route authenticates itself rather than the whole router.
+const router = express.Router();
+
+// Staff must belong to an active hospital
+const requireStaffHospital = (req, res, next) => (
+  req.user.role === 'hospital_staff' ? requireHospital(req, res, next) : next()
+);
+
+// @desc    Close an emergency request as fulfilled or cancelled
+// @route   PUT /api/recipient/emergency-requests/:id/status
+// @route   PUT /api/hospital/emergency-requests/:id/status
+// @access  Private (Requester or the raising facility's staff)
+router.put('/emergency-requests/:id/status', protect, authorize('recipient', 'hospital_staff'), requireStaffHospital, [
+  body('status').isIn(['fulfilled', 'cancelled']).withMessage('Status must be fulfilled or cancelled'),
+  body('completionNotes').optional().isLength({ max: 500 }).withMessage('Completion notes cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, completionNotes } = req.body;
+
+    const set = { status };
+    if (completionNotes) set['fulfillment.completionNotes'] = completionNotes;
+
+    // Marking a request fulfilled closes it even if fewer units were given
+    if (status === 'fulfilled') set['fulfillment.fulfilledDate'] = new Date();
+
+    // Only an open request can be closed; conditional so a request that
+    // expired or was fulfilled meanwhile is left as it is
+    const emergencyRequest = await EmergencyRequest.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        ...EmergencyRequest.managedByFilter(req.user),
+        status: { $in: EmergencyRequest.OPEN_STATUSES },
+        archivedAt: { $exists: false }
+      },
+      { $set: set },
+      { new: true }
+    );
+
+    if (!emergencyRequest) {
+      const existing = await EmergencyRequest.findOne({ _id: req.params.id, ...EmergencyRequest.managedByFilter(req.user) }).select('status');
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Emergency request not found'
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: `A ${existing.status} request cannot be marked ${status}`
+      });
+    }
+
+    // Stop recruiting donors and call off appointments
+    await stopDispatch(emergencyRequest._id);
+    await cancelRequestDonations(emergencyRequest._id, {
+      changedBy: req.user._id,
+      reason: `Emergency request ${status}`
+    });
+
+    // Return any stock held for a cancelled request
+    if (status === 'cancelled') {
+      await releaseReservations(emergencyRequest._id, {
+        changedBy: req.user._id,
+        reason: 'Emergency request cancelled'
+      });
+    }
+
+    // Send real-time notification
+    emitToRoom('admin-room', 'request-status-updated', {
+      requestId: emergencyRequest._id,
+      status,
+      timestamp: new Date()
+    });
+
+    // Notify donors who responded
+    emergencyRequest.responses.forEach(response => {
+      notifyUser(response.donor, {
+        event: 'request-status-updated',
+        payload: {
+          requestId: emergencyRequest._id,
+          status,
+          patientName: emergencyRequest.patient.name,
+          timestamp: new Date()
+        }
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Emergency request ${status} successfully`,
+      data: {
+        emergencyRequest
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Select one or more donors for an emergency request, each with the units they will give
+// @route   POST /api/recipient/emergency-requests/:id/select-donor
+// @route   POST /api/hospital/emergency-requests/:id/select-donor
+// @access  Private (Requester or the raising facility's staff)
+router.post('/emergency-requests/:id/select-donor', protect, authorize('recipient', 'hospital_staff'), requireStaffHospital, [
+  body('donors').optional().isArray({ min: 1, max: 10 }).withMessage('Select between 1 and 10 donors'),
+  body('donors.*.donorId').isMongoId().withMessage('Invalid donor ID'),
+  body('donors.*.units').optional().isInt({ min: 1, max: 10 }).withMessage('Planned units must be between 1 and 10'),
+  body('donors.*.slotId').optional().isMongoId().withMessage('Invalid slot ID'),
+  body('donors.*.scheduledDate').optional().isISO8601().withMessage('Scheduled date must be valid'),
+  body('donors.*.notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  // A single donor can also be given at the top level
+  body('donorId').if(body('donors').not().exists()).isMongoId().withMessage('Invalid donor ID'),
+  body('units').optional().isInt({ min: 1, max: 10 }).withMessage('Planned units must be between 1 and 10'),
+  body('slotId').optional().isMongoId().withMessage('Invalid slot ID'),
+  body('scheduledDate').optional().isISO8601().withMessage('Scheduled date must be valid'),
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const selections = (req.body.donors || [req.body]).map(({ donorId, units, slotId, scheduledDate, notes }) => ({
+      donorId: donorId.toString(),
+      units: parseInt(units) || 1,
+      slotId,
+      scheduledDate,
+      notes
+    }));
+
+    if (new Set(selections.map(selection => selection.donorId)).size !== selections.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each donor can only be selected once'
+      });
+    }
+
+    const emergencyRequest = await EmergencyRequest.findOne({
+      _id: req.params.id,
+      ...EmergencyRequest.managedByFilter(req.user)
+    });
+
+    if (!emergencyRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency request not found'
+      });
+    }
+
+    if (!emergencyRequest.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: `Donors cannot be selected for a ${emergencyRequest.status} request`
+      });
+    }
+
+    // Units not yet fulfilled, planned by selected donors or reserved from stock
+    const reservedUnits = await InventoryUnit.countDocuments({ emergencyRequest: emergencyRequest._id, status: 'reserved' });
+    const unitsOpen = emergencyRequest.medical.unitsRequired - emergencyRequest.fulfillment.unitsFulfilled -
+      emergencyRequest.getScheduledUnits() - reservedUnits;
+    const unitsPlanned = selections.reduce((total, selection) => total + selection.units, 0);
+
+    if (unitsPlanned > unitsOpen) {
+      return res.status(400).json({
+        success: false,
+        message: unitsOpen > 0
+          ? `Only ${unitsOpen} more unit(s) are needed for this request`
+          : 'Enough units are already committed to this request',
+        data: { unitsOpen }
+      });
+    }
+
+    // Check every donor before booking any of them
+    const facility = emergencyRequest.hospital.facility;
+    const donors = [];
+
+    for (const selection of selections) {
+      const donorResponse = emergencyRequest.responses.find(r => r.donor.toString() === selection.donorId);
+      if (!donorResponse) {
+        return res.status(400).json({
+          success: false,
+          message: 'Selected donor has not responded to this request',
+          donorId: selection.donorId
+        });
+      }
+
+      // Only donors who confirmed and passed the health questionnaire can be booked
+      if (donorResponse.responseType !== 'confirmed' || !donorResponse.screening || !donorResponse.screening.passed) {
+        return res.status(400).json({
+          success: false,
+          message: 'Selected donor has not confirmed and passed screening for this request',
+          donorId: selection.donorId
+        });
+      }
+
+      const alreadySelected = emergencyRequest.fulfillment.selectedDonors.some(
+        entry => entry.donor.toString() === selection.donorId && entry.status === 'scheduled'
+      );
+      if (alreadySelected) {
+        return res.status(400).json({
+          success: false,
+          message: 'This donor is already selected for the request',
+          donorId: selection.donorId
+        });
+      }
+
+      // Verify donor is still eligible for the requested component
+      const donor = await User.findById(selection.donorId);
+      const eligibility = donor && await checkEligibility(donor, { component: emergencyRequest.medical.bloodType });
+      if (!eligibility || !eligibility.eligible) {
+        return res.status(400).json({
+          success: false,
+          message: 'Selected donor is not eligible to donate',
+          donorId: selection.donorId
+        });
+      }
+
+      // Registered facilities take bookings in their slots; other hospitals
+      // are given a date directly
+      if (facility ? !selection.slotId : !selection.scheduledDate) {
+        return res.status(400).json({
+          success: false,
+          message: facility
+            ? 'Choose one of the hospital\'s appointment slots'
+            : 'Scheduled date is required',
+          donorId: selection.donorId
+        });
+      }
+
+      if (facility) {
+        selection.slot = await DonationSlot.findOne({ _id: selection.slotId, facility });
+        const preferredTime = donor.availability && donor.availability.preferredDonationTime;
+        if (selection.slot && !matchesPreference(selection.slot, preferredTime)) {
+          return res.status(400).json({
+            success: false,
+            message: `This donor prefers to donate in the ${preferredTime}. Please choose a slot at that time.`,
+            donorId: selection.donorId
+          });
+        }
+      } else {
+        await ensureDonorFree(donor._id);
+      }
+
+      selection.donationId = new mongoose.Types.ObjectId();
+      donors.push(donor);
+    }
+
+    // Record the selections only if the units are still open, so two
+    // concurrent selections cannot over-commit the request
+    const selectedIds = selections.map(selection => selection.donorId);
+    const reserved = await EmergencyRequest.findOneAndUpdate(
+      {
+        _id: emergencyRequest._id,
+        status: { $in: EmergencyRequest.OPEN_STATUSES },
+        'fulfillment.selectedDonors': { $not: { $elemMatch: { donor: { $in: selectedIds }, status: 'scheduled' } } },
+        $expr: {
+          $lte: [
+            {
+              $add: [
+                '$fulfillment.unitsFulfilled',
+                unitsPlanned + reservedUnits,
+                {
+                  $sum: {
+                    $map: {
+                      input: {
+                        $filter: {
+                          input: { $ifNull: ['$fulfillment.selectedDonors', []] },
+                          cond: { $eq: ['$$this.status', 'scheduled'] }
+                        }
+                      },
+                      in: '$$this.plannedUnits'
+                    }
+                  }
+                }
+              ]
+            },
+            '$medical.unitsRequired'
+          ]
+        }
+      },
+      {
+        $push: {
+          'fulfillment.selectedDonors': {
+            $each: selections.map(selection => ({
+              donor: selection.donorId,
+              donation: selection.donationId,
+              plannedUnits: selection.units,
+              status: 'scheduled',
+              selectedBy: req.user._id,
+              selectedAt: new Date()
+            }))
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!reserved) {
+      return res.status(409).json({
+        success: false,
+        message: 'The request was updated by someone else. Please refresh and try again.'
+      });
+    }
+
+    // Create the donations, undoing all of them if any booking fails
+    const donations = [];
+    try {
+      for (const [index, selection] of selections.entries()) {
+        const donation = {
+          _id: selection.donationId,
+          ...buildDonationFromRequest(reserved, donors[index], {
+            scheduledDate: selection.slot ? selection.slot.startsAt : selection.scheduledDate,
+            units: selection.units,
+            createdBy: req.user._id,
+            notes: selection.notes
+          })
+        };
+
+        donations.push(facility
+          ? await bookSlot(donation, selection.slotId)
+          : await createScheduledDonation(donation));
+      }
+    } catch (error) {
+      await undoSelections(reserved, selections, donations, req.user._id);
+      throw error;
+    }
+
+    // Stop recruiting once the selected donors cover the request
+    await checkDispatchCompletion(reserved._id);
+
+    for (const [index, donationHistory] of donations.entries()) {
+      const donor = donors[index];
+      const scheduledDate = donationHistory.scheduling.scheduledDate;
+
+      // Notify selected donor, by email/SMS as well so the selection is not
+      // missed, with the appointment as a calendar invite
+      notifyUser(donor, {
+        event: 'donation-scheduled',
+        payload: {
+          emergencyRequestId: reserved._id,
+          donationId: donationHistory._id,
+          scheduledDate,
+          units: donationHistory.donation.units,
+          hospital: reserved.hospital,
+          patient: reserved.patient,
+          timestamp: new Date()
+        },
+        template: 'donor_selected',
+        data: {
+          patientName: reserved.patient.name,
+          hospitalName: reserved.hospital.name,
+          hospitalCity: reserved.hospital.address.city,
+          scheduledDate
+        },
+        always: true,
+        attachments: [await buildCalendarInvite(donationHistory)],
+        metadata: { emergencyRequest: reserved._id, donation: donationHistory._id }
+      });
+
+      // Notify admins, and the hospital's staff if it is registered
+      const scheduledPayload = {
+        emergencyRequestId: reserved._id,
+        donationId: donationHistory._id,
+        donorId: donor._id,
+        recipientId: reserved.requester,
+        scheduledDate,
+        units: donationHistory.donation.units,
+        timestamp: new Date()
+      };
+      emitToRoom('admin-room', 'donation-scheduled', scheduledPayload);
+      if (facility) {
+        emitToRoom(`hospital-${facility}`, 'donation-scheduled', scheduledPayload);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: donations.length === 1
+        ? 'Donor selected and donation scheduled successfully'
+        : `${donations.length} donors selected and donations scheduled successfully`,
+      data: {
+        donations,
+        emergencyRequest: reserved,
+        unitsOpen: unitsOpen - unitsPlanned
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to undo a selection that could not be fully booked:
+// cancels the donations already created and removes the selections
+async function undoSelections(emergencyRequest, selections, donations, changedBy) {
+  for (const donation of donations) {
+    await transitionDonation(donation, 'cancelled', { changedBy, reason: 'Donor selection could not be completed' });
+  }
+
+  await EmergencyRequest.updateOne(
+    { _id: emergencyRequest._id },
+    { $pull: { 'fulfillment.selectedDonors': { donation: { $in: selections.map(selection => selection.donationId) } } } }
+  );
+}
+
+module.exports = router;
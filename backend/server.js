@@ -15,6 +15,12 @@ const donorRoutes = require('./routes/donor');
 const recipientRoutes = require('./routes/recipient');
 const adminRoutes = require('./routes/admin');
 const emergencyRoutes = require('./routes/emergency');
+const donationRoutes = require('./routes/donations');
+const hospitalRoutes = require('./routes/hospital');
+const publicRoutes = require('./routes/public');
+const conversationRoutes = require('./routes/conversations');
+const contactRoutes = require('./routes/contacts');
+const requestManagementRoutes = require('./routes/requestManagement');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
@@ -34,6 +40,13 @@ const io = new Server(server, {
 // Make io accessible to our routes
 app.set('io', io);
 
+// Notification service delivers socket events, email and SMS
+const { initNotificationService, startNotificationWorker } = require('./services/notifications');
+const { resumeDispatches } = require('./services/emergencyDispatcher');
+const { registerJobs } = require('./services/jobs');
+const { startScheduler } = require('./services/scheduler');
+initNotificationService(io);
+
 // Security middleware
 app.use(helmet());
 
@@ -70,15 +83,29 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blood_don
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ MongoDB Connected Successfully'))
+.then(() => {
+  console.log('✅ MongoDB Connected Successfully');
+  startNotificationWorker();
+  registerJobs();
+  startScheduler();
+  return resumeDispatches();
+})
 .catch(err => console.error('❌ MongoDB Connection Error:', err));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/donor', donorRoutes);
+// Requester actions shared by recipients and hospital staff; mounted ahead
+// of the role routers, which only admit one role each
+app.use(['/api/recipient', '/api/hospital'], requestManagementRoutes);
 app.use('/api/recipient', recipientRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/emergency', emergencyRoutes);
+app.use('/api/donations', donationRoutes);
+app.use('/api/hospital', hospitalRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/contacts', contactRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
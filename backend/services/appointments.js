@@ -0,0 +1,261 @@
+// Donation appointments in hospital-defined slots. Slot places are claimed
+// with a conditional increment, so a slot is never booked past its capacity,
+// and a partial unique index keeps each donor to one scheduled appointment.
+const { DonationHistory, DonationSlot } = require('../models');
+const { notifyUser } = require('./notifications');
+const { createEvent } = require('../utils/ics');
+
+// Local hours (start inclusive, end exclusive) of each preferred donation time
+const PARTS_OF_DAY = {
+  morning: [6, 12],
+  afternoon: [12, 17],
+  evening: [17, 22]
+};
+
+const getTimeZone = () => process.env.APPOINTMENT_TIMEZONE || 'Asia/Kolkata';
+
+const getLocalHour = (date) => parseInt(new Intl.DateTimeFormat('en-US', {
+  hour: 'numeric',
+  hourCycle: 'h23',
+  timeZone: getTimeZone()
+}).format(date));
+
+// Check a slot starts in the donor's preferred part of the day
+const matchesPreference = (slot, preference) => {
+  const hours = PARTS_OF_DAY[preference];
+  if (!hours) return true;
+
+  const hour = getLocalHour(slot.startsAt);
+  return hour >= hours[0] && hour < hours[1];
+};
+
+// Error with an HTTP status for the routes to pass on
+const appointmentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Claim a place in an open, future slot. Returns the slot or null when it is
+// full, cancelled, in the past or at another facility.
+const claimSlot = (slotId, facility) => {
+  return DonationSlot.findOneAndUpdate(
+    {
+      _id: slotId,
+      ...(facility && { facility }),
+      status: 'open',
+      startsAt: { $gt: new Date() },
+      $expr: { $lt: ['$booked', '$capacity'] }
+    },
+    { $inc: { booked: 1 } },
+    { new: true }
+  );
+};
+
+const releaseSlot = (slotId) => {
+  return DonationSlot.updateOne({ _id: slotId, booked: { $gt: 0 } }, { $inc: { booked: -1 } });
+};
+
+// Explain why a slot could not be claimed
+const slotUnavailable = async (slotId, facility) => {
+  const slot = await DonationSlot.findById(slotId);
+
+  if (!slot || (facility && slot.facility.toString() !== facility.toString())) {
+    return appointmentError('Appointment slot not found', 404);
+  }
+  if (slot.status !== 'open' || slot.startsAt <= new Date()) {
+    return appointmentError('This appointment slot is no longer available', 400);
+  }
+  return appointmentError('This appointment slot is fully booked', 409);
+};
+
+const isDuplicateBooking = (error) =>
+  error.code === 11000 && /donor_one_scheduled/.test(error.message);
+
+// Check a donor has no other scheduled appointment
+const ensureDonorFree = async (donorId, exceptDonationId) => {
+  const existing = await DonationHistory.exists({
+    donor: donorId,
+    status: 'scheduled',
+    ...(exceptDonationId && { _id: { $ne: exceptDonationId } })
+  });
+
+  if (existing) {
+    throw appointmentError('The donor already has a scheduled appointment', 409);
+  }
+};
+
+// Create a scheduled donation, at a hospital without slots or in a claimed slot
+const createScheduledDonation = async (donation) => {
+  try {
+    return await DonationHistory.create(donation);
+  } catch (error) {
+    if (isDuplicateBooking(error)) {
+      throw appointmentError('The donor already has a scheduled appointment', 409);
+    }
+    throw error;
+  }
+};
+
+// Create a scheduled donation in a slot. `donation` is the DonationHistory
+// data; the slot sets its scheduled date.
+const bookSlot = async (donation, slotId) => {
+  await ensureDonorFree(donation.donor);
+
+  const facility = donation.location && donation.location.hospital && donation.location.hospital.facility;
+  const slot = await claimSlot(slotId, facility);
+  if (!slot) throw await slotUnavailable(slotId, facility);
+
+  try {
+    return await createScheduledDonation({
+      ...donation,
+      scheduling: { ...donation.scheduling, scheduledDate: slot.startsAt, slot: slot._id }
+    });
+  } catch (error) {
+    await releaseSlot(slot._id);
+    throw error;
+  }
+};
+
+// Move a scheduled donation to another slot at the same facility
+const rescheduleDonation = async (donation, slotId, { changedBy, reason } = {}) => {
+  if (donation.status !== 'scheduled') {
+    throw appointmentError('Only scheduled donations can be rescheduled', 400);
+  }
+
+  const facility = donation.location.hospital && donation.location.hospital.facility;
+  if (!facility) {
+    throw appointmentError('This donation is not at a facility with appointment slots', 400);
+  }
+
+  const previousSlot = donation.scheduling.slot;
+  if (previousSlot && previousSlot.toString() === slotId.toString()) {
+    throw appointmentError('The donation is already booked in this slot', 400);
+  }
+
+  const slot = await claimSlot(slotId, facility);
+  if (!slot) throw await slotUnavailable(slotId, facility);
+
+  // Conditional on the status and slot read, so a concurrent change wins
+  const updated = await DonationHistory.findOneAndUpdate(
+    { _id: donation._id, status: 'scheduled', 'scheduling.slot': previousSlot || null },
+    {
+      $set: {
+        'scheduling.scheduledDate': slot.startsAt,
+        'scheduling.slot': slot._id,
+        'metadata.updatedBy': changedBy
+      },
+      $inc: { 'scheduling.rescheduleCount': 1 },
+      $push: {
+        statusHistory: {
+          from: 'scheduled',
+          to: 'scheduled',
+          changedBy,
+          reason: reason || 'Appointment rescheduled',
+          changedAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    await releaseSlot(slot._id);
+    throw appointmentError('The donation was changed by someone else. Please reload and try again.', 409);
+  }
+
+  if (previousSlot) await releaseSlot(previousSlot);
+  return updated;
+};
+
+// Open slots at a facility in a time range, optionally only in a part of the day
+const findAvailableSlots = async ({ facility, from = new Date(), to, preference, limit = 50 }) => {
+  const query = {
+    status: 'open',
+    startsAt: { $gt: new Date(Math.max(new Date(from).getTime(), Date.now())) },
+    $expr: { $lt: ['$booked', '$capacity'] }
+  };
+  if (facility) query.facility = facility;
+  if (to) query.startsAt.$lte = new Date(to);
+
+  const slots = await DonationSlot.find(query)
+    .populate('facility', 'name address contact')
+    .sort({ startsAt: 1 })
+    .limit(preference && preference !== 'any' ? limit * 4 : limit);
+
+  return slots
+    .filter(slot => !preference || matchesPreference(slot, preference))
+    .slice(0, limit);
+};
+
+// Calendar invite for a donation. Reschedules bump the sequence so calendar
+// apps update the existing event.
+const buildCalendarInvite = async (donation, { cancelled = false } = {}) => {
+  const slot = donation.scheduling.slot && await DonationSlot.findById(donation.scheduling.slot);
+  const hospital = donation.location.hospital || {};
+  const address = hospital.address || {};
+
+  const start = donation.scheduling.scheduledDate;
+  const end = slot ? slot.endsAt : new Date(start.getTime() + 60 * 60 * 1000);
+  const location = [hospital.name, address.street, address.city, address.pincode]
+    .filter(Boolean)
+    .join(', ');
+
+  const content = createEvent({
+    uid: `donation-${donation._id}@bloodfinder`,
+    start,
+    end,
+    summary: `Blood donation at ${hospital.name}`,
+    description: [
+      `Donation code: ${donation.verification.verificationCode}`,
+      'Show this code at the desk when you arrive.',
+      'Please eat well, stay hydrated and carry a photo ID.',
+      hospital.contactNumber ? `Hospital contact: ${hospital.contactNumber}` : null
+    ].filter(Boolean).join('\n'),
+    location,
+    sequence: donation.scheduling.rescheduleCount || 0,
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED'
+  });
+
+  return {
+    filename: 'donation-appointment.ics',
+    content,
+    contentType: `text/calendar; charset=utf-8; method=${cancelled ? 'CANCEL' : 'PUBLISH'}`
+  };
+};
+
+// Email the donor their appointment with a calendar invite, e.g. with the
+// appointment_booked, appointment_rescheduled or appointment_cancelled template
+const sendAppointmentInvite = async (donation, template, { event, payload } = {}) => {
+  const cancelled = template === 'appointment_cancelled';
+  const hospital = donation.location.hospital;
+
+  return notifyUser(donation.donor, {
+    event,
+    payload,
+    template,
+    data: {
+      hospitalName: hospital.name,
+      hospitalCity: hospital.address && hospital.address.city,
+      scheduledDate: donation.scheduling.scheduledDate,
+      verificationCode: donation.verification.verificationCode
+    },
+    always: true,
+    attachments: [await buildCalendarInvite(donation, { cancelled })],
+    metadata: { donation: donation._id, emergencyRequest: donation.emergencyRequest }
+  });
+};
+
+module.exports = {
+  PARTS_OF_DAY,
+  matchesPreference,
+  claimSlot,
+  releaseSlot,
+  ensureDonorFree,
+  createScheduledDonation,
+  bookSlot,
+  rescheduleDonation,
+  findAvailableSlots,
+  buildCalendarInvite,
+  sendAppointmentInvite
+};
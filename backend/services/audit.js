@@ -0,0 +1,143 @@
+// Audit log: records who did what to which record, with the fields that
+// changed. Entries form a hash chain: each entry's hash covers its content and
+// the previous entry's hash, so any edit, insertion or removal is detected by
+// verifyAuditChain.
+const crypto = require('crypto');
+const { AuditLog } = require('../models');
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_WRITE_ATTEMPTS = 5;
+
+// Plain JSON copy, so what is hashed is exactly what is stored and read back
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// JSON with sorted keys, so the hash does not depend on key order
+const canonicalize = (value) => {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+
+  return `{${Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+    .join(',')}}`;
+};
+
+const hasTarget = (target) => Boolean(target && (target.type !== undefined || target.id !== undefined || target.label !== undefined));
+
+const hashEntry = (entry) => crypto.createHash('sha256').update(canonicalize({
+  sequence: entry.sequence,
+  actor: {
+    user: entry.actor && entry.actor.user ? String(entry.actor.user) : undefined,
+    name: entry.actor && entry.actor.name,
+    role: entry.actor && entry.actor.role
+  },
+  action: entry.action,
+  // A missing target is stored as an empty object
+  target: hasTarget(entry.target) ? { type: entry.target.type, id: entry.target.id, label: entry.target.label } : undefined,
+  changes: (entry.changes || []).map(({ path, before, after }) => ({ path, before, after })),
+  metadata: entry.metadata,
+  ip: entry.ip,
+  userAgent: entry.userAgent,
+  createdAt: new Date(entry.createdAt).toISOString(),
+  prevHash: entry.prevHash
+})).digest('hex');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Fields that differ between two versions of a record, by dotted path.
+// Arrays are compared as a whole.
+const diffObjects = (before = {}, after = {}, prefix = '') => {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const from = before && before[key] !== undefined ? before[key] : null;
+    const to = after && after[key] !== undefined ? after[key] : null;
+
+    if (isPlainObject(from) && isPlainObject(to)) {
+      changes.push(...diffObjects(from, to, path));
+    } else if (canonicalize(from) !== canonicalize(to)) {
+      changes.push({ path, before: from, after: to });
+    }
+  });
+
+  return changes;
+};
+
+// Actor, IP and user agent of an Express request
+const auditContext = (req) => ({
+  actor: req.user,
+  ip: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+// Append an entry to the chain. Concurrent writers race for the next sequence
+// number, and the loser retries on top of the winner. An audit failure is
+// logged but never fails the action being audited.
+const recordAudit = async ({ actor, ip, userAgent, action, target, before, after, changes, metadata }) => {
+  const entry = {
+    actor: actor ? { user: actor._id, name: actor.name, role: actor.role } : undefined,
+    action,
+    target: target && { type: target.type, id: target.id && String(target.id), label: target.label },
+    changes: toPlain(changes || (before || after ? diffObjects(toPlain(before), toPlain(after)) : [])),
+    metadata: toPlain(metadata),
+    ip,
+    userAgent
+  };
+
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    try {
+      const last = await AuditLog.findOne().sort({ sequence: -1 }).select('sequence hash');
+
+      entry.sequence = last ? last.sequence + 1 : 1;
+      entry.prevHash = last ? last.hash : GENESIS_HASH;
+      entry.createdAt = new Date();
+      entry.hash = hashEntry(entry);
+
+      return await AuditLog.create(entry);
+    } catch (error) {
+      if (error.code === 11000 && attempt < MAX_WRITE_ATTEMPTS) continue;
+
+      console.error(`❌ Audit entry for ${action} could not be written:`, error.message);
+      return null;
+    }
+  }
+
+  return null;
+};
+
+// Walk the chain in order and report the first entry whose sequence, link or
+// hash does not match
+const verifyAuditChain = async () => {
+  const cursor = AuditLog.find().sort({ sequence: 1 }).lean().cursor();
+  let previous = null;
+  let checked = 0;
+
+  for await (const entry of cursor) {
+    const expectedSequence = previous ? previous.sequence + 1 : 1;
+    const expectedPrevHash = previous ? previous.hash : GENESIS_HASH;
+
+    let reason = null;
+    if (entry.sequence !== expectedSequence) reason = `Expected entry ${expectedSequence}; entries are missing`;
+    else if (entry.prevHash !== expectedPrevHash) reason = 'Does not link to the previous entry';
+    else if (hashEntry(entry) !== entry.hash) reason = 'Content does not match its hash';
+
+    if (reason) {
+      return { valid: false, checked, brokenAt: { sequence: entry.sequence, id: entry._id, reason } };
+    }
+
+    previous = entry;
+    checked += 1;
+  }
+
+  return { valid: true, checked, lastHash: previous ? previous.hash : GENESIS_HASH };
+};
+
+module.exports = {
+  diffObjects,
+  auditContext,
+  recordAudit,
+  verifyAuditChain
+};
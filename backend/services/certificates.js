@@ -0,0 +1,140 @@
+// Donation certificates. A certificate is issued once per completed donation
+// with a public code; the PDF is rendered on demand from the donation, and its
+// QR code links to the public verification endpoint.
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { DonationHistory } = require('../models');
+
+const APP_NAME = 'BloodFinder';
+
+const COMPONENT_LABELS = {
+  blood: 'Whole blood',
+  red_cells: 'Red cells',
+  plasma: 'Plasma',
+  platelets: 'Platelets',
+  white_cells: 'White cells'
+};
+
+const generateCertificateCode = () => `BFC-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+
+const getVerificationUrl = (code) => {
+  const base = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${base.replace(/\/$/, '')}/api/public/certificates/${code}`;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric'
+});
+
+// Give a completed donation its certificate code. Issuing is conditional on
+// no certificate yet, so concurrent calls return the same code.
+const issueCertificate = async (donation) => {
+  if (donation.recognition.certificateIssued) return donation;
+
+  const issuedAt = new Date();
+  const issued = await DonationHistory.findOneAndUpdate(
+    { _id: donation._id, status: 'completed', 'recognition.certificateIssued': { $ne: true } },
+    {
+      $set: {
+        'recognition.certificateIssued': true,
+        'recognition.certificateCode': generateCertificateCode(),
+        'recognition.certificateIssuedAt': issuedAt
+      },
+      $push: {
+        'documentation.certificates': {
+          type: 'donation_certificate',
+          url: `/api/donor/donations/${donation._id}/certificate`,
+          issuedAt,
+          issuedBy: APP_NAME
+        }
+      }
+    },
+    { new: true }
+  );
+
+  return issued || DonationHistory.findById(donation._id);
+};
+
+// Details printed on the certificate and returned by the public check
+const getCertificateDetails = (donation, donor) => ({
+  code: donation.recognition.certificateCode,
+  donorName: donor.name,
+  donationDate: donation.scheduling.actualDate,
+  component: COMPONENT_LABELS[donation.donation.type] || donation.donation.type,
+  units: donation.donation.units,
+  facility: donation.location.hospital.name,
+  city: donation.location.hospital.address && donation.location.hospital.address.city,
+  issuedAt: donation.recognition.certificateIssuedAt
+});
+
+// Render the certificate of an issued donation as a PDF buffer
+const renderCertificatePdf = async (donation, donor) => {
+  const details = getCertificateDetails(donation, donor);
+  const verificationUrl = getVerificationUrl(details.code);
+  const qrCode = await QRCode.toBuffer(verificationUrl, { margin: 1, width: 240 });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      margin: 50,
+      info: { Title: `${APP_NAME} donation certificate ${details.code}`, Author: APP_NAME }
+    });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { width, height } = doc.page;
+
+    doc.lineWidth(3).strokeColor('#b71c1c').rect(25, 25, width - 50, height - 50).stroke();
+
+    doc.fillColor('#b71c1c').font('Helvetica-Bold').fontSize(30)
+      .text('Certificate of Blood Donation', 50, 80, { align: 'center' });
+    doc.fillColor('#333333').font('Helvetica').fontSize(14)
+      .text('This certifies that', { align: 'center' })
+      .moveDown(0.5);
+    doc.fillColor('#000000').font('Helvetica-Bold').fontSize(26)
+      .text(details.donorName, { align: 'center' })
+      .moveDown(0.5);
+    doc.fillColor('#333333').font('Helvetica').fontSize(14)
+      .text(
+        `donated ${details.units} unit(s) of ${details.component.toLowerCase()} at ${details.facility}` +
+          `${details.city ? `, ${details.city}` : ''} on ${formatDate(details.donationDate)}.`,
+        { align: 'center' }
+      )
+      .moveDown(0.5)
+      .text('Thank you for helping to save lives.', { align: 'center' });
+
+    doc.fontSize(11)
+      .text(`Certificate code: ${details.code}`, 60, height - 150)
+      .text(`Issued: ${formatDate(details.issuedAt)}`)
+      .text('Verify this certificate by scanning the QR code or visiting:')
+      .fillColor('#1a0dab')
+      .text(verificationUrl, { link: verificationUrl, underline: true });
+
+    doc.image(qrCode, width - 190, height - 190, { width: 120 });
+
+    doc.end();
+  });
+};
+
+// PDF as an email attachment
+const buildCertificateAttachment = async (donation, donor) => ({
+  filename: `donation-certificate-${donation.recognition.certificateCode}.pdf`,
+  content: (await renderCertificatePdf(donation, donor)).toString('base64'),
+  contentType: 'application/pdf',
+  encoding: 'base64'
+});
+
+module.exports = {
+  getVerificationUrl,
+  issueCertificate,
+  getCertificateDetails,
+  renderCertificatePdf,
+  buildCertificateAttachment
+};
@@ -0,0 +1,240 @@
+// Chat between the requester of an emergency request and the donors who
+// confirmed it. For requests raised by a hospital, the facility's staff chat
+// as the requester. Used by both the REST routes and the Socket.IO handlers;
+// every read or write re-checks that the user still belongs to the
+// conversation, so a donor who withdraws loses access.
+const { Conversation, Message, EmergencyRequest, User } = require('../models');
+const { emitToRoom, leaveRoom } = require('./notifications');
+const { hasPermission } = require('../utils/permissions');
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Roles that chat as the requester
+const REQUESTER_ROLES = ['recipient', 'hospital_staff'];
+
+const conversationRoom = (conversationId) => `conversation-${conversationId}`;
+
+// Error with an HTTP status for the routes to pass on
+const chatError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const loadRequest = (emergencyRequestId) => {
+  return EmergencyRequest.findById(emergencyRequestId)
+    .select('requester raisedBy hospital.facility status responses.donor responses.responseType fulfillment.selectedDonors');
+};
+
+// Check that a user may use a conversation. Returns { conversation, emergencyRequest }
+// or throws a 404/403 error.
+const loadConversation = async (conversationId, user) => {
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation) throw chatError('Conversation not found', 404);
+
+  const emergencyRequest = await loadRequest(conversation.emergencyRequest);
+  if (!emergencyRequest) throw chatError('Conversation not found', 404);
+
+  if (hasPermission(user, 'chat.view')) return { conversation, emergencyRequest };
+
+  const isRequester = REQUESTER_ROLES.includes(user.role) && emergencyRequest.isManagedBy(user);
+  const isDonor = user.role === 'donor' && conversation.donor.equals(user._id) &&
+    emergencyRequest.hasConfirmedDonor(user._id);
+
+  if (!isRequester && !isDonor) {
+    throw chatError('Not authorized to access this conversation', 403);
+  }
+
+  return { conversation, emergencyRequest };
+};
+
+// Find or start the conversation between a request's requester and a donor.
+// Requesters and admins name the donor; a donor always chats as themselves.
+const openConversation = async (user, { emergencyRequestId, donorId }) => {
+  const emergencyRequest = await loadRequest(emergencyRequestId);
+  if (!emergencyRequest) throw chatError('Emergency request not found', 404);
+
+  const donor = user.role === 'donor' ? user._id : donorId;
+  if (!donor) throw chatError('Donor is required', 400);
+
+  const isRequester = REQUESTER_ROLES.includes(user.role) && emergencyRequest.isManagedBy(user);
+  if (user.role !== 'donor' && !isRequester && !hasPermission(user, 'chat.view')) {
+    throw chatError('Not authorized to access this emergency request', 403);
+  }
+
+  if (!emergencyRequest.hasConfirmedDonor(donor)) {
+    throw chatError('Chat is available once the donor has confirmed the request', 403);
+  }
+
+  const filter = { emergencyRequest: emergencyRequest._id, donor };
+
+  try {
+    return await Conversation.findOneAndUpdate(
+      filter,
+      {
+        $setOnInsert: {
+          requester: emergencyRequest.requester,
+          members: [
+            { user: emergencyRequest.requester, role: emergencyRequest.raisedBy === 'hospital' ? 'hospital_staff' : 'recipient' },
+            { user: donor, role: 'donor' }
+          ],
+          createdBy: user._id
+        }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+  } catch (error) {
+    // Two users opened the conversation at the same time
+    if (error.code === 11000) return Conversation.findOne(filter);
+    throw error;
+  }
+};
+
+// Rooms that receive a conversation's events: the conversation room plus each
+// member's personal room, so members get messages without joining the chat.
+// Members are re-checked on every event: a donor who is no longer confirmed,
+// staff who moved facility and admins who lost chat.view are dropped from
+// the conversation room.
+const getAudience = async (conversation, emergencyRequest) => {
+  const room = conversationRoom(conversation._id);
+  const rooms = [room];
+
+  const others = conversation.members.filter(member => member.role !== 'donor').map(member => member.user);
+  const users = await User.find({ _id: { $in: others } }).select('role hospital adminRoles');
+
+  conversation.members.forEach(member => {
+    const user = users.find(candidate => candidate._id.equals(member.user));
+    const allowed = member.role === 'donor'
+      ? emergencyRequest.hasConfirmedDonor(member.user)
+      : Boolean(user) && (emergencyRequest.isManagedBy(user) || hasPermission(user, 'chat.view'));
+
+    if (!allowed) {
+      leaveRoom(`user-${member.user}`, room);
+      return;
+    }
+    rooms.push(`user-${member.user}`);
+  });
+
+  return rooms;
+};
+
+// Set a user's read position, adding admins and the facility's other staff as
+// members the first time they read or post
+const setLastRead = async (conversation, user, readAt) => {
+  const updated = await Conversation.findOneAndUpdate(
+    { _id: conversation._id, 'members.user': user._id },
+    { $set: { 'members.$.lastReadAt': readAt } },
+    { new: true }
+  );
+  if (updated) return updated;
+
+  return Conversation.findOneAndUpdate(
+    { _id: conversation._id, 'members.user': { $ne: user._id } },
+    { $push: { members: { user: user._id, role: user.role, lastReadAt: readAt } } },
+    { new: true }
+  );
+};
+
+// Store a message and deliver it to the conversation. The sender has read
+// everything up to their own message.
+const sendMessage = async (conversationId, user, text) => {
+  const body = typeof text === 'string' ? text.trim() : '';
+  if (!body || body.length > MAX_MESSAGE_LENGTH) {
+    throw chatError(`Message must be between 1 and ${MAX_MESSAGE_LENGTH} characters`, 400);
+  }
+
+  const { conversation, emergencyRequest } = await loadConversation(conversationId, user);
+
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: user._id,
+    senderRole: user.role,
+    text: body
+  });
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { $set: { lastMessage: { text: body.slice(0, 200), sender: user._id, sentAt: message.createdAt } } }
+  );
+  const updated = await setLastRead(conversation, user, message.createdAt) || conversation;
+
+  emitToRoom(await getAudience(updated, emergencyRequest), 'new-message', {
+    conversationId: conversation._id,
+    emergencyRequestId: conversation.emergencyRequest,
+    message: {
+      _id: message._id,
+      sender: { _id: user._id, name: user.name },
+      senderRole: message.senderRole,
+      text: message.text,
+      createdAt: message.createdAt
+    }
+  });
+
+  return message;
+};
+
+// Mark a conversation read up to now and send a read receipt to its members
+const markRead = async (conversationId, user) => {
+  const { conversation, emergencyRequest } = await loadConversation(conversationId, user);
+  const readAt = new Date();
+
+  const updated = await setLastRead(conversation, user, readAt) || conversation;
+
+  emitToRoom(await getAudience(updated, emergencyRequest), 'messages-read', {
+    conversationId: conversation._id,
+    userId: user._id,
+    readAt
+  });
+
+  return readAt;
+};
+
+// A page of messages, newest first, older than `before` when given
+const getMessages = async (conversationId, user, { before, limit = 30 } = {}) => {
+  const { conversation } = await loadConversation(conversationId, user);
+
+  const query = { conversation: conversation._id };
+  if (before) query.createdAt = { $lt: new Date(before) };
+
+  const messages = await Message.find(query)
+    .populate('sender', 'name role')
+    .sort({ createdAt: -1 })
+    .limit(limit + 1);
+
+  return {
+    conversation,
+    messages: messages.slice(0, limit),
+    hasMore: messages.length > limit
+  };
+};
+
+// Messages from others since the user last read the conversation
+const countUnread = (conversation, userId) => {
+  const member = conversation.getMember(userId);
+
+  return Message.countDocuments({
+    conversation: conversation._id,
+    sender: { $ne: userId },
+    ...(member && member.lastReadAt && { createdAt: { $gt: member.lastReadAt } })
+  });
+};
+
+// Total unread messages across the conversations the user is a member of
+const getUnreadTotal = async (userId) => {
+  const conversations = await Conversation.find({ 'members.user': userId }).select('members');
+  const counts = await Promise.all(conversations.map(conversation => countUnread(conversation, userId)));
+
+  return counts.reduce((total, count) => total + count, 0);
+};
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  conversationRoom,
+  loadConversation,
+  openConversation,
+  sendMessage,
+  markRead,
+  getMessages,
+  countUnread,
+  getUnreadTotal
+};
@@ -0,0 +1,115 @@
+// Contact privacy. Requesters and donors only see each other's masked phone
+// numbers and a per-request relay identifier. Full details are revealed
+// through the relay once the donor has confirmed the request, within the
+// donor's privacy settings, and every reveal is recorded in ContactReveal.
+const { EmergencyRequest, User, ContactReveal } = require('../models');
+const { maskPhone } = require('../utils/mask');
+
+// Error with an HTTP status for the routes to pass on
+const contactError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Fields a donor lets a requester see
+const getSharedFields = (donor) => {
+  const privacy = donor.privacy || {};
+  if (privacy.revealContact === 'never') return [];
+
+  const fields = [];
+  if (privacy.sharePhone !== false) fields.push('phone');
+  if (privacy.shareEmail) fields.push('email');
+  return fields;
+};
+
+// A donor as shown to a requester: no contact details beyond a masked phone
+const toMaskedDonor = (donor) => {
+  if (!donor || !donor._id) return donor;
+
+  return {
+    _id: donor._id,
+    name: donor.name,
+    medicalInfo: donor.medicalInfo && { bloodGroup: donor.medicalInfo.bloodGroup },
+    stats: donor.stats && { totalDonations: donor.stats.totalDonations },
+    maskedPhone: maskPhone(donor.phone)
+  };
+};
+
+// A request as shown to its requester, with each responding donor masked and
+// the relay identifier to reveal their contact details once they confirm
+const toRequesterView = (emergencyRequest) => {
+  const view = emergencyRequest.toObject();
+
+  view.responses = view.responses.map(response => ({
+    ...response,
+    donor: toMaskedDonor(response.donor),
+    contact: {
+      relayId: response.relayId,
+      canReveal: Boolean(response.donor) && emergencyRequest.hasConfirmedDonor(response.donor) &&
+        getSharedFields(response.donor).length > 0
+    }
+  }));
+  view.fulfillment.selectedDonors = (view.fulfillment.selectedDonors || []).map(selection => ({
+    ...selection,
+    donor: toMaskedDonor(selection.donor)
+  }));
+
+  return view;
+};
+
+// Reveal the other party's contact details for a relay identifier. The
+// requester, or the staff of the facility that raised the request, sees the
+// donor's shared fields; the donor sees the requester's phone and email. Both
+// need the donor to have confirmed the request.
+const revealContact = async (relayId, viewer, { ip, userAgent } = {}) => {
+  const emergencyRequest = await EmergencyRequest.findOne({ 'responses.relayId': relayId })
+    .select('requester raisedBy hospital.facility status responses fulfillment.selectedDonors');
+  const response = emergencyRequest && emergencyRequest.responses.find(r => r.relayId === relayId);
+
+  const isRequester = response && emergencyRequest.isManagedBy(viewer);
+  const isDonor = response && response.donor.equals(viewer._id);
+
+  // Same answer for unknown identifiers and other users' identifiers
+  if (!isRequester && !isDonor) throw contactError('Contact not found', 404);
+
+  if (!emergencyRequest.hasConfirmedDonor(response.donor)) {
+    throw contactError('Contact details are shared once the donor confirms the request', 403);
+  }
+
+  const subject = await User.findById(isRequester ? response.donor : emergencyRequest.requester)
+    .select('name role phone email privacy');
+  if (!subject) throw contactError('Contact not found', 404);
+
+  const fields = isRequester ? getSharedFields(subject) : ['phone', 'email'];
+  if (fields.length === 0) {
+    throw contactError('This donor prefers to be contacted through in-app chat', 403);
+  }
+
+  await ContactReveal.create({
+    relayId,
+    emergencyRequest: emergencyRequest._id,
+    viewer: viewer._id,
+    subject: subject._id,
+    fields,
+    ip,
+    userAgent
+  });
+
+  const contact = {
+    relayId,
+    emergencyRequestId: emergencyRequest._id,
+    name: subject.name,
+    role: subject.role
+  };
+  fields.forEach(field => { contact[field] = subject[field]; });
+
+  return contact;
+};
+
+module.exports = {
+  toMaskedDonor,
+  toRequesterView,
+  getSharedFields,
+  revealContact
+};
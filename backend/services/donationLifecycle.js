@@ -0,0 +1,466 @@
+// Donation lifecycle: status changes on a DonationHistory record and their
+// effects on the emergency request and the donor. Each document is updated
+// with a single conditional write, so a donation is only completed or
+// rejected once even if two staff members submit at the same time.
+const { DonationHistory, EmergencyRequest, User } = require('../models');
+const { stopDispatch, resumeDispatchIfUncovered } = require('./emergencyDispatcher');
+const { releaseSlot, sendAppointmentInvite } = require('./appointments');
+const { awardDonationRewards, revokeDonationRewards } = require('./rewards');
+const { toDonationType } = require('../utils/bloodCompatibility');
+
+// Typical collection volume per unit in ml
+const DEFAULT_VOLUME_ML = {
+  blood: 450,
+  red_cells: 400,
+  plasma: 600,
+  platelets: 250
+};
+
+// How long a rejection is left to its own request before the job settles it
+const SETTLE_GRACE_MS = 5 * 60 * 1000;
+
+const idOf = (ref) => (ref && ref._id) || ref;
+
+// Build a scheduled donation for a donor selected on an emergency request
+const buildDonationFromRequest = (emergencyRequest, donor, { scheduledDate, units = 1, createdBy, notes }) => {
+  const type = toDonationType(emergencyRequest.medical.bloodType);
+  const hospital = emergencyRequest.hospital;
+
+  return {
+    donor: donor._id,
+    recipient: emergencyRequest.requester,
+    emergencyRequest: emergencyRequest._id,
+    donation: {
+      type,
+      units,
+      volume: DEFAULT_VOLUME_ML[type] * units,
+      bloodGroup: donor.medicalInfo.bloodGroup
+    },
+    location: {
+      hospital: {
+        facility: hospital.facility,
+        name: hospital.name,
+        address: {
+          street: hospital.address.street,
+          city: hospital.address.city,
+          pincode: hospital.address.pincode
+        },
+        contactNumber: hospital.contactNumber
+      }
+    },
+    scheduling: {
+      scheduledDate: new Date(scheduledDate)
+    },
+    status: 'scheduled',
+    statusHistory: [{ to: 'scheduled', changedBy: createdBy }],
+    notes: notes ? { donorNotes: notes } : undefined,
+    metadata: {
+      createdBy,
+      source: 'emergency_request'
+    }
+  };
+};
+
+// Move a donation to a new status if it is still in the status it was read
+// with. Returns the updated document, or null if someone else changed it first.
+// A scheduled donation that is cancelled or rejected gives up its slot.
+const transitionDonation = async (donation, to, { changedBy, reason, set = {} } = {}) => {
+  const updated = await DonationHistory.findOneAndUpdate(
+    { _id: donation._id, status: donation.status },
+    {
+      $set: { status: to, 'metadata.updatedBy': changedBy, ...set },
+      $push: {
+        statusHistory: { from: donation.status, to, changedBy, reason, changedAt: new Date() }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (updated && donation.status === 'scheduled' && ['cancelled', 'rejected'].includes(to) && updated.scheduling.slot) {
+    await releaseSlot(updated.scheduling.slot);
+  }
+
+  return updated;
+};
+
+// Add fulfilled units to a request and move it to partially_fulfilled or
+// fulfilled in one update. For a donor's donation, also record it in
+// completedDonations and mark their response and selection completed.
+const applyFulfillment = async (requestId, { units, completedAt = new Date(), donation }) => {
+  const newTotal = { $add: ['$fulfillment.unitsFulfilled', units] };
+  const isFulfilled = { $gte: [newTotal, '$medical.unitsRequired'] };
+  const isOpen = { $in: ['$status', EmergencyRequest.OPEN_STATUSES] };
+
+  const set = {
+    'fulfillment.unitsFulfilled': newTotal,
+    'fulfillment.fulfilledDate': {
+      $cond: [{ $and: [isOpen, isFulfilled] }, completedAt, '$fulfillment.fulfilledDate']
+    },
+    status: {
+      $cond: [isOpen, { $cond: [isFulfilled, 'fulfilled', 'partially_fulfilled'] }, '$status']
+    }
+  };
+
+  if (donation) {
+    const donorId = idOf(donation.donor);
+
+    set['fulfillment.completedDonations'] = {
+      $concatArrays: [
+        { $ifNull: ['$fulfillment.completedDonations', []] },
+        [{
+          donor: donorId,
+          units,
+          donationDate: completedAt,
+          verificationCode: donation.verification.verificationCode,
+          status: 'pending'
+        }]
+      ]
+    };
+    set['fulfillment.selectedDonors'] = {
+      $map: {
+        input: { $ifNull: ['$fulfillment.selectedDonors', []] },
+        as: 'selection',
+        in: {
+          $cond: [
+            { $eq: ['$$selection.donation', donation._id] },
+            { $mergeObjects: ['$$selection', { status: 'completed' }] },
+            '$$selection'
+          ]
+        }
+      }
+    };
+    set.responses = {
+      $map: {
+        input: '$responses',
+        as: 'response',
+        in: {
+          $cond: [
+            { $eq: ['$$response.donor', donorId] },
+            { $mergeObjects: ['$$response', { responseType: 'completed' }] },
+            '$$response'
+          ]
+        }
+      }
+    };
+  }
+
+  const emergencyRequest = await EmergencyRequest.findOneAndUpdate(
+    { _id: requestId },
+    [{ $set: set }],
+    { new: true }
+  );
+
+  if (emergencyRequest && emergencyRequest.status === 'fulfilled') {
+    await stopDispatch(emergencyRequest._id);
+    await cancelRequestDonations(emergencyRequest._id, { reason: 'Emergency request fulfilled' });
+  }
+
+  return emergencyRequest;
+};
+
+// Complete an in-progress donation and credit the request and the donor
+const completeDonation = async (donation, { units, volume, notes, changedBy }) => {
+  const completedAt = new Date();
+
+  donation.donation.units = units;
+  const rewardPoints = donation.calculateRewardPoints();
+
+  const set = {
+    'donation.units': units,
+    'scheduling.actualDate': completedAt,
+    'scheduling.completionTime': completedAt,
+    'recognition.rewardPoints': rewardPoints
+  };
+
+  if (volume) set['donation.volume'] = volume;
+  if (notes) set['notes.hospitalNotes'] = notes;
+  if (donation.scheduling.arrivalTime) {
+    set['scheduling.duration'] = Math.round((completedAt - donation.scheduling.arrivalTime) / 60000);
+  }
+
+  const updated = await transitionDonation(donation, 'completed', { changedBy, set });
+  if (!updated) return null;
+
+  let emergencyRequest = null;
+  if (updated.emergencyRequest) {
+    emergencyRequest = await applyFulfillment(updated.emergencyRequest, {
+      units,
+      completedAt,
+      donation: updated
+    });
+  }
+
+  await User.updateOne(
+    { _id: idOf(updated.donor) },
+    {
+      $inc: { 'stats.totalDonations': 1 },
+      $max: { 'medicalInfo.lastDonationDate': completedAt }
+    }
+  );
+
+  const rewards = await awardDonationRewards(updated);
+
+  return { donation: updated, emergencyRequest, rewardPoints: rewards.points, badges: rewards.badges };
+};
+
+// Release a donation rejected before completion from its request: the
+// donor's selection stops reserving units and their response is cancelled.
+// Either may be missing, e.g. for a donor an admin scheduled directly.
+const releaseSelection = (donation) => {
+  return EmergencyRequest.findOneAndUpdate(
+    { _id: donation.emergencyRequest },
+    {
+      $set: {
+        'responses.$[response].responseType': 'cancelled',
+        'fulfillment.selectedDonors.$[selection].status': 'rejected'
+      }
+    },
+    {
+      new: true,
+      arrayFilters: [
+        { 'response.donor': idOf(donation.donor) },
+        { 'selection.donation': donation._id, 'selection.status': 'scheduled' }
+      ]
+    }
+  );
+};
+
+// Take a rejected donation's units back off its request: the fulfillment
+// entry and selection are marked rejected, and a fulfilled request reopens as
+// partially_fulfilled or active when it no longer has enough units. Only
+// applies while the fulfillment entry is not yet rejected, so the units come
+// off once however many times it runs; without an entry (the units were never
+// added) the selection is just released.
+const reverseFulfillment = async (donation) => {
+  const donorId = idOf(donation.donor);
+  const verificationCode = donation.verification.verificationCode;
+  const newTotal = { $max: [{ $subtract: ['$fulfillment.unitsFulfilled', donation.donation.units] }, 0] };
+  const wasFilling = { $in: ['$status', ['partially_fulfilled', 'fulfilled']] };
+  const status = {
+    $cond: [
+      wasFilling,
+      {
+        $switch: {
+          branches: [
+            { case: { $gte: [newTotal, '$medical.unitsRequired'] }, then: 'fulfilled' },
+            { case: { $gt: [newTotal, 0] }, then: 'partially_fulfilled' }
+          ],
+          default: 'active'
+        }
+      },
+      '$status'
+    ]
+  };
+
+  const emergencyRequest = await EmergencyRequest.findOneAndUpdate(
+    {
+      _id: donation.emergencyRequest,
+      'fulfillment.completedDonations': {
+        $elemMatch: { verificationCode, status: { $ne: 'rejected' } }
+      }
+    },
+    [{
+      $set: {
+        'fulfillment.unitsFulfilled': newTotal,
+        status,
+        'fulfillment.fulfilledDate': {
+          $cond: [{ $eq: [status, 'fulfilled'] }, '$fulfillment.fulfilledDate', '$$REMOVE']
+        },
+        'fulfillment.completedDonations': {
+          $map: {
+            input: '$fulfillment.completedDonations',
+            as: 'entry',
+            in: {
+              $cond: [
+                { $eq: ['$$entry.verificationCode', verificationCode] },
+                { $mergeObjects: ['$$entry', { status: 'rejected' }] },
+                '$$entry'
+              ]
+            }
+          }
+        },
+        'fulfillment.selectedDonors': {
+          $map: {
+            input: { $ifNull: ['$fulfillment.selectedDonors', []] },
+            as: 'selection',
+            in: {
+              $cond: [
+                { $eq: ['$$selection.donation', donation._id] },
+                { $mergeObjects: ['$$selection', { status: 'rejected' }] },
+                '$$selection'
+              ]
+            }
+          }
+        },
+        responses: {
+          $map: {
+            input: '$responses',
+            as: 'response',
+            in: {
+              $cond: [
+                { $eq: ['$$response.donor', donorId] },
+                { $mergeObjects: ['$$response', { responseType: 'cancelled' }] },
+                '$$response'
+              ]
+            }
+          }
+        }
+      }
+    }],
+    { new: true }
+  );
+
+  return emergencyRequest || releaseSelection(donation);
+};
+
+// Recount the donor's completed donations and point lastDonationDate back at
+// their latest remaining one, or clear it when none is left, once a completed
+// donation is rejected. Both come from the donor's donations, so this can be
+// re-run. A self-reported date later than the rejected donation is kept.
+const restoreDonorStats = async (donation) => {
+  const donorId = idOf(donation.donor);
+  const [totalDonations, latest] = await Promise.all([
+    DonationHistory.countDocuments({ donor: donorId, status: 'completed' }),
+    DonationHistory.findOne({ donor: donorId, status: 'completed' })
+      .sort({ 'scheduling.actualDate': -1 })
+      .select('scheduling.actualDate')
+  ]);
+
+  await User.updateOne({ _id: donorId }, { $set: { 'stats.totalDonations': totalDonations } });
+
+  const donatedAt = donation.scheduling && donation.scheduling.actualDate;
+  if (!donatedAt) return;
+
+  const latestDate = latest && latest.scheduling.actualDate;
+  await User.updateOne(
+    { _id: donorId, 'medicalInfo.lastDonationDate': { $lte: donatedAt } },
+    latestDate
+      ? { $set: { 'medicalInfo.lastDonationDate': latestDate } }
+      : { $unset: { 'medicalInfo.lastDonationDate': 1 } }
+  );
+};
+
+// Whether a rejected donation had been completed before it was rejected
+const wasRejectedAfterCompletion = (donation) => {
+  const rejection = donation.statusHistory.filter(change => change.to === 'rejected').pop();
+  return Boolean(rejection && rejection.from === 'completed');
+};
+
+// Apply a rejected donation's effects from its own state. Every step is safe
+// to repeat, so a rejection interrupted part way is finished by running this
+// again; the donation is marked settled once all of them have run.
+const settleRejection = async (donation) => {
+  const afterCompletion = wasRejectedAfterCompletion(donation);
+  let emergencyRequest = null;
+  let pointsRevoked = 0;
+
+  if (donation.emergencyRequest) {
+    emergencyRequest = afterCompletion
+      ? await reverseFulfillment(donation)
+      : await releaseSelection(donation);
+  }
+
+  if (afterCompletion) {
+    pointsRevoked = await revokeDonationRewards(donation, {
+      reason: donation.rejectionReason,
+      changedBy: donation.metadata && donation.metadata.updatedBy
+    });
+    await restoreDonorStats(donation);
+  }
+
+  // The donor's units are no longer covered
+  if (emergencyRequest) await resumeDispatchIfUncovered(emergencyRequest._id);
+
+  await DonationHistory.updateOne({ _id: donation._id }, { $set: { rejectionSettledAt: new Date() } });
+
+  return { emergencyRequest, pointsRevoked };
+};
+
+// Reject a donation (e.g. failed pre-screening) and release the donor's
+// commitment and selection on the request. Rejecting a completed donation
+// (e.g. failed post-donation tests) also takes back its units and rewards,
+// and the donor's donation count and last donation date.
+const rejectDonation = async (donation, { reason, changedBy }) => {
+  const updated = await transitionDonation(donation, 'rejected', {
+    changedBy,
+    reason,
+    set: { rejectionReason: reason }
+  });
+  if (!updated) return null;
+
+  const { emergencyRequest, pointsRevoked } = await settleRejection(updated);
+
+  return { donation: updated, emergencyRequest, pointsRevoked };
+};
+
+// Finish rejections left unsettled, e.g. by a restart part way through.
+// Recent ones are left to the request that is still settling them.
+const settleRejectedDonations = async ({ graceMs = SETTLE_GRACE_MS, limit = 100 } = {}) => {
+  const pending = await DonationHistory.find({
+    status: 'rejected',
+    rejectionSettledAt: { $exists: false },
+    updatedAt: { $lte: new Date(Date.now() - graceMs) }
+  }).limit(limit);
+
+  for (const donation of pending) {
+    await settleRejection(donation);
+  }
+
+  return { settled: pending.length };
+};
+
+// Cancel the donations still scheduled for a request that has closed
+// (cancelled, fulfilled or expired). Their slots are released, their
+// selections are marked cancelled and each donor gets a cancelled invite.
+const cancelRequestDonations = async (requestId, { changedBy, reason }) => {
+  const scheduled = await DonationHistory.find({ emergencyRequest: requestId, status: 'scheduled' });
+  const cancelled = [];
+
+  for (const donation of scheduled) {
+    const updated = await transitionDonation(donation, 'cancelled', { changedBy, reason });
+    if (updated) cancelled.push(updated);
+  }
+
+  if (cancelled.length === 0) return 0;
+
+  await EmergencyRequest.updateOne(
+    { _id: requestId },
+    { $set: { 'fulfillment.selectedDonors.$[selection].status': 'cancelled' } },
+    { arrayFilters: [{ 'selection.donation': { $in: cancelled.map(donation => donation._id) }, 'selection.status': 'scheduled' }] }
+  );
+
+  cancelled.forEach(donation => {
+    sendAppointmentInvite(donation, 'appointment_cancelled', {
+      event: 'donation-cancelled',
+      payload: {
+        donationId: donation._id,
+        emergencyRequestId: requestId,
+        reason,
+        timestamp: new Date()
+      }
+    }).catch(error => console.error('Appointment cancellation notice error:', error));
+  });
+
+  return cancelled.length;
+};
+
+// Mark a completed donation's fulfillment entry as verified by the hospital
+const verifyFulfillment = (emergencyRequestId, verificationCode) => {
+  return EmergencyRequest.updateOne(
+    { _id: emergencyRequestId },
+    { $set: { 'fulfillment.completedDonations.$[entry].status': 'verified' } },
+    { arrayFilters: [{ 'entry.verificationCode': verificationCode, 'entry.status': 'pending' }] }
+  );
+};
+
+module.exports = {
+  DEFAULT_VOLUME_ML,
+  buildDonationFromRequest,
+  applyFulfillment,
+  transitionDonation,
+  completeDonation,
+  rejectDonation,
+  settleRejectedDonations,
+  cancelRequestDonations,
+  verifyFulfillment
+};
@@ -0,0 +1,349 @@
+// Donor eligibility rules engine. Rules are admin-configurable (the
+// `eligibility` setting) and evaluated per component, so a donor can be
+// deferred from whole blood but still give plasma. Every verdict lists the
+// reasons a donor cannot donate and the date they next can.
+const { User, DonationHistory, Setting } = require('../models');
+const { toDonationType } = require('../utils/bloodCompatibility');
+
+const SETTING_KEY = 'eligibility';
+const CACHE_TTL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const { DONATION_COMPONENTS } = User;
+
+const DEFAULT_ELIGIBILITY_RULES = {
+  // Days after a donation of the outer type before each component can be given
+  intervals: {
+    blood: { blood: 56, red_cells: 56, plasma: 28, platelets: 28 },
+    red_cells: { blood: 112, red_cells: 112, plasma: 28, platelets: 28 },
+    plasma: { blood: 14, red_cells: 14, plasma: 14, platelets: 14 },
+    platelets: { blood: 7, red_cells: 7, plasma: 7, platelets: 7 },
+    white_cells: { blood: 7, red_cells: 7, plasma: 7, platelets: 7 }
+  },
+  // Longer intervals for female donors, over `intervals`
+  femaleIntervals: {
+    blood: { blood: 84, red_cells: 84 },
+    red_cells: { blood: 168, red_cells: 168 }
+  },
+  age: { min: 18, max: 65 },
+  // Minimum weight in kg per component
+  minWeight: { blood: 50, red_cells: 70, plasma: 55, platelets: 55 },
+  // Minimum hemoglobin (g/dL) at the last pre-screening. A lower reading defers
+  // the donor for `deferralDays`; the female limit is used when sex is unknown.
+  hemoglobin: { male: 13, female: 12.5, deferralDays: 90 },
+  tattooDeferralDays: 180,
+  travelDeferralDays: 90,
+  // Medications that defer a donor while taken and for `days` after the last
+  // dose. `components` limits the deferral to some components.
+  medications: [
+    { name: 'isotretinoin', days: 30 },
+    { name: 'finasteride', days: 30 },
+    { name: 'dutasteride', days: 180 },
+    { name: 'acitretin', days: 1095 },
+    { name: 'warfarin', days: 7 },
+    { name: 'antibiotic', days: 14 },
+    { name: 'aspirin', days: 2, components: ['platelets'] }
+  ],
+  // Conditions that defer a donor while listed on their profile
+  conditions: [
+    { name: 'hiv', permanent: true },
+    { name: 'hepatitis b', permanent: true },
+    { name: 'hepatitis c', permanent: true },
+    { name: 'cancer', permanent: true },
+    { name: 'heart disease', permanent: true },
+    { name: 'malaria' },
+    { name: 'tuberculosis' },
+    { name: 'pregnancy' }
+  ]
+};
+
+let cachedRules = null;
+let cachedAt = 0;
+
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+// Merge nested rule objects; lists are replaced as a whole
+const mergeRules = (base, changes) => {
+  const merged = { ...base };
+  Object.entries(changes).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeRules(base[key], value) : value;
+  });
+  return merged;
+};
+
+// Current rules: stored values over the defaults, cached briefly
+const getEligibilityRules = async () => {
+  if (cachedRules && Date.now() - cachedAt < CACHE_TTL_MS) return cachedRules;
+
+  const stored = await Setting.getValue(SETTING_KEY, {});
+  cachedRules = mergeRules(DEFAULT_ELIGIBILITY_RULES, stored);
+  cachedAt = Date.now();
+  return cachedRules;
+};
+
+const saveRules = async (rules, updatedBy) => {
+  await Setting.findOneAndUpdate(
+    { key: SETTING_KEY },
+    { $set: { value: rules, updatedBy } },
+    { upsert: true }
+  );
+
+  cachedRules = rules;
+  cachedAt = Date.now();
+  return rules;
+};
+
+const updateEligibilityRules = async (changes, updatedBy) =>
+  saveRules(mergeRules(await getEligibilityRules(), changes), updatedBy);
+
+const resetEligibilityRules = (updatedBy) => saveRules(DEFAULT_ELIGIBILITY_RULES, updatedBy);
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const matchesEntry = (values, name) =>
+  (values || []).find(value => String(value).toLowerCase().includes(name.toLowerCase()));
+
+const appliesTo = (rule, component) =>
+  !rule.components || rule.components.length === 0 || rule.components.includes(component);
+
+// Medication rules matched by a list of medicines, as [{ rule, match }]
+const findDeferringMedications = (rules, medications) => rules.medications
+  .map(rule => ({ rule, match: matchesEntry(medications, rule.name) }))
+  .filter(({ match }) => match);
+
+// Days to wait after a donation of one type before giving a component
+const getIntervalDays = (rules, previousType, component, sex) => {
+  const femaleRow = sex === 'female' && rules.femaleIntervals && rules.femaleIntervals[previousType];
+  if (femaleRow && femaleRow[component] !== undefined) return femaleRow[component];
+
+  const row = rules.intervals[previousType] || {};
+  return row[component] || 0;
+};
+
+// Shortest wait after any donation before giving a component. A lower bound
+// on every donor's wait, so donor queries can skip recent donors by
+// medicalInfo.lastDonationDate before the full check.
+const getMinimumIntervalDays = (rules, component) => {
+  const type = toDonationType(component);
+  // Female rows only override the components they list
+  const days = [
+    ...Object.values(rules.intervals || {}).map(row => (row && row[type]) || 0),
+    ...Object.values(rules.femaleIntervals || {})
+      .filter(row => row && row[type] !== undefined)
+      .map(row => row[type])
+  ];
+
+  return days.length > 0 ? Math.min(...days) : 0;
+};
+
+// Last donation date per type, counting a self-reported lastDonationDate as
+// whole blood when it is later than every recorded donation
+const withReportedDonation = (donor, lastDonations = {}) => {
+  const reported = donor.medicalInfo && donor.medicalInfo.lastDonationDate;
+  if (!reported) return lastDonations;
+
+  const recorded = Object.values(lastDonations);
+  if (recorded.some(date => date >= reported)) return lastDonations;
+
+  return { ...lastDonations, blood: reported };
+};
+
+// Date the waiting period after a donor's previous donations ends for a component
+const getIntervalEnd = (donor, lastDonations, rules, component) => {
+  const sex = donor.medicalInfo && donor.medicalInfo.sex;
+  let end = null;
+
+  Object.entries(withReportedDonation(donor, lastDonations)).forEach(([type, date]) => {
+    const until = addDays(date, getIntervalDays(rules, type, toDonationType(component), sex));
+    if (!end || until > end) end = until;
+  });
+
+  return end;
+};
+
+// Evaluate one donor (a User document) for one component. History comes from
+// loadDonorHistory().
+// Returns { component, eligible, reasons: [{ rule, message, until, permanent }],
+// nextEligibleDate }. nextEligibleDate is null when a reason has no end date.
+const evaluateEligibility = (donor, { component, rules, lastDonations = {}, lastHemoglobin, now = new Date() }) => {
+  component = toDonationType(component);
+  const medicalInfo = donor.medicalInfo || {};
+  const reasons = [];
+  const add = (rule, message, { until = null, permanent = false } = {}) =>
+    reasons.push({ rule, message, until, permanent });
+
+  // Account
+  if (donor.role !== 'donor') {
+    add('account', 'Only donor accounts can donate', { permanent: true });
+  } else if (donor.status !== 'approved') {
+    add('account', `Donor account is ${donor.status}`);
+  }
+  if (donor.availability && donor.availability.isAvailable === false) {
+    add('availability', 'Marked as unavailable');
+  }
+
+  // Deferrals recorded by admins
+  donor.getActiveDeferrals(now, component).forEach(deferral => {
+    add('deferral', deferral.reason, {
+      until: deferral.kind === 'permanent' ? null : deferral.until,
+      permanent: deferral.kind === 'permanent'
+    });
+  });
+
+  // Age
+  if (medicalInfo.dateOfBirth) {
+    const dateOfBirth = new Date(medicalInfo.dateOfBirth);
+    const minAgeDate = new Date(dateOfBirth);
+    minAgeDate.setFullYear(minAgeDate.getFullYear() + rules.age.min);
+    const maxAgeDate = new Date(dateOfBirth);
+    maxAgeDate.setFullYear(maxAgeDate.getFullYear() + rules.age.max + 1);
+
+    if (now < minAgeDate) {
+      add('age', `Donors must be at least ${rules.age.min} years old`, { until: minAgeDate });
+    } else if (now >= maxAgeDate) {
+      add('age', `Donors must be ${rules.age.max} or younger`, { permanent: true });
+    }
+  }
+
+  // Weight
+  const minWeight = rules.minWeight[component];
+  if (minWeight && (!medicalInfo.weight || medicalInfo.weight < minWeight)) {
+    add('weight', `At least ${minWeight} kg is needed to give ${component.replace('_', ' ')}`);
+  }
+
+  // Intervals since previous donations
+  const intervalEnd = getIntervalEnd(donor, lastDonations, rules, component);
+  if (intervalEnd && intervalEnd > now) {
+    add('interval', `Too soon after your last donation to give ${component.replace('_', ' ')}`, { until: intervalEnd });
+  }
+
+  // Hemoglobin at the last pre-screening
+  if (lastHemoglobin && lastHemoglobin.value !== undefined && lastHemoglobin.recordedAt) {
+    const minimum = medicalInfo.sex === 'male' ? rules.hemoglobin.male : rules.hemoglobin.female;
+    const until = addDays(lastHemoglobin.recordedAt, rules.hemoglobin.deferralDays);
+    if (lastHemoglobin.value < minimum && until > now) {
+      add('hemoglobin', `Hemoglobin was ${lastHemoglobin.value} g/dL at the last screening (minimum ${minimum})`, { until });
+    }
+  }
+
+  // Recent tattoo or travel
+  if (medicalInfo.lastTattooDate) {
+    const until = addDays(medicalInfo.lastTattooDate, rules.tattooDeferralDays);
+    if (until > now) add('tattoo', 'Recent tattoo or piercing', { until });
+  }
+  if (medicalInfo.lastTravelDate) {
+    const until = addDays(medicalInfo.lastTravelDate, rules.travelDeferralDays);
+    if (until > now) add('travel', 'Recent travel to a malaria-endemic area', { until });
+  }
+
+  // Medications and conditions on the donor's profile
+  findDeferringMedications(rules, medicalInfo.medications)
+    .filter(({ rule }) => appliesTo(rule, component))
+    .forEach(({ rule, match }) => {
+      add('medication', `Taking ${match}: deferred until ${rule.days} day(s) after the last dose`);
+    });
+
+  rules.conditions.filter(rule => appliesTo(rule, component)).forEach(rule => {
+    const match = matchesEntry(medicalInfo.medicalConditions, rule.name);
+    if (match) {
+      add('condition', rule.permanent ? `${match} permanently defers donation` : `${match} defers donation`, {
+        permanent: Boolean(rule.permanent)
+      });
+    }
+  });
+
+  let nextEligibleDate = now;
+  if (reasons.length > 0) {
+    nextEligibleDate = reasons.every(reason => reason.until)
+      ? new Date(Math.max(...reasons.map(reason => reason.until.getTime())))
+      : null;
+  }
+
+  return {
+    component,
+    eligible: reasons.length === 0,
+    reasons,
+    nextEligibleDate
+  };
+};
+
+// Last completed donation per type and the last hemoglobin reading for donors,
+// keyed by donor id
+const loadDonorHistory = async (donorIds) => {
+  const [donations, screenings] = await Promise.all([
+    DonationHistory.aggregate([
+      // Donations rejected after collection (failed tests) still count towards the wait
+      { $match: { donor: { $in: donorIds }, status: { $in: ['completed', 'rejected'] }, 'scheduling.actualDate': { $ne: null } } },
+      { $group: { _id: { donor: '$donor', type: '$donation.type' }, lastDate: { $max: '$scheduling.actualDate' } } }
+    ]),
+    DonationHistory.aggregate([
+      { $match: { donor: { $in: donorIds }, 'medical.preScreening.hemoglobin': { $ne: null } } },
+      { $sort: { 'medical.preScreening.recordedAt': -1 } },
+      {
+        $group: {
+          _id: '$donor',
+          value: { $first: '$medical.preScreening.hemoglobin' },
+          recordedAt: { $first: '$medical.preScreening.recordedAt' }
+        }
+      }
+    ])
+  ]);
+
+  const history = new Map(donorIds.map(id => [id.toString(), { lastDonations: {}, lastHemoglobin: null }]));
+
+  donations.forEach(({ _id, lastDate }) => {
+    const entry = history.get(_id.donor.toString());
+    if (entry) entry.lastDonations[_id.type] = lastDate;
+  });
+
+  screenings.forEach(({ _id, value, recordedAt }) => {
+    const entry = history.get(_id.toString());
+    if (entry) entry.lastHemoglobin = { value, recordedAt };
+  });
+
+  return history;
+};
+
+// Check a donor for one component, or for every component when none is given
+const checkEligibility = async (donor, { component, now = new Date() } = {}) => {
+  const rules = await getEligibilityRules();
+  const history = (await loadDonorHistory([donor._id])).get(donor._id.toString());
+
+  if (component) {
+    return evaluateEligibility(donor, { component, rules, now, ...history });
+  }
+
+  const components = {};
+  DONATION_COMPONENTS.forEach(type => {
+    components[type] = evaluateEligibility(donor, { component: type, rules, now, ...history });
+  });
+  return components;
+};
+
+// Keep the candidates whose donor is eligible for a component. Candidates are
+// objects with a `donor` field, as returned by the donor searches.
+const filterEligibleDonors = async (candidates, component) => {
+  if (candidates.length === 0) return candidates;
+
+  const rules = await getEligibilityRules();
+  const now = new Date();
+  const history = await loadDonorHistory(candidates.map(({ donor }) => donor._id));
+
+  return candidates.filter(({ donor }) =>
+    evaluateEligibility(donor, { component, rules, now, ...history.get(donor._id.toString()) }).eligible
+  );
+};
+
+module.exports = {
+  DEFAULT_ELIGIBILITY_RULES,
+  getEligibilityRules,
+  updateEligibilityRules,
+  resetEligibilityRules,
+  getIntervalEnd,
+  getMinimumIntervalDays,
+  findDeferringMedications,
+  evaluateEligibility,
+  loadDonorHistory,
+  checkEligibility,
+  filterEligibleDonors
+};
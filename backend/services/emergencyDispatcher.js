@@ -0,0 +1,345 @@
+// Server-side donor notification for emergency requests.
+// Eligible donors are notified in waves with a widening radius around the
+// hospital until enough donors have confirmed or the request's maxRadius is used up.
+// Units reserved or issued from hospital inventory count towards the request too.
+// Waves are timed in process but claimed in the database, so with several
+// server instances each wave is still sent once.
+const { User, EmergencyRequest, InventoryUnit } = require('../models');
+const { getCompatibleDonorGroups, getMatchType } = require('../utils/bloodCompatibility');
+const { DEFAULT_RADIUS_KM, metersToKm, geoNearStage } = require('../utils/geo');
+const { notifyUser, emitToRoom } = require('./notifications');
+const { getEligibilityRules, getMinimumIntervalDays, filterEligibleDonors } = require('./eligibility');
+
+// Share of the request's maxRadius covered by each wave
+const WAVE_RADIUS_FRACTIONS = [0.2, 0.5, 1];
+
+// Minutes to wait for confirmations before widening the radius
+const WAVE_INTERVAL_MINUTES = {
+  critical: 5,
+  high: 10,
+  medium: 20,
+  low: 30
+};
+
+// How early a wave may run before its nextWaveAt, to allow for timer drift
+const CLAIM_TOLERANCE_MS = 1000;
+
+// Donors notified per wave are capped so the nearest are always reached first
+const MIN_DONORS_PER_WAVE = 10;
+const DONORS_PER_UNIT = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const timers = new Map();
+
+const getWaveInterval = (urgencyLevel) => {
+  const override = parseInt(process.env.DISPATCH_WAVE_INTERVAL_MINUTES);
+  const minutes = override || WAVE_INTERVAL_MINUTES[urgencyLevel] || WAVE_INTERVAL_MINUTES.medium;
+  return minutes * 60 * 1000;
+};
+
+const clearTimer = (requestId) => {
+  const key = requestId.toString();
+  if (timers.has(key)) {
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+  }
+};
+
+const scheduleWave = (requestId, delayMs) => {
+  clearTimer(requestId);
+
+  const timer = setTimeout(() => {
+    timers.delete(requestId.toString());
+    runWave(requestId).catch(error => console.error('Dispatch wave error:', error));
+  }, Math.max(delayMs, 0));
+
+  // Pending waves should not keep the process alive on shutdown
+  if (timer.unref) timer.unref();
+  timers.set(requestId.toString(), timer);
+};
+
+const finishDispatch = async (requestId, status) => {
+  clearTimer(requestId);
+
+  await EmergencyRequest.updateOne(
+    { _id: requestId },
+    {
+      $set: { 'dispatch.status': status, 'dispatch.completedAt': new Date() },
+      $unset: { 'dispatch.nextWaveAt': 1 }
+    }
+  );
+};
+
+// Units already covered by fulfilled units, selected or confirmed donors, or
+// reserved inventory (issued units are part of the fulfilled units)
+const getCommittedUnits = async (emergencyRequest) => {
+  const reservedUnits = await InventoryUnit.countDocuments({
+    emergencyRequest: emergencyRequest._id,
+    status: 'reserved'
+  });
+
+  return emergencyRequest.getCommittedUnits() + reservedUnits;
+};
+
+// Find eligible donors for a request within a radius, excluding those already
+// notified. Candidates are read nearest first in pages; donors who fail the
+// full eligibility check are skipped, so farther eligible donors are still
+// reached when the nearest ones cannot donate.
+const findEligibleDonors = async (emergencyRequest, radiusKm, excludeIds, unitsNeeded) => {
+  const rules = await getEligibilityRules();
+  const gapDays = getMinimumIntervalDays(rules, emergencyRequest.medical.bloodType);
+
+  const query = {
+    role: 'donor',
+    status: 'approved',
+    'availability.isAvailable': true,
+    'notifications.emergencyAlerts': { $ne: false },
+    'medicalInfo.bloodGroup': {
+      $in: getCompatibleDonorGroups(emergencyRequest.patient.bloodGroup, emergencyRequest.medical.bloodType)
+    },
+    $or: [
+      { 'medicalInfo.lastDonationDate': { $exists: false } },
+      { 'medicalInfo.lastDonationDate': { $lte: new Date(Date.now() - gapDays * DAY_MS) } }
+    ]
+  };
+
+  const limit = Math.max(MIN_DONORS_PER_WAVE, unitsNeeded * DONORS_PER_UNIT);
+  const pageSize = limit * 2;
+  const point = emergencyRequest.hospital.location;
+  const seen = [...excludeIds];
+  const eligible = [];
+
+  while (eligible.length < limit) {
+    const pageQuery = { ...query, _id: { $nin: seen } };
+    let candidates;
+
+    if (point && point.coordinates && point.coordinates.length === 2) {
+      candidates = await User.aggregate([
+        geoNearStage({
+          point: { type: 'Point', coordinates: point.coordinates },
+          key: 'location',
+          radiusKm,
+          query: pageQuery
+        }),
+        { $limit: pageSize }
+      ]);
+    } else {
+      // Without a hospital location, fall back to donors in the same city
+      candidates = await User.find({
+        ...pageQuery,
+        'address.city': { $regex: emergencyRequest.hospital.address.city, $options: 'i' }
+      })
+      .limit(pageSize)
+      .lean();
+    }
+
+    candidates.forEach(candidate => seen.push(candidate._id));
+    eligible.push(...await filterEligibleDonors(
+      candidates.map(({ distance, ...donor }) => ({ donor: User.hydrate(donor), distance })),
+      emergencyRequest.medical.bloodType
+    ));
+
+    if (candidates.length < pageSize) break;
+  }
+
+  return eligible.slice(0, limit);
+};
+
+// Claim a wave by moving currentWave on from the wave read, once the wave is
+// due. With several server instances holding timers for the same request,
+// only the one that claims a wave sends it; the others get null.
+const claimWave = (requestId, waveIndex) => {
+  return EmergencyRequest.findOneAndUpdate(
+    {
+      _id: requestId,
+      'dispatch.currentWave': waveIndex,
+      'dispatch.status': { $ne: 'stopped' },
+      $or: [
+        { 'dispatch.nextWaveAt': { $exists: false } },
+        { 'dispatch.nextWaveAt': { $lte: new Date(Date.now() + CLAIM_TOLERANCE_MS) } }
+      ]
+    },
+    {
+      $set: { 'dispatch.currentWave': waveIndex + 1, 'dispatch.status': 'in_progress' },
+      $unset: { 'dispatch.nextWaveAt': 1 }
+    },
+    { new: true }
+  );
+};
+
+// Run the next notification wave for a request
+const runWave = async (requestId) => {
+  const emergencyRequest = await EmergencyRequest.findById(requestId);
+  if (!emergencyRequest) return clearTimer(requestId);
+
+  if (!emergencyRequest.isOpen() || emergencyRequest.isExpired()) {
+    return finishDispatch(requestId, 'stopped');
+  }
+
+  const unitsNeeded = emergencyRequest.medical.unitsRequired - await getCommittedUnits(emergencyRequest);
+  if (unitsNeeded <= 0) {
+    return finishDispatch(requestId, 'completed');
+  }
+
+  const waveIndex = emergencyRequest.dispatch.currentWave;
+  if (waveIndex >= WAVE_RADIUS_FRACTIONS.length) {
+    return finishDispatch(requestId, 'exhausted');
+  }
+
+  if (!await claimWave(emergencyRequest._id, waveIndex)) return;
+
+  const maxRadius = emergencyRequest.visibility.maxRadius || DEFAULT_RADIUS_KM;
+  const radiusKm = Math.max(1, Math.round(maxRadius * WAVE_RADIUS_FRACTIONS[waveIndex]));
+  const wave = waveIndex + 1;
+
+  const alreadyNotified = emergencyRequest.dispatch.notifiedDonors.map(entry => entry.donor);
+  const donors = await findEligibleDonors(emergencyRequest, radiusKm, alreadyNotified, unitsNeeded);
+  const notifiedAt = new Date();
+
+  donors.forEach(({ donor, distance }) => {
+    const distanceKm = distance !== undefined ? metersToKm(distance) : null;
+
+    notifyUser(donor, {
+      event: 'new-emergency-request',
+      payload: {
+        requestId: emergencyRequest._id,
+        patient: emergencyRequest.patient,
+        medical: emergencyRequest.medical,
+        hospital: emergencyRequest.hospital,
+        matchType: getMatchType(donor.medicalInfo.bloodGroup, emergencyRequest.patient.bloodGroup, emergencyRequest.medical.bloodType),
+        distanceKm,
+        wave,
+        timestamp: notifiedAt
+      },
+      template: 'request_alert',
+      data: {
+        bloodGroup: emergencyRequest.patient.bloodGroup,
+        bloodType: emergencyRequest.medical.bloodType,
+        hospitalName: emergencyRequest.hospital.name,
+        city: emergencyRequest.hospital.address.city,
+        urgencyLevel: emergencyRequest.medical.urgencyLevel,
+        requiredBy: emergencyRequest.medical.requiredBy,
+        distanceKm
+      },
+      metadata: { emergencyRequest: emergencyRequest._id, wave }
+    });
+  });
+
+  const isLastWave = wave >= WAVE_RADIUS_FRACTIONS.length;
+  const nextWaveAt = isLastWave ? undefined : new Date(Date.now() + getWaveInterval(emergencyRequest.medical.urgencyLevel));
+
+  await EmergencyRequest.updateOne(
+    { _id: emergencyRequest._id },
+    {
+      $set: {
+        'dispatch.status': isLastWave ? 'exhausted' : 'in_progress',
+        'dispatch.radiusKm': radiusKm,
+        ...(isLastWave ? { 'dispatch.completedAt': notifiedAt } : { 'dispatch.nextWaveAt': nextWaveAt })
+      },
+      ...(isLastWave && { $unset: { 'dispatch.nextWaveAt': 1 } }),
+      $push: {
+        'dispatch.notifiedDonors': {
+          $each: donors.map(({ donor, distance }) => ({
+            donor: donor._id,
+            wave,
+            distanceKm: distance !== undefined ? metersToKm(distance) : undefined,
+            notifiedAt
+          }))
+        }
+      }
+    }
+  );
+
+  emitToRoom('admin-room', 'emergency-dispatch-wave', {
+    requestId: emergencyRequest._id,
+    wave,
+    radiusKm,
+    notifiedCount: donors.length,
+    timestamp: notifiedAt
+  });
+
+  console.log(`📣 Dispatch wave ${wave} for request ${emergencyRequest._id}: ${donors.length} donors within ${radiusKm} km`);
+
+  if (!isLastWave) {
+    scheduleWave(emergencyRequest._id, nextWaveAt.getTime() - Date.now());
+  }
+};
+
+// Start notifying donors for a newly created request. With a delay (e.g. while
+// nearby stock is being reserved), the first wave is scheduled instead.
+const startDispatch = (emergencyRequest, { delayMs = 0 } = {}) => {
+  if (delayMs > 0) {
+    const nextWaveAt = new Date(Date.now() + delayMs);
+
+    EmergencyRequest.updateOne(
+      { _id: emergencyRequest._id },
+      { $set: { 'dispatch.nextWaveAt': nextWaveAt } }
+    )
+    .then(() => scheduleWave(emergencyRequest._id, delayMs))
+    .catch(error => console.error('Dispatch start error:', error));
+    return;
+  }
+
+  runWave(emergencyRequest._id).catch(error => console.error('Dispatch start error:', error));
+};
+
+// Stop further waves, e.g. when a request is cancelled or completed
+const stopDispatch = (requestId) => finishDispatch(requestId, 'stopped');
+
+// Re-check a request after a donor responds or stock is reserved, and stop
+// once enough units are covered
+const checkDispatchCompletion = async (requestId) => {
+  const emergencyRequest = await EmergencyRequest.findById(requestId);
+  if (!emergencyRequest || !['pending', 'in_progress'].includes(emergencyRequest.dispatch.status)) return;
+
+  if (await getCommittedUnits(emergencyRequest) >= emergencyRequest.medical.unitsRequired) {
+    await finishDispatch(requestId, 'completed');
+  }
+};
+
+// Resume recruiting donors for an open request whose dispatch stopped because
+// its units were covered, once some of them are no longer (stock released,
+// a scheduled donation rejected)
+const resumeDispatchIfUncovered = async (requestId) => {
+  const emergencyRequest = await EmergencyRequest.findOne({
+    _id: requestId,
+    status: { $in: EmergencyRequest.OPEN_STATUSES },
+    'dispatch.status': 'completed'
+  });
+  if (!emergencyRequest || emergencyRequest.isExpired()) return;
+
+  if (await getCommittedUnits(emergencyRequest) < emergencyRequest.medical.unitsRequired) {
+    startDispatch(emergencyRequest);
+  }
+};
+
+// Reschedule waves that were pending when the server last stopped
+const resumeDispatches = async () => {
+  const pending = await EmergencyRequest.find({
+    status: { $in: EmergencyRequest.OPEN_STATUSES },
+    $or: [
+      { 'dispatch.status': 'in_progress' },
+      // First wave held back while nearby inventory was checked
+      { 'dispatch.status': 'pending', 'dispatch.nextWaveAt': { $exists: true } }
+    ]
+  }).select('dispatch.nextWaveAt');
+
+  pending.forEach(request => {
+    const delay = request.dispatch.nextWaveAt ? request.dispatch.nextWaveAt.getTime() - Date.now() : 0;
+    scheduleWave(request._id, delay);
+  });
+
+  if (pending.length > 0) {
+    console.log(`📣 Resumed dispatch for ${pending.length} emergency requests`);
+  }
+};
+
+module.exports = {
+  getCommittedUnits,
+  startDispatch,
+  stopDispatch,
+  checkDispatchCompletion,
+  resumeDispatchIfUncovered,
+  resumeDispatches
+};
@@ -0,0 +1,282 @@
+// Admin data exports. Each export type reads from a Mongo cursor and maps
+// every document to a flat row of columns (nested fields become dotted keys,
+// e.g. patient.bloodGroup), which is written out as JSON, CSV or XLSX as it is
+// read, so large date ranges are never held in memory. Columns holding
+// medical details are left out unless the export asks for them.
+const ExcelJS = require('exceljs');
+const { DonationHistory, EmergencyRequest, User } = require('../models');
+const { formatRow } = require('../utils/csv');
+
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const exportError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// A column reads its dotted key from the document unless it has a `value`
+// function; `sensitive` columns hold medical details
+const column = (key, header, { sensitive = false, value } = {}) => ({ key, header, sensitive, value });
+
+const EXPORT_TYPES = {
+  donations: {
+    model: DonationHistory,
+    dateField: 'scheduling.actualDate',
+    populate: [
+      ['donor', 'name email medicalInfo.bloodGroup'],
+      ['recipient', 'name email'],
+      ['emergencyRequest', 'patient.name medical.condition']
+    ],
+    columns: [
+      column('_id', 'Donation ID'),
+      column('status', 'Status'),
+      column('donor._id', 'Donor ID'),
+      column('donor.name', 'Donor name'),
+      column('donor.email', 'Donor email'),
+      column('recipient.name', 'Recipient name'),
+      column('recipient.email', 'Recipient email'),
+      column('emergencyRequest._id', 'Emergency request ID'),
+      column('emergencyRequest.patient.name', 'Patient name'),
+      column('emergencyRequest.medical.condition', 'Patient condition', { sensitive: true }),
+      column('donation.type', 'Component'),
+      column('donation.units', 'Units'),
+      column('donation.volume', 'Volume (ml)'),
+      column('donation.bloodGroup', 'Blood group'),
+      column('location.hospital.name', 'Hospital'),
+      column('location.hospital.address.city', 'Hospital city'),
+      column('scheduling.scheduledDate', 'Scheduled date'),
+      column('scheduling.actualDate', 'Donation date'),
+      column('scheduling.duration', 'Duration (min)'),
+      column('rejectionReason', 'Rejection reason'),
+      column('recognition.rewardPoints', 'Reward points'),
+      column('recognition.certificateCode', 'Certificate code'),
+      column('medical.preScreening.hemoglobin', 'Hemoglobin', { sensitive: true }),
+      column('medical.preScreening.bloodPressure.systolic', 'Systolic BP', { sensitive: true }),
+      column('medical.preScreening.bloodPressure.diastolic', 'Diastolic BP', { sensitive: true }),
+      column('medical.preScreening.pulse', 'Pulse', { sensitive: true }),
+      column('medical.preScreening.weight', 'Weight (kg)', { sensitive: true }),
+      column('medical.preScreening.temperature', 'Temperature', { sensitive: true }),
+      column('medical.preScreening.passed', 'Screening passed', { sensitive: true }),
+      column('medical.preScreening.issues', 'Screening issues', { sensitive: true }),
+      column('medical.postDonation.complications', 'Complications', { sensitive: true }),
+      column('medical.testResults.hiv', 'HIV', { sensitive: true }),
+      column('medical.testResults.hepatitisB', 'Hepatitis B', { sensitive: true }),
+      column('medical.testResults.hepatitisC', 'Hepatitis C', { sensitive: true }),
+      column('medical.testResults.syphilis', 'Syphilis', { sensitive: true }),
+      column('medical.testResults.malaria', 'Malaria', { sensitive: true }),
+      column('createdAt', 'Created at')
+    ]
+  },
+  'emergency-requests': {
+    model: EmergencyRequest,
+    dateField: 'createdAt',
+    populate: [['requester', 'name email phone']],
+    columns: [
+      column('_id', 'Request ID'),
+      column('status', 'Status'),
+      column('requester._id', 'Requester ID'),
+      column('requester.name', 'Requester name'),
+      column('requester.email', 'Requester email'),
+      column('requester.phone', 'Requester phone'),
+      column('patient.name', 'Patient name'),
+      column('patient.age', 'Patient age'),
+      column('patient.gender', 'Patient gender'),
+      column('patient.bloodGroup', 'Patient blood group'),
+      column('patient.contactNumber', 'Patient contact'),
+      column('medical.condition', 'Condition', { sensitive: true }),
+      column('medical.additionalNotes', 'Medical notes', { sensitive: true }),
+      column('medical.urgencyLevel', 'Urgency'),
+      column('medical.bloodType', 'Component'),
+      column('medical.unitsRequired', 'Units required'),
+      column('medical.requiredBy', 'Required by'),
+      column('hospital.name', 'Hospital'),
+      column('hospital.address.city', 'Hospital city'),
+      column('hospital.address.pincode', 'Hospital pincode'),
+      column('hospital.contactNumber', 'Hospital contact'),
+      column('hospital.doctorName', 'Doctor'),
+      column('fulfillment.unitsFulfilled', 'Units fulfilled'),
+      column('fulfillment.fulfilledDate', 'Fulfilled date'),
+      column('responseCount', 'Responses', { value: request => (request.responses || []).length }),
+      column('admin.priorityScore', 'Priority score'),
+      column('createdAt', 'Created at'),
+      column('archivedAt', 'Archived at')
+    ]
+  },
+  users: {
+    model: User,
+    dateField: 'createdAt',
+    filter: { role: { $in: ['donor', 'recipient'] } },
+    columns: [
+      column('_id', 'User ID'),
+      column('name', 'Name'),
+      column('email', 'Email'),
+      column('phone', 'Phone'),
+      column('role', 'Role'),
+      column('status', 'Status'),
+      column('address.city', 'City'),
+      column('address.area', 'Area'),
+      column('address.pincode', 'Pincode'),
+      column('medicalInfo.bloodGroup', 'Blood group'),
+      column('medicalInfo.sex', 'Sex'),
+      column('medicalInfo.dateOfBirth', 'Date of birth', { sensitive: true }),
+      column('medicalInfo.weight', 'Weight (kg)', { sensitive: true }),
+      column('medicalInfo.lastDonationDate', 'Last donation'),
+      column('medicalInfo.lastTattooDate', 'Last tattoo', { sensitive: true }),
+      column('medicalInfo.lastTravelDate', 'Last travel', { sensitive: true }),
+      column('medicalInfo.medicalConditions', 'Medical conditions', { sensitive: true }),
+      column('medicalInfo.medications', 'Medications', { sensitive: true }),
+      column('availability.isAvailable', 'Available'),
+      column('verification.isEmailVerified', 'Email verified'),
+      column('verification.isPhoneVerified', 'Phone verified'),
+      column('stats.totalDonations', 'Total donations'),
+      column('stats.totalRequests', 'Total requests'),
+      column('stats.rewardPoints', 'Reward points'),
+      column('createdAt', 'Registered at')
+    ]
+  }
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// A cell value: dates stay dates, lists are joined and ids become strings
+const toCell = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (Array.isArray(value)) return value.map(String).join('; ');
+  return String(value);
+};
+
+const toRow = (doc, columns) => columns.map(col => toCell(col.value ? col.value(doc) : getPath(doc, col.key)));
+
+// Columns available for an export type
+const getExportColumns = (type) => {
+  const config = EXPORT_TYPES[type];
+  if (!config) throw exportError(`Invalid export type. Supported types: ${Object.keys(EXPORT_TYPES).join(', ')}`, 400);
+
+  return config.columns.map(({ key, header, sensitive }) => ({ key, header, sensitive }));
+};
+
+// Pick the columns to export. Without a selection every column is exported,
+// except sensitive ones unless includeSensitive is set; selecting a sensitive
+// column also needs includeSensitive.
+const resolveColumns = (type, { columns, includeSensitive = false } = {}) => {
+  const available = EXPORT_TYPES[type].columns;
+
+  if (!columns || columns.length === 0) {
+    return available.filter(col => includeSensitive || !col.sensitive);
+  }
+
+  const unknown = columns.filter(key => !available.some(col => col.key === key));
+  if (unknown.length > 0) {
+    throw exportError(`Unknown columns: ${unknown.join(', ')}`, 400);
+  }
+
+  const selected = [...new Set(columns)].map(key => available.find(col => col.key === key));
+  const sensitive = selected.filter(col => col.sensitive);
+  if (sensitive.length > 0 && !includeSensitive) {
+    throw exportError(`Columns ${sensitive.map(col => col.key).join(', ')} hold medical details; set includeSensitive=true to export them`, 400);
+  }
+
+  return selected;
+};
+
+// Wait for the stream to drain when its buffer is full
+const write = async (stream, chunk) => {
+  if (!stream.write(chunk)) await new Promise(resolve => stream.once('drain', resolve));
+};
+
+const writeJson = async (stream, cursor, columns, meta, onEnd) => {
+  const header = JSON.stringify({ ...meta, columns: columns.map(({ key, header }) => ({ key, header })) });
+  await write(stream, `{"success":true,"data":${header.slice(0, -1)},"records":[`);
+
+  let count = 0;
+  for await (const doc of cursor) {
+    const record = Object.fromEntries(toRow(doc, columns).map((value, index) => [columns[index].key, value]));
+    await write(stream, `${count > 0 ? ',' : ''}${JSON.stringify(record)}`);
+    count++;
+  }
+
+  onEnd(count);
+  stream.end(`],"count":${count}}}`);
+  return count;
+};
+
+const writeCsv = async (stream, cursor, columns, meta, onEnd) => {
+  await write(stream, formatRow(columns.map(col => col.key)));
+
+  let count = 0;
+  for await (const doc of cursor) {
+    await write(stream, formatRow(toRow(doc, columns)));
+    count++;
+  }
+
+  onEnd(count);
+  stream.end();
+  return count;
+};
+
+const writeXlsx = async (stream, cursor, columns, meta, onEnd) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+  const sheet = workbook.addWorksheet(meta.type);
+  sheet.columns = columns.map(col => ({ header: col.header, key: col.key, width: Math.max(col.header.length + 2, 14) }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  let count = 0;
+  for await (const doc of cursor) {
+    // Rows are flushed to the zip stream as they are committed
+    sheet.addRow(toRow(doc, columns)).commit();
+    count++;
+  }
+
+  sheet.commit();
+  onEnd(count);
+  await workbook.commit();
+  return count;
+};
+
+const WRITERS = { json: writeJson, csv: writeCsv, xlsx: writeXlsx };
+
+// Stream an export into a writable stream (e.g. the response) and return the
+// number of records written. `onEnd` gets the count just before the stream is
+// ended, while a response's finish handlers can still see what it records.
+const writeExport = async (stream, { type, format = 'json', columns, startDate, endDate, onEnd = () => {} }) => {
+  const config = EXPORT_TYPES[type];
+
+  let query = config.model.find({
+    ...config.filter,
+    [config.dateField]: { $gte: startDate, $lte: endDate }
+  });
+  (config.populate || []).forEach(([path, select]) => {
+    query = query.populate(path, select);
+  });
+
+  // Sorted on _id so the sort uses an index however large the range is
+  const cursor = query.sort({ _id: 1 }).lean().cursor();
+  const meta = { type, exportDate: new Date(), dateRange: { startDate, endDate } };
+
+  try {
+    return await WRITERS[format](stream, cursor, columns, meta, onEnd);
+  } finally {
+    await cursor.close();
+  }
+};
+
+const getExportFilename = (type, format) => `${type}-export-${Date.now()}.${format}`;
+
+module.exports = {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  EXPORT_TYPES,
+  getExportColumns,
+  resolveColumns,
+  writeExport,
+  getExportFilename
+};
@@ -0,0 +1,340 @@
+// Blood inventory held by hospitals and blood banks. Emergency requests check
+// compatible stock at nearby facilities first; when it covers the request,
+// donor notification waves are held back briefly so staff can reserve units.
+const { Hospital, InventoryUnit, EmergencyRequest } = require('../models');
+const { DEFAULT_COMPONENT, getCompatibleDonorGroups, getMatchType } = require('../utils/bloodCompatibility');
+const { DEFAULT_RADIUS_KM, metersToKm, geoNearStage } = require('../utils/geo');
+const { startDispatch, checkDispatchCompletion, resumeDispatchIfUncovered } = require('./emergencyDispatcher');
+const { applyFulfillment } = require('./donationLifecycle');
+const { emitToRoom } = require('./notifications');
+
+// Minutes to wait for a facility to reserve stock before recruiting donors
+const INVENTORY_HOLD_MINUTES = {
+  critical: 5,
+  high: 10,
+  medium: 20,
+  low: 30
+};
+
+const MAX_FACILITIES = 20;
+
+const getHoldDelay = (urgencyLevel) => {
+  const override = parseInt(process.env.INVENTORY_HOLD_MINUTES);
+  const minutes = Number.isNaN(override)
+    ? INVENTORY_HOLD_MINUTES[urgencyLevel] || INVENTORY_HOLD_MINUTES.medium
+    : override;
+  return minutes * 60 * 1000;
+};
+
+// Filter for units that can be handed out for a request right now
+const usableUnitFilter = (emergencyRequest) => ({
+  status: 'available',
+  expiresAt: { $gt: new Date() },
+  component: emergencyRequest.medical.bloodType || DEFAULT_COMPONENT,
+  bloodGroup: {
+    $in: getCompatibleDonorGroups(emergencyRequest.patient.bloodGroup, emergencyRequest.medical.bloodType)
+  }
+});
+
+// Active facilities near the request's hospital, nearest first
+const findNearbyFacilities = async (emergencyRequest, radiusKm) => {
+  const point = emergencyRequest.hospital.location;
+
+  if (point && point.coordinates && point.coordinates.length === 2) {
+    const facilities = await Hospital.aggregate([
+      geoNearStage({
+        point: { type: 'Point', coordinates: point.coordinates },
+        key: 'location',
+        radiusKm,
+        query: { isActive: true }
+      }),
+      { $limit: MAX_FACILITIES },
+      { $project: { name: 1, distance: 1 } }
+    ]);
+
+    return facilities.map(facility => ({
+      _id: facility._id,
+      name: facility.name,
+      distanceKm: metersToKm(facility.distance)
+    }));
+  }
+
+  // Without a hospital location, fall back to facilities in the same city
+  const facilities = await Hospital.find({
+    isActive: true,
+    'address.city': { $regex: emergencyRequest.hospital.address.city, $options: 'i' }
+  })
+  .select('name')
+  .limit(MAX_FACILITIES)
+  .lean();
+
+  return facilities.map(facility => ({ _id: facility._id, name: facility.name, distanceKm: null }));
+};
+
+// Compatible, unexpired stock at nearby facilities, grouped by facility
+const findNearbyInventory = async (emergencyRequest, { radiusKm } = {}) => {
+  radiusKm = radiusKm || emergencyRequest.visibility.maxRadius || DEFAULT_RADIUS_KM;
+
+  const facilities = await findNearbyFacilities(emergencyRequest, radiusKm);
+  if (facilities.length === 0) {
+    return { radiusKm, availableUnits: 0, facilities: [] };
+  }
+
+  const stock = await InventoryUnit.aggregate([
+    {
+      $match: {
+        facility: { $in: facilities.map(facility => facility._id) },
+        ...usableUnitFilter(emergencyRequest)
+      }
+    },
+    {
+      $group: {
+        _id: { facility: '$facility', bloodGroup: '$bloodGroup' },
+        units: { $sum: 1 },
+        earliestExpiry: { $min: '$expiresAt' }
+      }
+    }
+  ]);
+
+  const results = facilities
+    .map(facility => {
+      const groups = stock
+        .filter(entry => entry._id.facility.equals(facility._id))
+        .map(entry => ({
+          bloodGroup: entry._id.bloodGroup,
+          units: entry.units,
+          earliestExpiry: entry.earliestExpiry,
+          matchType: getMatchType(entry._id.bloodGroup, emergencyRequest.patient.bloodGroup, emergencyRequest.medical.bloodType)
+        }));
+
+      return {
+        facility: facility._id,
+        name: facility.name,
+        distanceKm: facility.distanceKm,
+        units: groups.reduce((total, group) => total + group.units, 0),
+        bloodGroups: groups
+      };
+    })
+    .filter(facility => facility.units > 0);
+
+  return {
+    radiusKm,
+    availableUnits: results.reduce((total, facility) => total + facility.units, 0),
+    facilities: results
+  };
+};
+
+// Check nearby stock for a new request, alert facilities that hold it and start
+// donor dispatch, held back if the stock could cover the whole request
+const checkInventoryAndDispatch = async (emergencyRequest) => {
+  let inventory = null;
+
+  try {
+    inventory = await findNearbyInventory(emergencyRequest);
+
+    await EmergencyRequest.updateOne(
+      { _id: emergencyRequest._id },
+      {
+        $set: {
+          inventory: {
+            checkedAt: new Date(),
+            radiusKm: inventory.radiusKm,
+            availableUnits: inventory.availableUnits,
+            facilities: inventory.facilities.map(({ facility, name, distanceKm, units }) => ({
+              facility, name, distanceKm, units
+            }))
+          }
+        }
+      }
+    );
+
+    inventory.facilities.forEach(facility => {
+      emitToRoom(`hospital-${facility.facility}`, 'inventory-request', {
+        requestId: emergencyRequest._id,
+        patient: {
+          bloodGroup: emergencyRequest.patient.bloodGroup
+        },
+        medical: emergencyRequest.medical,
+        hospital: {
+          name: emergencyRequest.hospital.name,
+          address: emergencyRequest.hospital.address,
+          contactNumber: emergencyRequest.hospital.contactNumber
+        },
+        distanceKm: facility.distanceKm,
+        availableUnits: facility.units,
+        bloodGroups: facility.bloodGroups,
+        timestamp: new Date()
+      });
+    });
+  } catch (error) {
+    // Never let an inventory lookup stop donors from being recruited
+    console.error('Inventory check error:', error);
+  }
+
+  const covered = inventory && inventory.availableUnits >= emergencyRequest.medical.unitsRequired;
+  startDispatch(emergencyRequest, {
+    delayMs: covered ? getHoldDelay(emergencyRequest.medical.urgencyLevel) : 0
+  });
+
+  return inventory;
+};
+
+// Move a unit to a new status if it is still in the status it was read with.
+// Returns the updated document, or null if someone else changed it first.
+const transitionUnit = (unit, to, { changedBy, reason, set = {}, unset } = {}) => {
+  return InventoryUnit.findOneAndUpdate(
+    { _id: unit._id, status: unit.status },
+    {
+      $set: { status: to, ...set },
+      ...(unset && { $unset: unset }),
+      $push: {
+        statusHistory: { from: unit.status, to, changedBy, reason, changedAt: new Date() }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+// Reserve up to `count` compatible units at a facility for a request, using the
+// units that expire first. Each unit is claimed with its own conditional update
+// so two staff members never reserve the same unit.
+const reserveUnits = async (facilityId, emergencyRequest, { count, changedBy }) => {
+  const reserved = [];
+
+  while (reserved.length < count) {
+    const unit = await InventoryUnit.findOneAndUpdate(
+      { facility: facilityId, ...usableUnitFilter(emergencyRequest) },
+      {
+        $set: { status: 'reserved', emergencyRequest: emergencyRequest._id },
+        $push: {
+          statusHistory: {
+            from: 'available',
+            to: 'reserved',
+            changedBy,
+            reason: 'Reserved for emergency request',
+            changedAt: new Date()
+          }
+        }
+      },
+      { new: true, sort: { expiresAt: 1 } }
+    );
+
+    if (!unit) break;
+    reserved.push(unit);
+  }
+
+  if (reserved.length > 0) {
+    await checkDispatchCompletion(emergencyRequest._id);
+  }
+
+  return reserved;
+};
+
+// Issue a unit, crediting the request it was reserved for or issued to
+const issueUnit = async (unit, { emergencyRequestId, changedBy, reason }) => {
+  const requestId = emergencyRequestId || unit.emergencyRequest;
+
+  const updated = await transitionUnit(unit, 'issued', {
+    changedBy,
+    reason,
+    set: requestId ? { emergencyRequest: requestId } : {}
+  });
+  if (!updated) return null;
+
+  let emergencyRequest = null;
+  if (requestId) {
+    emergencyRequest = await applyFulfillment(requestId, { units: 1 });
+  }
+
+  return { unit: updated, emergencyRequest };
+};
+
+// Return a reserved unit to stock
+const releaseUnit = async (unit, { changedBy, reason }) => {
+  const requestId = unit.emergencyRequest;
+
+  const updated = await transitionUnit(unit, 'available', {
+    changedBy,
+    reason,
+    unset: { emergencyRequest: 1 }
+  });
+  if (!updated) return null;
+
+  if (requestId) await resumeDispatchIfUncovered(requestId);
+
+  return updated;
+};
+
+// Return every unit still reserved for a request to stock, e.g. when the
+// request is cancelled or expires
+const releaseReservations = (requestId, { changedBy, reason }) => {
+  return InventoryUnit.updateMany(
+    { emergencyRequest: requestId, status: 'reserved' },
+    {
+      $set: { status: 'available' },
+      $unset: { emergencyRequest: 1 },
+      $push: {
+        statusHistory: { from: 'reserved', to: 'available', changedBy, reason, changedAt: new Date() }
+      }
+    }
+  );
+};
+
+// Discard every unit still in stock past its expiry date. Facilities are told
+// how many units were discarded, and requests that lose reserved units resume
+// donor dispatch.
+const discardExpiredUnits = async () => {
+  const now = new Date();
+  const filter = {
+    status: { $in: ['quarantined', 'available', 'reserved'] },
+    expiresAt: { $lte: now }
+  };
+
+  const [byFacility, affectedRequests] = await Promise.all([
+    InventoryUnit.aggregate([
+      { $match: filter },
+      { $group: { _id: '$facility', units: { $sum: 1 } } }
+    ]),
+    InventoryUnit.distinct('emergencyRequest', { ...filter, status: 'reserved' })
+  ]);
+
+  if (byFacility.length === 0) return { discarded: 0 };
+
+  const result = await InventoryUnit.updateMany(
+    filter,
+    [{
+      $set: {
+        statusHistory: {
+          $concatArrays: [
+            '$statusHistory',
+            [{ from: '$status', to: 'discarded', reason: 'Expired', changedAt: now }]
+          ]
+        },
+        status: 'discarded',
+        discardReason: 'Expired'
+      }
+    }]
+  );
+
+  byFacility.forEach(({ _id, units }) => {
+    emitToRoom(`hospital-${_id}`, 'inventory-expired', { units, timestamp: now });
+  });
+
+  for (const requestId of affectedRequests) {
+    await resumeDispatchIfUncovered(requestId);
+  }
+
+  return { discarded: result.modifiedCount };
+};
+
+module.exports = {
+  INVENTORY_HOLD_MINUTES,
+  findNearbyInventory,
+  checkInventoryAndDispatch,
+  transitionUnit,
+  reserveUnits,
+  issueUnit,
+  releaseUnit,
+  releaseReservations,
+  discardExpiredUnits
+};
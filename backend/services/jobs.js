@@ -0,0 +1,173 @@
+// Recurring background jobs run by the scheduler: request expiry, archiving,
+// priority rescoring (services/priority), expired inventory, unsettled
+// donation rejections and donor reminders
+const { EmergencyRequest } = require('../models');
+const { registerJob } = require('./scheduler');
+const { stopDispatch } = require('./emergencyDispatcher');
+const { cancelRequestDonations, settleRejectedDonations } = require('./donationLifecycle');
+const { releaseReservations, discardExpiredUnits } = require('./inventory');
+const { runReminders } = require('./reminders');
+const { rescoreOpenRequests } = require('./priority');
+const { notifyUser, emitToRoom } = require('./notifications');
+
+const MINUTE_MS = 60 * 1000;
+const BATCH_SIZE = 100;
+
+const { OPEN_STATUSES } = EmergencyRequest;
+
+// Tell the requester, responding donors and admins that a request expired
+const notifyRequestExpired = (emergencyRequest) => {
+  const payload = {
+    requestId: emergencyRequest._id,
+    status: 'expired',
+    patientName: emergencyRequest.patient.name,
+    timestamp: emergencyRequest.expiredAt
+  };
+
+  notifyUser(emergencyRequest.requester, {
+    event: 'request-status-updated',
+    payload,
+    template: 'request_expired',
+    data: {
+      patientName: emergencyRequest.patient.name,
+      bloodGroup: emergencyRequest.patient.bloodGroup,
+      hospitalName: emergencyRequest.hospital.name,
+      requiredBy: emergencyRequest.medical.requiredBy,
+      unitsRequired: emergencyRequest.medical.unitsRequired,
+      unitsFulfilled: emergencyRequest.fulfillment.unitsFulfilled
+    },
+    always: true,
+    metadata: { emergencyRequest: emergencyRequest._id }
+  });
+
+  emergencyRequest.responses
+    .filter(response => ['interested', 'confirmed'].includes(response.responseType))
+    .forEach(response => {
+      // Only donors who committed to going get an email/SMS
+      const confirmed = response.responseType === 'confirmed';
+
+      notifyUser(response.donor, {
+        event: 'request-status-updated',
+        payload,
+        ...(confirmed && {
+          template: 'response_closed',
+          data: {
+            bloodGroup: emergencyRequest.patient.bloodGroup,
+            hospitalName: emergencyRequest.hospital.name
+          },
+          always: true,
+          metadata: { emergencyRequest: emergencyRequest._id }
+        })
+      });
+    });
+
+  emitToRoom('admin-room', 'request-status-updated', payload);
+};
+
+// Move open requests past requiredBy or expiresAt to expired
+const expireRequests = async () => {
+  let expired = 0;
+
+  while (true) {
+    const now = new Date();
+    const due = await EmergencyRequest.find({
+      status: { $in: OPEN_STATUSES },
+      $or: [
+        { 'medical.requiredBy': { $lte: now } },
+        { expiresAt: { $lte: now } }
+      ]
+    })
+    .select('_id status')
+    .limit(BATCH_SIZE);
+
+    if (due.length === 0) break;
+
+    for (const request of due) {
+      // Conditional on the status read, so a request fulfilled meanwhile is kept
+      const emergencyRequest = await EmergencyRequest.findOneAndUpdate(
+        { _id: request._id, status: request.status },
+        { $set: { status: 'expired', expiredAt: now } },
+        { new: true }
+      );
+      if (!emergencyRequest) continue;
+
+      await stopDispatch(emergencyRequest._id);
+      await releaseReservations(emergencyRequest._id, { reason: 'Emergency request expired' });
+      await cancelRequestDonations(emergencyRequest._id, { reason: 'Emergency request expired' });
+      notifyRequestExpired(emergencyRequest);
+      expired++;
+    }
+
+    if (due.length < BATCH_SIZE) break;
+  }
+
+  if (expired > 0) {
+    console.log(`⌛ Expired ${expired} emergency requests`);
+  }
+
+  return { expired };
+};
+
+// Archive closed requests once they pass expiresAt. Archived requests stay in
+// the collection (donations still reference them) but drop out of listings.
+const archiveRequests = async () => {
+  const result = await EmergencyRequest.updateMany(
+    {
+      status: { $nin: OPEN_STATUSES },
+      expiresAt: { $lte: new Date() },
+      archivedAt: { $exists: false }
+    },
+    { $set: { archivedAt: new Date() } }
+  );
+
+  return { archived: result.modifiedCount };
+};
+
+const intervalFromEnv = (name, fallbackMinutes) =>
+  (parseInt(process.env[name]) || fallbackMinutes) * MINUTE_MS;
+
+// Register every job with the scheduler
+const registerJobs = () => {
+  registerJob({
+    name: 'expire-requests',
+    intervalMs: intervalFromEnv('JOB_EXPIRE_REQUESTS_MINUTES', 5),
+    run: expireRequests
+  });
+
+  registerJob({
+    name: 'archive-requests',
+    intervalMs: intervalFromEnv('JOB_ARCHIVE_REQUESTS_MINUTES', 60),
+    run: archiveRequests
+  });
+
+  registerJob({
+    name: 'recompute-priorities',
+    intervalMs: intervalFromEnv('JOB_RECOMPUTE_PRIORITIES_MINUTES', 15),
+    run: rescoreOpenRequests
+  });
+
+  registerJob({
+    name: 'discard-expired-inventory',
+    intervalMs: intervalFromEnv('JOB_EXPIRED_INVENTORY_MINUTES', 60),
+    run: discardExpiredUnits
+  });
+
+  registerJob({
+    name: 'settle-rejected-donations',
+    intervalMs: intervalFromEnv('JOB_SETTLE_REJECTIONS_MINUTES', 15),
+    run: settleRejectedDonations
+  });
+
+  registerJob({
+    name: 'donor-reminders',
+    intervalMs: intervalFromEnv('REMINDER_INTERVAL_MINUTES', 60),
+    lockMs: 30 * MINUTE_MS,
+    run: runReminders
+  });
+};
+
+module.exports = {
+  registerJobs,
+  expireRequests,
+  archiveRequests
+};
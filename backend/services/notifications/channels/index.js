@@ -0,0 +1,50 @@
+const { createSmtpChannel } = require('./smtp');
+const { createSmsGatewayChannel } = require('./smsGateway');
+const { createSinkChannel } = require('./sink');
+
+// Channel that refuses to send, used in production when a channel has no
+// transport configured so deliveries fail instead of being reported as sent
+const createUnconfiguredChannel = (channel, hint) => ({
+  name: 'unconfigured',
+  send: async () => {
+    throw new Error(`No ${channel} transport is configured. ${hint}`);
+  }
+});
+
+// Pick the adapter for each channel from the environment:
+// EMAIL_TRANSPORT=smtp|sink and SMS_TRANSPORT=http|sink. When unset, SMTP and
+// the HTTP gateway are used if they are configured; otherwise the sink is used
+// outside production, and in production the channel fails every delivery.
+const pickTransport = (channel, explicit, configured, adapters, hint) => {
+  const transport = explicit || configured ||
+    (process.env.NODE_ENV === 'production' ? 'unconfigured' : 'sink');
+
+  if (transport === 'unconfigured') {
+    console.error(`❌ No ${channel} transport is configured; ${channel} notifications will fail. ${hint}`);
+    return createUnconfiguredChannel(channel, hint);
+  }
+  if (!adapters[transport]) {
+    throw new Error(`Unknown ${channel} transport "${transport}"; use ${Object.keys(adapters).join(' or ')}`);
+  }
+
+  return adapters[transport]();
+};
+
+const createChannels = () => ({
+  email: pickTransport(
+    'email',
+    process.env.EMAIL_TRANSPORT,
+    process.env.EMAIL_HOST && 'smtp',
+    { smtp: createSmtpChannel, sink: () => createSinkChannel('email') },
+    'Set EMAIL_HOST, or EMAIL_TRANSPORT=sink to log messages instead.'
+  ),
+  sms: pickTransport(
+    'sms',
+    process.env.SMS_TRANSPORT,
+    process.env.SMS_GATEWAY_URL && 'http',
+    { http: createSmsGatewayChannel, sink: () => createSinkChannel('sms') },
+    'Set SMS_GATEWAY_URL, or SMS_TRANSPORT=sink to log messages instead.'
+  )
+});
+
+module.exports = { createChannels };
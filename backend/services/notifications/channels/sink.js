@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local testing channel that appends messages to a file as JSON lines,
+// or logs them to the console when no file is configured. In production the
+// console only shows the recipient, since messages can carry OTPs.
+const createSinkChannel = (channel) => {
+  const file = process.env.NOTIFICATION_SINK_FILE;
+  const showBody = process.env.NODE_ENV !== 'production';
+
+  return {
+    name: file ? 'file' : 'console',
+    send: async (message) => {
+      const entry = { channel, ...message, sentAt: new Date().toISOString() };
+
+      if (file) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, JSON.stringify(entry) + '\n');
+      } else {
+        console.log(showBody
+          ? `✉️  [${channel}] to ${message.to}: ${message.subject || message.text}`
+          : `✉️  [${channel}] to ${message.to} (not delivered: ${channel} sink)`);
+      }
+
+      return { sink: file || 'console' };
+    }
+  };
+};
+
+module.exports = { createSinkChannel };
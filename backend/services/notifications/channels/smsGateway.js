@@ -0,0 +1,27 @@
+const axios = require('axios');
+
+// SMS channel posting JSON to a generic HTTP gateway:
+// { to, message, sender } with an optional bearer API key
+const createSmsGatewayChannel = () => {
+  const countryCode = process.env.SMS_COUNTRY_CODE || '+91';
+
+  return {
+    name: 'sms-gateway',
+    send: async ({ to, text }) => {
+      const response = await axios.post(process.env.SMS_GATEWAY_URL, {
+        to: to.startsWith('+') ? to : `${countryCode}${to}`,
+        message: text,
+        sender: process.env.SMS_SENDER_ID
+      }, {
+        timeout: 10000,
+        headers: process.env.SMS_GATEWAY_API_KEY
+          ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_API_KEY}` }
+          : {}
+      });
+
+      return { status: response.status, data: response.data };
+    }
+  };
+};
+
+module.exports = { createSmsGatewayChannel };
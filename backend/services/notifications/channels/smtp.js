@@ -0,0 +1,32 @@
+const nodemailer = require('nodemailer');
+
+// Email channel sending through SMTP with nodemailer
+const createSmtpChannel = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    secure: parseInt(process.env.EMAIL_PORT) === 465,
+    auth: process.env.EMAIL_USER ? {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async ({ to, subject, text, html, attachments }) => {
+      const info = await transporter.sendMail({
+        from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+        to,
+        subject,
+        text,
+        html,
+        attachments: (attachments || []).map(({ filename, content, contentType, encoding }) => ({ filename, content, contentType, encoding }))
+      });
+
+      return { messageId: info.messageId, accepted: info.accepted };
+    }
+  };
+};
+
+module.exports = { createSmtpChannel };
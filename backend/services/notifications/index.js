@@ -0,0 +1,218 @@
+// Notification service: real-time Socket.IO events plus email/SMS delivery
+// through pluggable channels, with a retry queue persisted in MongoDB.
+const { User, Notification, DonationHistory } = require('../../models');
+const { buildCertificateAttachment } = require('../certificates');
+const { createChannels } = require('./channels');
+const { renderTemplate } = require('./templates');
+
+// Minutes to wait before each retry of a failed delivery
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+const BATCH_SIZE = 20;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+let io = null;
+let channels = null;
+let processing = false;
+let workerTimer = null;
+
+const initNotificationService = (socketServer) => {
+  io = socketServer;
+  channels = createChannels();
+};
+
+const getChannels = () => {
+  if (!channels) channels = createChannels();
+  return channels;
+};
+
+// Every connected user joins their personal `user-<id>` room
+const userRoom = (userId) => `user-${userId}`;
+
+const isOnline = (userId) => {
+  if (!io) return false;
+  const room = io.sockets.adapter.rooms.get(userRoom(userId));
+  return Boolean(room && room.size > 0);
+};
+
+// Emit a socket event to a shared room such as admin-room
+const emitToRoom = (room, event, payload) => {
+  if (io) io.to(room).emit(event, payload);
+};
+
+// Disconnect every socket in a room, e.g. when a session is revoked
+const disconnectRoom = (room) => {
+  if (io) io.in(room).disconnectSockets(true);
+};
+
+// Make every socket in a room leave another room, e.g. a chat the user no
+// longer belongs to
+const leaveRoom = (room, target) => {
+  if (io) io.in(room).socketsLeave(target);
+};
+
+const loadUser = async (userOrId) => {
+  if (userOrId && userOrId.notifications && userOrId.email !== undefined) return userOrId;
+  return User.findById(userOrId._id || userOrId).select('name email phone notifications');
+};
+
+const retryDelay = (attempts) => {
+  const minutes = RETRY_DELAYS_MINUTES[Math.min(attempts - 1, RETRY_DELAYS_MINUTES.length - 1)];
+  return minutes * 60 * 1000;
+};
+
+// Render attachments queued by reference, such as donation certificates,
+// which are too large to keep in the queue
+const resolveAttachments = (attachments = []) => Promise.all(attachments.map(async (attachment) => {
+  if (!attachment.certificate) return attachment;
+
+  const donation = await DonationHistory.findById(attachment.certificate);
+  const donor = donation && await User.findById(donation.donor).select('name');
+  if (!donor) throw new Error('Certificate donation not found');
+
+  return buildCertificateAttachment(donation, donor);
+}));
+
+// Drop the body of a finished job, keeping the subject for history
+const clearMessage = (job) => {
+  job.message = { subject: job.message.subject };
+};
+
+// Send one claimed job and record the outcome
+const deliver = async (job) => {
+  try {
+    const response = await getChannels()[job.channel].send({
+      to: job.to,
+      subject: job.message.subject,
+      text: job.message.text,
+      html: job.message.html,
+      attachments: await resolveAttachments(job.message.attachments)
+    });
+
+    job.status = 'sent';
+    job.sentAt = new Date();
+    job.providerResponse = response;
+    job.lastError = undefined;
+    clearMessage(job);
+  } catch (error) {
+    job.lastError = error.message;
+
+    if (job.attempts >= job.maxAttempts) {
+      job.status = 'failed';
+      clearMessage(job);
+      console.error(`❌ Notification ${job._id} failed after ${job.attempts} attempts: ${error.message}`);
+    } else {
+      job.status = 'pending';
+      job.nextAttemptAt = new Date(Date.now() + retryDelay(job.attempts));
+    }
+  }
+
+  job.lockedAt = undefined;
+  await job.save();
+};
+
+// Deliver due email/SMS jobs; concurrent instances are kept apart by claiming
+// each job atomically
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    // Release jobs left locked by a crashed worker
+    await Notification.updateMany(
+      { status: 'processing', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+      { $set: { status: 'pending' }, $unset: { lockedAt: 1 } }
+    );
+
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const job = await Notification.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+        { $set: { status: 'processing', lockedAt: new Date() }, $inc: { attempts: 1 } },
+        { new: true, sort: { nextAttemptAt: 1 } }
+      );
+
+      if (!job) break;
+      await deliver(job);
+    }
+  } catch (error) {
+    console.error('Notification queue error:', error);
+  } finally {
+    processing = false;
+  }
+};
+
+// Queue email and SMS for a user according to their notification preferences,
+// or to exactly the given channels for transactional messages. Attachments
+// are sent with the email only.
+const enqueue = async (user, template, data, metadata, onlyChannels, attachments) => {
+  const rendered = renderTemplate(template, { name: user.name, ...data });
+  const preferences = user.notifications || {};
+  const wants = (channel, preference) => onlyChannels ? onlyChannels.includes(channel) : preference !== false;
+  const jobs = [];
+
+  if (wants('email', preferences.emailNotifications) && user.email) {
+    jobs.push({
+      user: user._id,
+      channel: 'email',
+      template,
+      to: user.email,
+      message: { ...rendered.email, attachments },
+      metadata
+    });
+  }
+
+  if (wants('sms', preferences.smsNotifications) && user.phone) {
+    jobs.push({ user: user._id, channel: 'sms', template, to: user.phone, message: rendered.sms, metadata });
+  }
+
+  if (jobs.length === 0) return [];
+
+  const created = await Notification.insertMany(jobs);
+  setImmediate(processQueue);
+  return created;
+};
+
+// Notify a single user. The socket event is always emitted; the email/SMS
+// template is queued when the user is offline, or every time with `always`.
+// `channels` restricts delivery to e.g. ['email'] regardless of preferences.
+// `attachments` ({ filename, content, contentType, encoding }, or
+// { certificate: donationId } for a certificate PDF) go with the email.
+const notifyUser = async (userOrId, { event, payload, template, data = {}, always = false, channels, metadata, attachments } = {}) => {
+  try {
+    const user = await loadUser(userOrId);
+    if (!user) return;
+
+    const online = isOnline(user._id);
+
+    if (event) {
+      emitToRoom(userRoom(user._id), event, payload);
+    }
+
+    if (template && (always || !online)) {
+      await enqueue(user, template, data, metadata, channels, attachments);
+    }
+  } catch (error) {
+    console.error('Notification error:', error);
+  }
+};
+
+// Poll the queue for retries and jobs queued by other instances
+const startNotificationWorker = () => {
+  if (workerTimer) return;
+
+  const intervalMs = (parseInt(process.env.NOTIFICATION_POLL_SECONDS) || 30) * 1000;
+  workerTimer = setInterval(processQueue, intervalMs);
+  if (workerTimer.unref) workerTimer.unref();
+
+  processQueue();
+};
+
+module.exports = {
+  initNotificationService,
+  startNotificationWorker,
+  emitToRoom,
+  disconnectRoom,
+  leaveRoom,
+  notifyUser,
+  isOnline,
+  processQueue
+};
@@ -0,0 +1,298 @@
+// Message templates for email and SMS notifications.
+// Each template returns { subject, text, sms } from its data.
+const APP_NAME = 'BloodFinder';
+
+const formatDate = (date) => date ? new Date(date).toLocaleString('en-IN', {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+}) : 'as soon as possible';
+
+const formatComponent = (component) => (component || 'whole_blood').replace('_', ' ');
+
+const templates = {
+  request_alert: (data) => ({
+    subject: `🚨 ${data.urgencyLevel === 'critical' ? 'Critical' : 'Urgent'}: ${data.bloodGroup} ${formatComponent(data.bloodType)} needed near you`,
+    text: [
+      `Hi ${data.name},`,
+      '',
+      `A patient at ${data.hospitalName}, ${data.city} needs ${data.bloodGroup} ${formatComponent(data.bloodType)}` +
+        (data.distanceKm !== null && data.distanceKm !== undefined ? ` (${data.distanceKm} km from you).` : '.'),
+      `Urgency: ${data.urgencyLevel}. Required by: ${formatDate(data.requiredBy)}.`,
+      '',
+      `Open ${APP_NAME} to respond: ${data.link}`
+    ].join('\n'),
+    sms: `${APP_NAME}: ${data.bloodGroup} ${formatComponent(data.bloodType)} needed at ${data.hospitalName}, ${data.city} (${data.urgencyLevel}). Respond: ${data.link}`
+  }),
+
+  donor_selected: (data) => ({
+    subject: `You have been selected to donate for ${data.patientName}`,
+    text: [
+      `Hi ${data.name},`,
+      '',
+      `Thank you for responding. You have been selected to donate for ${data.patientName}.`,
+      `Hospital: ${data.hospitalName}${data.hospitalCity ? `, ${data.hospitalCity}` : ''}`,
+      `Scheduled for: ${formatDate(data.scheduledDate)}`,
+      '',
+      `Details are in your ${APP_NAME} dashboard: ${data.link}`
+    ].join('\n'),
+    sms: `${APP_NAME}: You are selected to donate at ${data.hospitalName} on ${formatDate(data.scheduledDate)}. Details: ${data.link}`
+  }),
+
+  appointment_booked: (data) => ({
+    subject: `Your donation appointment at ${data.hospitalName}`,
+    text: [
+      `Hi ${data.name},`,
+      '',
+      `Your donation appointment is booked at ${data.hospitalName}${data.hospitalCity ? `, ${data.hospitalCity}` : ''}.`,
+      `Date and time: ${formatDate(data.scheduledDate)}`,
+      `Show this code at the desk: ${data.verificationCode}`,
+      '',
+      'The attached invite adds the appointment to your calendar.',
+      `Details: ${data.link}`
+    ].join('\n'),
+    sms: `${APP_NAME}: Donation booked at ${data.hospitalName} on ${formatDate(data.scheduledDate)}. Code: ${data.verificationCode}`
+  }),
+
+  appointment_rescheduled: (data) => ({
+    subject: `Your donation appointment has moved to ${formatDate(data.scheduledDate)}`,
+    text: [
+      `Hi ${data.name},`,
+      '',
+      `Your donation appointment at ${data.hospitalName} has been moved.`,
+      `New date and time: ${formatDate(data.scheduledDate)}`,
+      '',
+      'The attached invite updates the appointment in your calendar.',
+      `Details: ${data.link}`
+    ].join('\n'),
+    sms: `${APP_NAME}: Your donation at ${data.hospitalName} has moved to ${formatDate(data.scheduledDate)}.`
+  }),
+
+  appointment_cancelled: (data) => ({
+    subject: `Your donation appointment at ${data.hospitalName} is cancelled`,
+    text: [
+      `Hi ${data.name},`,
+      '',
+      `Your donation appointment at ${data.hospitalName} on ${formatDate(data.scheduledDate)} has been cancelled.`,
+      'The attached invite removes it from your calendar.',
+      '',
+      `Details: ${data.link}`
+    ].join('\n'),
+    sms: `${APP_NAME}: Your donation at ${data.hospitalName} on ${formatDate(data.scheduledDate)} is cancelled.`
+  }),
+
+  donation_reminder: (data) => ({
+    subject: `Reminder: your donation at ${data.hospitalName}`,
+    text: [
+      `Hi ${data.name},`,
+      '',
+      `This is a reminder of your donation at ${data.hospitalName} on ${formatDate(data.scheduledDate)}.`,
+      'Please eat well, stay hydrated and carry a photo ID.',
+      '',
+      `Details: ${data.link}`
+    ].join('\n'),
+    sms: `${APP_NAME}: Reminder - donation at ${data.hospitalName} on ${formatDate(data.scheduledDate)}. Eat well and carry ID.`
+  }),
+
+  donation_completed: (data) => ({
+    subject: `Thank you for donating, ${data.name}!`,
+    text: [
+      `Hi ${data.name},`,
+      '',
+      `Your donation of ${data.units} unit(s) at ${data.hospitalName} has been recorded. Thank you for saving lives!`,
+      `You earned ${data.rewardPoints} reward points.`,
+      data.badges && data.badges.length ? `New badge(s): ${data.badges.join(', ')}.` : '',
+      data.nextEligibleDate ? `You can donate again from ${formatDate(data.nextEligibleDate)}.` : '',
+      data.certificateCode ? `Your donation certificate (${data.certificateCode}) is attached.` : '',
+      '',
+      `${APP_NAME}: ${data.link}`
+    ].join('\n'),
+    sms: `${APP_NAME}: Thank you! Your donation at ${data.hospitalName} is recorded. +${data.rewardPoints} points.`
+  }),
+
+  donation_unit_rejected: (data) => ({
+    subject: `About your donation at ${data.hospitalName}`,
+    text: [
+      `Hi ${data.name},`,
+      '',
+      `Thank you for your donation at ${data.hospitalName}. Unfortunately the unit could not be used.`,
+      `Reason: ${data.reason}`,
+      data.pointsRevoked ? `The ${data.pointsRevoked} reward points it earned have been withdrawn.` : '',
+      '',
+      'The hospital may contact you about the next steps.',
+      '',
+      `${APP_NAME}: ${data.link}`
+    ].join('\n'),
+    sms: `${APP_NAME}: Your donation at ${data.hospitalName} could not be used: ${data.reason}`.slice(0, 320)
+  }),
+
+  donation_deferred: (data) => ({
+    subject: `About your donation at ${data.hospitalName}`,
+    text: [
+      `Hi ${data.name},`,
+      '',
+      `Thank you for coming to ${data.hospitalName}. The donation could not go ahead this time.`,
+      `Reason: ${data.reason}`,
+      '',
+      'This is usually temporary. Please rest, stay hydrated and check your eligibility before your next donation.',
+      '',
+      `${APP_NAME}: ${data.link}`
+    ].join('\n'),
+    sms: `${APP_NAME}: Your donation at ${data.hospitalName} could not go ahead: ${data.reason}`.slice(0, 320)
+  }),
+
+  request_expired: (data) => ({
+    subject: `Your emergency request for ${data.patientName} has expired`,
+    text: [
+      `Hi ${data.name},`,
+      '',
+      `Your request for ${data.bloodGroup} blood for ${data.patientName} at ${data.hospitalName} passed its required-by date (${formatDate(data.requiredBy)}) and has been closed.`,
+      `${data.unitsFulfilled} of ${data.unitsRequired} unit(s) were fulfilled.`,
+      'If blood is still needed, please raise a new request.',
+      '',
+      `${APP_NAME}: ${data.link}`
+    ].join('\n'),
+    sms: `${APP_NAME}: Your request for ${data.patientName} has expired (${data.unitsFulfilled}/${data.unitsRequired} units). Raise a new one if blood is still needed.`
+  }),
+
+  response_closed: (data) => ({
+    subject: `The request you responded to has closed`,
+    text: [
+      `Hi ${data.name},`,
+      '',
+      `The emergency request for ${data.bloodGroup} blood at ${data.hospitalName} that you confirmed has expired and is now closed.`,
+      'Thank you for offering to help. You do not need to go to the hospital for this request unless they contact you.',
+      '',
+      `${APP_NAME}: ${data.link}`
+    ].join('\n'),
+    sms: `${APP_NAME}: The request at ${data.hospitalName} you confirmed has closed. Thank you for offering to help!`
+  }),
+
+  eligibility_reminder: (data) => ({
+    subject: `You can donate blood again, ${data.name}`,
+    text: [
+      `Hi ${data.name},`,
+      '',
+      `It has been long enough since your last donation on ${formatDate(data.lastDonationDate)}: you have been eligible to donate again since ${formatDate(data.eligibleDate)}.`,
+      data.isAvailable
+        ? `Patients who need ${data.bloodGroup} blood can now be matched with you.`
+        : `You are marked as unavailable. Switch your availability on so patients who need ${data.bloodGroup} blood can find you.`,
+      '',
+      `${APP_NAME}: ${data.link}`
+    ].join('\n'),
+    sms: `${APP_NAME}: You are eligible to donate blood again. ${data.isAvailable ? 'Thank you for staying available!' : 'Turn your availability on'}: ${data.link}`
+  }),
+
+  availability_check: (data) => ({
+    subject: `Are you still available to donate, ${data.name}?`,
+    text: [
+      `Hi ${data.name},`,
+      '',
+      `We have not seen you on ${APP_NAME} since ${formatDate(data.lastActive)}.`,
+      `Please sign in to confirm you are still available to donate and that your contact details are up to date (phone ${data.phone}, city ${data.city}).`,
+      'Up-to-date details mean patients who need your blood group can reach you quickly.',
+      '',
+      `${APP_NAME}: ${data.link}`
+    ].join('\n'),
+    sms: `${APP_NAME}: Still available to donate? Please sign in to confirm your availability and contact details: ${data.link}`
+  }),
+
+  account_approval: (data) => ({
+    subject: data.status === 'approved'
+      ? `Your ${APP_NAME} donor account is approved`
+      : `Update on your ${APP_NAME} donor account`,
+    text: [
+      `Hi ${data.name},`,
+      '',
+      data.status === 'approved'
+        ? 'Your donor account has been approved. You will now receive emergency requests that match your blood group.'
+        : `Your donor account was not approved${data.notes ? `: ${data.notes}` : '.'}`,
+      '',
+      `${APP_NAME}: ${data.link}`
+    ].join('\n'),
+    sms: data.status === 'approved'
+      ? `${APP_NAME}: Your donor account is approved. Thank you for joining!`
+      : `${APP_NAME}: Your donor account was not approved. Check your email for details.`
+  }),
+
+  verification_code: (data) => ({
+    subject: `Your ${APP_NAME} verification code`,
+    text: [
+      `Hi ${data.name},`,
+      '',
+      `Your ${APP_NAME} verification code is ${data.code}.`,
+      `It expires in ${data.expiresInMinutes} minutes. If you did not request it, you can ignore this message.`
+    ].join('\n'),
+    sms: `${data.code} is your ${APP_NAME} verification code. It expires in ${data.expiresInMinutes} minutes. Do not share it.`
+  }),
+
+  password_reset: (data) => ({
+    subject: `Reset your ${APP_NAME} password`,
+    text: [
+      `Hi ${data.name},`,
+      '',
+      `We received a request to reset your ${APP_NAME} password. Use the link below to choose a new one:`,
+      data.resetUrl,
+      '',
+      `The link expires in ${data.expiresInMinutes} minutes and can only be used once.`,
+      'If you did not request a reset, you can ignore this email and your password will stay the same.'
+    ].join('\n'),
+    sms: `${APP_NAME}: Use this link to reset your password: ${data.resetUrl}`
+  }),
+
+  password_changed: (data) => ({
+    subject: `Your ${APP_NAME} password was changed`,
+    text: [
+      `Hi ${data.name},`,
+      '',
+      `The password for your ${APP_NAME} account was just changed and all other sessions were signed out.`,
+      'If this was not you, reset your password immediately and contact support.'
+    ].join('\n'),
+    sms: `${APP_NAME}: Your password was changed. If this was not you, reset it immediately.`
+  }),
+
+  emergency_broadcast: (data) => ({
+    subject: `🚨 ${APP_NAME} emergency appeal: ${data.bloodGroup} needed in ${data.city}`,
+    text: [
+      `Hi ${data.name},`,
+      '',
+      data.message,
+      '',
+      `Urgency: ${data.urgencyLevel}. Open ${APP_NAME}: ${data.link}`
+    ].join('\n'),
+    sms: `${APP_NAME}: ${data.bloodGroup} needed in ${data.city} (${data.urgencyLevel}). ${data.message}`.slice(0, 320)
+  })
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Render a template into email and SMS messages
+const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+
+  const rendered = template({
+    link: process.env.FRONTEND_URL || 'http://localhost:3000',
+    ...data
+  });
+
+  return {
+    email: {
+      subject: rendered.subject,
+      text: rendered.text,
+      html: `<div style="font-family: sans-serif">${escapeHtml(rendered.text).replace(/\n/g, '<br>')}</div>`
+    },
+    sms: {
+      text: rendered.sms
+    }
+  };
+};
+
+module.exports = {
+  templates,
+  renderTemplate
+};
@@ -0,0 +1,227 @@
+// Emergency request priority scoring. Each factor adds points according to
+// admin-tunable weights stored in the `priority` setting, and every score is
+// stored with a per-factor breakdown explaining how it was reached.
+const { EmergencyRequest, Setting, User } = require('../models');
+const { getCompatibleDonorGroups, toDonationType } = require('../utils/bloodCompatibility');
+const { DEFAULT_RADIUS_KM, withinRadiusFilter } = require('../utils/geo');
+const { getEligibilityRules } = require('./eligibility');
+
+const SETTING_KEY = 'priority';
+const CACHE_TTL_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_PRIORITY_WEIGHTS = {
+  // Points per urgency level
+  urgency: { critical: 40, high: 30, medium: 20, low: 10 },
+  // Points once requiredBy is within the given hours (first matching tier)
+  timeRemaining: [
+    { withinHours: 6, points: 30 },
+    { withinHours: 24, points: 20 },
+    { withinHours: 72, points: 10 }
+  ],
+  // Points for large requests (first matching tier)
+  unitsRequired: [
+    { atLeast: 5, points: 20 },
+    { atLeast: 3, points: 10 }
+  ],
+  rareBloodGroup: { groups: ['AB-', 'AB+', 'B-', 'A-', 'O-'], points: 10 },
+  // Up to `points` when fewer than `donorsPerUnit` eligible donors per missing
+  // unit are within the request's radius
+  localSupply: { points: 15, donorsPerUnit: 5 },
+  // Up to `points` when fewer than `responsesPerUnit` donors per missing unit
+  // have responded
+  responses: { points: 10, responsesPerUnit: 2 },
+  // Up to `points` in proportion to the share of units still missing
+  fulfillmentGap: { points: 10 },
+  maxScore: 100
+};
+
+let cachedWeights = null;
+let cachedAt = 0;
+
+// Current weights: stored values over the defaults, cached briefly
+const getPriorityWeights = async () => {
+  if (cachedWeights && Date.now() - cachedAt < CACHE_TTL_MS) return cachedWeights;
+
+  const stored = await Setting.getValue(SETTING_KEY, {});
+  cachedWeights = { ...DEFAULT_PRIORITY_WEIGHTS, ...stored };
+  cachedAt = Date.now();
+  return cachedWeights;
+};
+
+// Merge changes into the stored weights. Nested objects are merged; tier lists
+// are replaced as a whole.
+const updatePriorityWeights = async (changes, updatedBy) => {
+  const current = await getPriorityWeights();
+  const weights = { ...current };
+
+  Object.entries(changes).forEach(([factor, value]) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    weights[factor] = isObject ? { ...current[factor], ...value } : value;
+  });
+
+  // Tiers are matched in order, so keep the strictest first
+  weights.timeRemaining = [...weights.timeRemaining].sort((a, b) => a.withinHours - b.withinHours);
+  weights.unitsRequired = [...weights.unitsRequired].sort((a, b) => b.atLeast - a.atLeast);
+
+  await Setting.findOneAndUpdate(
+    { key: SETTING_KEY },
+    { $set: { value: weights, updatedBy } },
+    { upsert: true }
+  );
+
+  cachedWeights = weights;
+  cachedAt = Date.now();
+  return weights;
+};
+
+const resetPriorityWeights = async (updatedBy) => {
+  await Setting.findOneAndUpdate(
+    { key: SETTING_KEY },
+    { $set: { value: DEFAULT_PRIORITY_WEIGHTS, updatedBy } },
+    { upsert: true }
+  );
+
+  cachedWeights = DEFAULT_PRIORITY_WEIGHTS;
+  cachedAt = Date.now();
+  return cachedWeights;
+};
+
+// Approved, available donors compatible with the request within its radius.
+// An estimate: only the wait after a whole blood donation is applied.
+const countLocalSupply = async (emergencyRequest) => {
+  const rules = await getEligibilityRules();
+  const gapDays = rules.intervals.blood[toDonationType(emergencyRequest.medical.bloodType)] || 0;
+
+  const query = {
+    role: 'donor',
+    status: 'approved',
+    'availability.isAvailable': true,
+    'medicalInfo.bloodGroup': {
+      $in: getCompatibleDonorGroups(emergencyRequest.patient.bloodGroup, emergencyRequest.medical.bloodType)
+    },
+    $or: [
+      { 'medicalInfo.lastDonationDate': { $exists: false } },
+      { 'medicalInfo.lastDonationDate': { $lte: new Date(Date.now() - gapDays * DAY_MS) } }
+    ]
+  };
+
+  const point = emergencyRequest.hospital.location;
+  if (point && point.coordinates && point.coordinates.length === 2) {
+    const radiusKm = emergencyRequest.visibility.maxRadius || DEFAULT_RADIUS_KM;
+    query.location = withinRadiusFilter(point, radiusKm);
+  } else {
+    query['address.city'] = { $regex: emergencyRequest.hospital.address.city, $options: 'i' };
+  }
+
+  return User.countDocuments(query);
+};
+
+const firstTier = (tiers, matches) => (tiers || []).find(matches);
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Score a request. Returns { score, breakdown: [{ factor, points, detail }] }.
+// `localSupply` is the eligible donor count from countLocalSupply(); the factor
+// is skipped when it is not given.
+const scoreRequest = (emergencyRequest, weights, { now = new Date(), localSupply } = {}) => {
+  const { medical, patient } = emergencyRequest;
+  const breakdown = [];
+  const add = (factor, points, detail) => breakdown.push({ factor, points: round(points), detail });
+
+  add('urgency', weights.urgency[medical.urgencyLevel] || 0, `Urgency is ${medical.urgencyLevel}`);
+
+  const hoursRemaining = (medical.requiredBy - now) / (1000 * 60 * 60);
+  const timeTier = firstTier(weights.timeRemaining, tier => hoursRemaining <= tier.withinHours);
+  add('timeRemaining', timeTier ? timeTier.points : 0,
+    hoursRemaining > 0 ? `Required within ${Math.ceil(hoursRemaining)} hours` : 'Required-by time has passed');
+
+  const unitsTier = firstTier(weights.unitsRequired, tier => medical.unitsRequired >= tier.atLeast);
+  add('unitsRequired', unitsTier ? unitsTier.points : 0, `${medical.unitsRequired} unit(s) required`);
+
+  const isRare = weights.rareBloodGroup.groups.includes(patient.bloodGroup);
+  add('rareBloodGroup', isRare ? weights.rareBloodGroup.points : 0,
+    `${patient.bloodGroup} is ${isRare ? '' : 'not '}a rare blood group`);
+
+  const unitsFulfilled = (emergencyRequest.fulfillment && emergencyRequest.fulfillment.unitsFulfilled) || 0;
+  const unitsMissing = Math.max(medical.unitsRequired - unitsFulfilled, 0);
+
+  if (localSupply !== undefined) {
+    const needed = Math.max(unitsMissing, 1) * weights.localSupply.donorsPerUnit;
+    const shortfall = Math.max(0, 1 - localSupply / needed);
+    add('localSupply', weights.localSupply.points * shortfall,
+      `${localSupply} eligible donor(s) nearby for ${unitsMissing} missing unit(s)`);
+  }
+
+  const responseCount = (emergencyRequest.responses || [])
+    .filter(response => ['interested', 'confirmed'].includes(response.responseType)).length;
+  const wantedResponses = unitsMissing * weights.responses.responsesPerUnit;
+  const responseShortfall = wantedResponses > 0 ? Math.max(0, 1 - responseCount / wantedResponses) : 0;
+  add('responses', weights.responses.points * responseShortfall, `${responseCount} donor response(s) so far`);
+
+  add('fulfillmentGap', weights.fulfillmentGap.points * (unitsMissing / medical.unitsRequired),
+    `${unitsMissing} of ${medical.unitsRequired} unit(s) still needed`);
+
+  const total = breakdown.reduce((sum, entry) => sum + entry.points, 0);
+  return {
+    score: Math.round(Math.min(total, weights.maxScore)),
+    breakdown
+  };
+};
+
+// Score a request and store the result unless an admin has overridden it
+const rescoreRequest = async (emergencyRequest, { weights, now = new Date() } = {}) => {
+  if (emergencyRequest.admin && emergencyRequest.admin.priorityManual) return null;
+
+  weights = weights || await getPriorityWeights();
+  const localSupply = await countLocalSupply(emergencyRequest);
+  const result = scoreRequest(emergencyRequest, weights, { now, localSupply });
+
+  await EmergencyRequest.updateOne(
+    { _id: emergencyRequest._id, 'admin.priorityManual': { $ne: true } },
+    {
+      $set: {
+        'admin.priorityScore': result.score,
+        'admin.priorityBreakdown': result.breakdown,
+        'admin.priorityScoredAt': now
+      }
+    }
+  );
+
+  emergencyRequest.admin.priorityScore = result.score;
+  emergencyRequest.admin.priorityBreakdown = result.breakdown;
+  emergencyRequest.admin.priorityScoredAt = now;
+
+  return result;
+};
+
+// Rescore every open request that isn't manually prioritised
+const rescoreOpenRequests = async () => {
+  const weights = await getPriorityWeights();
+  const now = new Date();
+  const cursor = EmergencyRequest.find({
+    status: { $in: EmergencyRequest.OPEN_STATUSES },
+    'admin.priorityManual': { $ne: true }
+  })
+  .select('medical patient.bloodGroup hospital.location hospital.address.city visibility.maxRadius fulfillment.unitsFulfilled responses.responseType admin')
+  .cursor();
+
+  let updated = 0;
+  for await (const emergencyRequest of cursor) {
+    await rescoreRequest(emergencyRequest, { weights, now });
+    updated++;
+  }
+
+  return { updated };
+};
+
+module.exports = {
+  DEFAULT_PRIORITY_WEIGHTS,
+  getPriorityWeights,
+  updatePriorityWeights,
+  resetPriorityWeights,
+  scoreRequest,
+  rescoreRequest,
+  rescoreOpenRequests
+};
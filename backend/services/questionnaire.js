@@ -0,0 +1,151 @@
+// Pre-donation health questionnaire. Donors answer it before confirming a
+// response; flagged answers defer the donor automatically. Questionnaires are
+// versioned so stored answers can always be read against the questions asked.
+const { getEligibilityRules, findDeferringMedications } = require('./eligibility');
+const { toDonationType } = require('../utils/bloodCompatibility');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Flagged answers that are not covered by the eligibility rules
+const ILLNESS_DEFERRAL_DAYS = 14;
+const ALCOHOL_DEFERRAL_HOURS = 24;
+const MIN_HOURS_SLEPT = 5;
+
+// Each question can flag its answer with { reason, until, components }.
+// `requiredIf` names a yes/no question that must be answered yes.
+const QUESTIONNAIRES = {
+  1: [
+    {
+      id: 'recentIllness',
+      type: 'boolean',
+      text: 'Have you had a fever, cold, flu or any other illness in the last 14 days?',
+      check: (answer, { now }) => answer === true && {
+        reason: `Recent illness: please wait ${ILLNESS_DEFERRAL_DAYS} days after you recover`,
+        until: new Date(now.getTime() + ILLNESS_DEFERRAL_DAYS * DAY_MS)
+      }
+    },
+    {
+      id: 'medications',
+      type: 'list',
+      text: 'List any medicines you have taken in the last 7 days (leave empty if none).',
+      check: (answer, { now, rules }) => findDeferringMedications(rules, answer).map(({ rule, match }) => ({
+        reason: `Taking ${match}: please wait ${rule.days} day(s) after the last dose`,
+        until: new Date(now.getTime() + rule.days * DAY_MS),
+        components: rule.components
+      }))
+    },
+    {
+      id: 'travelledToMalariaArea',
+      type: 'boolean',
+      text: 'Have you travelled to a malaria-endemic area in the last 3 months?',
+      check: (answer, { now, rules, answers }) => {
+        if (answer !== true) return null;
+
+        const until = new Date(new Date(answers.travelReturnDate).getTime() + rules.travelDeferralDays * DAY_MS);
+        return until > now && {
+          reason: `Recent travel to a malaria-endemic area: please wait ${rules.travelDeferralDays} days after your return`,
+          until
+        };
+      }
+    },
+    {
+      id: 'travelReturnDate',
+      type: 'date',
+      text: 'If so, when did you return?',
+      requiredIf: 'travelledToMalariaArea'
+    },
+    {
+      id: 'alcoholLast24Hours',
+      type: 'boolean',
+      text: 'Have you drunk alcohol in the last 24 hours?',
+      check: (answer, { now }) => answer === true && {
+        reason: `Alcohol in the last 24 hours: please wait ${ALCOHOL_DEFERRAL_HOURS} hours`,
+        until: new Date(now.getTime() + ALCOHOL_DEFERRAL_HOURS * HOUR_MS)
+      }
+    },
+    {
+      id: 'hoursSlept',
+      type: 'number',
+      min: 0,
+      max: 24,
+      text: 'How many hours did you sleep last night?',
+      check: (answer, { now }) => answer < MIN_HOURS_SLEPT && {
+        reason: `Less than ${MIN_HOURS_SLEPT} hours of sleep: please donate after a full night's rest`,
+        until: new Date(now.getTime() + DAY_MS)
+      }
+    }
+  ]
+};
+
+const CURRENT_VERSION = Math.max(...Object.keys(QUESTIONNAIRES).map(Number));
+
+// Questions of a version without their checks, for clients
+const getQuestionnaire = (version = CURRENT_VERSION) => {
+  const questions = QUESTIONNAIRES[version];
+  if (!questions) return null;
+
+  return {
+    version,
+    questions: questions.map(({ check, ...question }) => question)
+  };
+};
+
+// Check answers to the current questionnaire for a component. Returns the
+// screening to store on the response: { version, answers, submittedAt,
+// passed, flags }. Flags carry the components they defer (all when empty);
+// the screening passes when none of them covers the component.
+const screenAnswers = async (answers, { component, now = new Date() } = {}) => {
+  component = toDonationType(component);
+  const rules = await getEligibilityRules();
+  const flags = [];
+  const stored = {};
+
+  QUESTIONNAIRES[CURRENT_VERSION].forEach(question => {
+    const answer = answers[question.id];
+    if (answer === undefined || answer === null) return;
+    stored[question.id] = answer;
+
+    if (!question.check) return;
+    [].concat(question.check(answer, { now, rules, answers }) || []).forEach(flag => {
+      flags.push({ question: question.id, ...flag });
+    });
+  });
+
+  return {
+    version: CURRENT_VERSION,
+    answers: stored,
+    submittedAt: now,
+    passed: !flags.some(flag => !flag.components || flag.components.length === 0 || flag.components.includes(component)),
+    flags
+  };
+};
+
+// Defer a donor for each flagged answer and keep their travel date current
+const applyScreeningDeferrals = (donor, screening) => {
+  screening.flags.forEach(flag => {
+    donor.deferrals.push({
+      kind: 'temporary',
+      reason: `Questionnaire: ${flag.reason}`,
+      components: flag.components || [],
+      startsAt: screening.submittedAt,
+      until: flag.until,
+      source: 'questionnaire',
+      createdBy: donor._id
+    });
+  });
+
+  if (screening.answers.travelledToMalariaArea && screening.answers.travelReturnDate) {
+    donor.medicalInfo.lastTravelDate = new Date(screening.answers.travelReturnDate);
+  }
+
+  return donor.save();
+};
+
+module.exports = {
+  CURRENT_VERSION,
+  QUESTIONNAIRES,
+  getQuestionnaire,
+  screenAnswers,
+  applyScreeningDeferrals
+};
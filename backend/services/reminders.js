@@ -0,0 +1,151 @@
+// Donor re-engagement reminders, run periodically by the job scheduler:
+// - "you can donate again" once a donor's post-donation gap has passed
+// - an availability check for donors who have not been active for a while
+// Reminders are not sent during a donor's quiet hours; they are picked up by a
+// later run instead. Each one is recorded in ReminderLog before it is sent.
+const { User, ReminderLog } = require('../models');
+const { notifyUser } = require('./notifications');
+const { getEligibilityRules, getIntervalEnd, evaluateEligibility, loadDonorHistory } = require('./eligibility');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Donors who became eligible longer ago than this are not reminded
+const ELIGIBILITY_WINDOW_DAYS = 30;
+
+const getInactiveDays = () => parseInt(process.env.REMINDER_INACTIVE_DAYS) || 90;
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Donors who can receive reminders at all
+const reminderRecipientFilter = () => ({
+  role: 'donor',
+  status: 'approved',
+  'notifications.reminders': { $ne: false }
+});
+
+// Shortest and longest waiting periods in the eligibility rules
+const getIntervalBounds = (rules) => {
+  const days = [rules.intervals, rules.femaleIntervals || {}]
+    .flatMap(table => Object.values(table))
+    .flatMap(row => Object.values(row));
+
+  return { minDays: Math.min(...days), maxDays: Math.max(...days) };
+};
+
+// Record a reminder; returns false if it was already sent
+const claimReminder = async (user, type, key, metadata) => {
+  try {
+    await ReminderLog.create({ user: user._id, type, key, metadata });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Remind donors who can give whole blood again now their post-donation wait is over
+const sendEligibilityReminders = async (now) => {
+  const rules = await getEligibilityRules();
+  const { minDays, maxDays } = getIntervalBounds(rules);
+
+  const donors = User.find({
+    ...reminderRecipientFilter(),
+    'medicalInfo.lastDonationDate': {
+      $lte: new Date(now.getTime() - minDays * DAY_MS),
+      $gte: new Date(now.getTime() - (maxDays + ELIGIBILITY_WINDOW_DAYS) * DAY_MS)
+    }
+  })
+  .select('name email phone role status notifications medicalInfo availability.isAvailable deferrals')
+  .cursor();
+
+  let sent = 0;
+
+  for await (const donor of donors) {
+    if (donor.isInQuietHours(now)) continue;
+
+    const history = (await loadDonorHistory([donor._id])).get(donor._id.toString());
+    const eligibleDate = getIntervalEnd(donor, history.lastDonations, rules, 'blood');
+    if (!eligibleDate || eligibleDate > now) continue;
+    if (eligibleDate < new Date(now.getTime() - ELIGIBILITY_WINDOW_DAYS * DAY_MS)) continue;
+
+    // Donors deferred for another reason are not told they can donate; being
+    // marked unavailable is covered by the message itself
+    const { reasons } = evaluateEligibility(donor, { component: 'blood', rules, now, ...history });
+    if (reasons.some(reason => reason.rule !== 'availability')) continue;
+
+    const claimed = await claimReminder(donor, 'eligibility', dayKey(eligibleDate), { eligibleDate });
+    if (!claimed) continue;
+
+    await notifyUser(donor, {
+      event: 'eligibility-reminder',
+      payload: { eligibleDate, timestamp: now },
+      template: 'eligibility_reminder',
+      data: {
+        bloodGroup: donor.medicalInfo.bloodGroup,
+        lastDonationDate: donor.medicalInfo.lastDonationDate,
+        eligibleDate,
+        isAvailable: donor.availability.isAvailable
+      },
+      always: true,
+      metadata: { reminder: 'eligibility' }
+    });
+    sent++;
+  }
+
+  return sent;
+};
+
+// Ask long-inactive donors to confirm their availability and contact details.
+// One nudge per inactive stretch: the key is the donor's last active day.
+const sendInactivityReminders = async (now) => {
+  const donors = User.find({
+    ...reminderRecipientFilter(),
+    'stats.lastActive': { $lte: new Date(now.getTime() - getInactiveDays() * DAY_MS) }
+  })
+  .select('name email phone notifications address.city stats.lastActive')
+  .cursor();
+
+  let sent = 0;
+
+  for await (const donor of donors) {
+    if (donor.isInQuietHours(now)) continue;
+
+    const claimed = await claimReminder(donor, 'inactivity', dayKey(donor.stats.lastActive), {
+      lastActive: donor.stats.lastActive
+    });
+    if (!claimed) continue;
+
+    await notifyUser(donor, {
+      event: 'availability-check',
+      payload: { lastActive: donor.stats.lastActive, timestamp: now },
+      template: 'availability_check',
+      data: {
+        lastActive: donor.stats.lastActive,
+        phone: donor.phone,
+        city: donor.address && donor.address.city
+      },
+      always: true,
+      metadata: { reminder: 'inactivity' }
+    });
+    sent++;
+  }
+
+  return sent;
+};
+
+// Run both reminder passes once
+const runReminders = async () => {
+  const now = new Date();
+  const eligibility = await sendEligibilityReminders(now);
+  const inactivity = await sendInactivityReminders(now);
+
+  if (eligibility + inactivity > 0) {
+    console.log(`🔔 Sent ${eligibility} eligibility and ${inactivity} availability reminders`);
+  }
+
+  return { eligibility, inactivity };
+};
+
+module.exports = {
+  runReminders
+};
@@ -0,0 +1,218 @@
+// Donor rewards: points for completed donations, milestone badges with bonus
+// points, and revocation when a donation is rejected. Every change goes
+// through the RewardTransaction ledger; stats.rewardPoints is its running total.
+const { DonationHistory, EmergencyRequest, RewardTransaction, User } = require('../models');
+
+const RESPONDER_WINDOW_MINUTES = 60;
+
+const idOf = (ref) => (ref && ref._id) || ref;
+
+// Milestone badges. `earned` is checked after each completed donation with
+// the donor's completed donation count, the donation and how quickly the donor
+// responded to its emergency request.
+const BADGES = {
+  first_donation: {
+    name: 'First Drop',
+    description: 'Completed a first donation',
+    points: 25,
+    donations: 1,
+    earned: ({ count }) => count >= 1
+  },
+  donations_5: {
+    name: 'Regular Donor',
+    description: 'Completed 5 donations',
+    points: 50,
+    donations: 5,
+    earned: ({ count }) => count >= 5
+  },
+  donations_10: {
+    name: 'Lifesaver',
+    description: 'Completed 10 donations',
+    points: 100,
+    donations: 10,
+    earned: ({ count }) => count >= 10
+  },
+  donations_25: {
+    name: 'Champion',
+    description: 'Completed 25 donations',
+    points: 250,
+    donations: 25,
+    earned: ({ count }) => count >= 25
+  },
+  rare_group_hero: {
+    name: 'Rare Group Hero',
+    description: `Donated with a rare blood group (${DonationHistory.RARE_BLOOD_GROUPS.join(', ')}) for an emergency request`,
+    points: 50,
+    earned: ({ donation }) =>
+      Boolean(donation.emergencyRequest) && DonationHistory.RARE_BLOOD_GROUPS.includes(donation.donation.bloodGroup)
+  },
+  emergency_responder: {
+    name: 'Emergency Responder',
+    description: `Responded to an emergency request within ${RESPONDER_WINDOW_MINUTES} minutes and donated`,
+    points: 50,
+    earned: ({ responseMinutes }) => responseMinutes !== null && responseMinutes <= RESPONDER_WINDOW_MINUTES
+  }
+};
+
+// Add a ledger entry and apply it to the donor's balance. Returns false when
+// an entry with the same key already exists.
+const recordTransaction = async (entry) => {
+  try {
+    await RewardTransaction.create(entry);
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await User.updateOne({ _id: entry.user }, { $inc: { 'stats.rewardPoints': entry.points } });
+  return true;
+};
+
+// Minutes between an emergency request being raised and the donor responding
+const getResponseMinutes = async (donation) => {
+  if (!donation.emergencyRequest) return null;
+
+  const emergencyRequest = await EmergencyRequest.findById(donation.emergencyRequest).select('createdAt responses');
+  const response = emergencyRequest && emergencyRequest.responses.find(
+    r => r.donor.toString() === idOf(donation.donor).toString()
+  );
+  if (!response) return null;
+
+  return (response.responseDate - emergencyRequest.createdAt) / 60000;
+};
+
+// Award a completed donation's points and any badges it earns. Safe to call
+// more than once for the same donation.
+const awardDonationRewards = async (donation) => {
+  const userId = idOf(donation.donor);
+  const hospitalName = donation.location.hospital && donation.location.hospital.name;
+
+  await recordTransaction({
+    user: userId,
+    type: 'donation',
+    points: donation.recognition.rewardPoints,
+    reason: `Donation${hospitalName ? ` at ${hospitalName}` : ''}`,
+    donation: donation._id,
+    key: `donation:${donation._id}`
+  });
+
+  const context = {
+    donation,
+    count: await DonationHistory.countDocuments({ donor: userId, status: 'completed' }),
+    responseMinutes: await getResponseMinutes(donation)
+  };
+
+  const user = await User.findById(userId).select('badges');
+  const owned = new Set(user.badges.map(badge => badge.key));
+  const earned = [];
+
+  for (const [key, badge] of Object.entries(BADGES)) {
+    if (owned.has(key) || !badge.earned(context)) continue;
+
+    // Conditional push, so a badge is only awarded once
+    const result = await User.updateOne(
+      { _id: userId, 'badges.key': { $ne: key } },
+      { $push: { badges: { key, awardedAt: new Date(), donation: donation._id } } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    await recordTransaction({
+      user: userId,
+      type: 'badge',
+      points: badge.points,
+      reason: `Badge earned: ${badge.name}`,
+      donation: donation._id,
+      badge: key,
+      key: `badge:${donation._id}:${key}`
+    });
+    earned.push({ key, name: badge.name, points: badge.points });
+  }
+
+  if (earned.length > 0) {
+    await DonationHistory.updateOne(
+      { _id: donation._id },
+      { $set: { 'recognition.milestoneAchieved': earned.map(badge => badge.name).join(', ') } }
+    );
+  }
+
+  return {
+    points: donation.recognition.rewardPoints + earned.reduce((total, badge) => total + badge.points, 0),
+    badges: earned
+  };
+};
+
+// Take back the points and badges a donation earned. Safe to call more than once.
+const revokeDonationRewards = async (donation, { reason, changedBy } = {}) => {
+  const awarded = await RewardTransaction.find({ donation: donation._id, type: { $in: ['donation', 'badge'] } });
+  let revoked = 0;
+
+  for (const transaction of awarded) {
+    const recorded = await recordTransaction({
+      user: transaction.user,
+      type: 'revocation',
+      points: -transaction.points,
+      reason: `Revoked: ${transaction.reason}${reason ? ` (${reason})` : ''}`,
+      donation: donation._id,
+      badge: transaction.badge,
+      key: `revoke:${transaction._id}`,
+      createdBy: changedBy
+    });
+    if (!recorded) continue;
+
+    revoked += transaction.points;
+    if (transaction.badge) {
+      await User.updateOne({ _id: transaction.user }, { $pull: { badges: { key: transaction.badge } } });
+    }
+  }
+
+  return revoked;
+};
+
+// A donor's balance, badges, progress to the next donation milestone and ledger
+const getRewardsSummary = async (user, { page = 1, limit = 20 } = {}) => {
+  const owned = new Map(user.badges.map(badge => [badge.key, badge]));
+  const completed = await DonationHistory.countDocuments({ donor: user._id, status: 'completed' });
+
+  const nextMilestone = Object.entries(BADGES)
+    .filter(([key, badge]) => badge.donations && !owned.has(key))
+    .sort(([, a], [, b]) => a.donations - b.donations)[0];
+
+  const [transactions, total] = await Promise.all([
+    RewardTransaction.find({ user: user._id })
+      .populate('donation', 'location.hospital.name scheduling.actualDate')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    RewardTransaction.countDocuments({ user: user._id })
+  ]);
+
+  return {
+    points: user.stats.rewardPoints,
+    completedDonations: completed,
+    badges: Object.entries(BADGES).map(([key, { earned, ...badge }]) => ({
+      key,
+      ...badge,
+      earned: owned.has(key),
+      awardedAt: owned.has(key) ? owned.get(key).awardedAt : null
+    })),
+    nextMilestone: nextMilestone ? {
+      key: nextMilestone[0],
+      name: nextMilestone[1].name,
+      donationsNeeded: Math.max(nextMilestone[1].donations - completed, 0)
+    } : null,
+    transactions,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      limit
+    }
+  };
+};
+
+module.exports = {
+  BADGES,
+  awardDonationRewards,
+  revokeDonationRewards,
+  getRewardsSummary
+};
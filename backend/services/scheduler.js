@@ -0,0 +1,128 @@
+// In-process scheduler for recurring background jobs. Every instance ticks
+// each job on its interval, but a run only happens after the job is claimed in
+// JobLock: the claim succeeds when no other instance holds the lock and the
+// job's nextRunAt has passed, so each job runs once per interval cluster-wide.
+const os = require('os');
+const { JobLock } = require('../models');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const jobs = new Map();
+const timers = new Map();
+
+// Register a job: `run` is an async function whose return value is stored as
+// the run's result. `lockMs` should comfortably exceed the longest run.
+const registerJob = ({ name, intervalMs, lockMs = 10 * 60 * 1000, run }) => {
+  jobs.set(name, { name, intervalMs, lockMs, run });
+};
+
+// Claim a job for this instance; returns false if it is locked or not yet due
+const claimJob = async (job, now, { force = false } = {}) => {
+  const free = { $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lte: now } }] };
+  const due = { $or: [{ nextRunAt: { $exists: false } }, { nextRunAt: { $lte: now } }] };
+
+  try {
+    const claimed = await JobLock.findOneAndUpdate(
+      { _id: job.name, $and: force ? [free] : [free, due] },
+      {
+        $set: {
+          lockedBy: INSTANCE_ID,
+          lockedUntil: new Date(now.getTime() + job.lockMs),
+          lastStartedAt: now
+        }
+      },
+      { new: true, upsert: true }
+    );
+    return Boolean(claimed);
+  } catch (error) {
+    // The upsert collides with the existing document when it is locked or not due
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Run a job if this instance can claim it, and record the outcome
+const runJob = async (name, options = {}) => {
+  const job = jobs.get(name);
+  if (!job) throw new Error(`Unknown job: ${name}`);
+
+  const startedAt = new Date();
+  if (!(await claimJob(job, startedAt, options))) return { ran: false };
+
+  const update = {
+    $set: {
+      nextRunAt: new Date(startedAt.getTime() + job.intervalMs)
+    },
+    $unset: { lockedBy: 1 },
+    $inc: { runCount: 1 }
+  };
+
+  let result;
+  try {
+    result = await job.run();
+    update.$set.lastStatus = 'succeeded';
+    update.$set.lastResult = result;
+    update.$unset.lastError = 1;
+  } catch (error) {
+    console.error(`⏱️  Job ${name} failed:`, error);
+    update.$set.lastStatus = 'failed';
+    update.$set.lastError = error.message;
+  }
+
+  const finishedAt = new Date();
+  update.$set.lockedUntil = finishedAt;
+  update.$set.lastFinishedAt = finishedAt;
+  update.$set.lastDurationMs = finishedAt - startedAt;
+
+  await JobLock.updateOne({ _id: name, lockedBy: INSTANCE_ID }, update);
+
+  return { ran: true, status: update.$set.lastStatus, result, error: update.$set.lastError };
+};
+
+const tick = (name) => {
+  runJob(name).catch(error => console.error(`⏱️  Job ${name} scheduling error:`, error));
+};
+
+// Start ticking every registered job; the first tick runs right away
+const startScheduler = () => {
+  jobs.forEach(job => {
+    if (timers.has(job.name)) return;
+
+    const timer = setInterval(() => tick(job.name), job.intervalMs);
+    if (timer.unref) timer.unref();
+    timers.set(job.name, timer);
+
+    tick(job.name);
+  });
+
+  console.log(`⏱️  Scheduler started with ${jobs.size} jobs`);
+};
+
+const stopScheduler = () => {
+  timers.forEach(timer => clearInterval(timer));
+  timers.clear();
+};
+
+// Registered jobs with their stored run state
+const getJobStatuses = async () => {
+  const locks = await JobLock.find({ _id: { $in: Array.from(jobs.keys()) } }).lean();
+
+  return Array.from(jobs.values()).map(job => {
+    const lock = locks.find(entry => entry._id === job.name) || {};
+    const { _id, ...state } = lock;
+    return {
+      name: job.name,
+      intervalMinutes: job.intervalMs / 60000,
+      running: Boolean(lock.lockedUntil && lock.lockedUntil > new Date()),
+      ...state
+    };
+  });
+};
+
+module.exports = {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  getJobStatuses
+};
@@ -1,5 +1,38 @@
 const { socketAuth } = require('./middleware/socketAuth');
 const { EmergencyRequest, User, DonationHistory } = require('./models');
+const { conversationRoom, loadConversation, sendMessage, markRead } = require('./services/chat');
+const { recordAudit } = require('./services/audit');
+const { hasPermission } = require('./utils/permissions');
+
+// Rooms an approved donor belongs to
+const getDonorRooms = (user) => {
+  const rooms = [`donor-${user._id}`, 'donors-global'];
+
+  // Location-based room
+  if (user.address && user.address.city) {
+    rooms.push(`donors-${user.address.city.toLowerCase()}`);
+  }
+
+  // Blood group room
+  if (user.medicalInfo && user.medicalInfo.bloodGroup) {
+    rooms.push(`donors-${user.medicalInfo.bloodGroup}`);
+  }
+
+  return rooms;
+};
+
+// Move a donor's connected sockets in or out of the donor rooms after their
+// account status changes
+const syncDonorRooms = (io, user) => {
+  if (!io || user.role !== 'donor') return;
+
+  const sockets = io.in(`user-${user._id}`);
+  if (user.status === 'approved') {
+    sockets.socketsJoin(getDonorRooms(user));
+  } else {
+    sockets.socketsLeave(getDonorRooms(user));
+  }
+};
 
 const setupSocketHandlers = (io) => {
   // Apply authentication middleware
@@ -9,24 +42,14 @@ const setupSocketHandlers = (io) => {
     const user = socket.user;
     console.log(`👤 User connected: ${user.name} (${user.role}) - Socket ID: ${socket.id}`);
 
-    // Join user to their personal room
+    // Join user to their personal room, and a session room so revoking the
+    // session can disconnect this socket
     socket.join(`user-${user._id}`);
+    socket.join(`session-${socket.sessionId}`);
 
     // Role-based room joining
-    if (user.role === 'donor' && user.admin.isApproved) {
-      socket.join(`donor-${user._id}`);
-      socket.join('donors-global');
-      
-      // Join location-based room
-      if (user.address && user.address.city) {
-        socket.join(`donors-${user.address.city.toLowerCase()}`);
-      }
-      
-      // Join blood group room
-      if (user.medicalInfo && user.medicalInfo.bloodGroup) {
-        socket.join(`donors-${user.medicalInfo.bloodGroup}`);
-      }
-      
+    if (user.role === 'donor' && user.status === 'approved') {
+      socket.join(getDonorRooms(user));
       console.log(`🩸 Donor joined rooms: donor-${user._id}, donors-${user.address?.city}, donors-${user.medicalInfo?.bloodGroup}`);
     }
 
@@ -36,6 +59,11 @@ const setupSocketHandlers = (io) => {
       console.log(`🏥 Recipient joined rooms: recipient-${user._id}`);
     }
 
+    if (user.role === 'hospital_staff' && user.hospital) {
+      socket.join(`hospital-${user.hospital}`);
+      console.log(`🏨 Hospital staff joined room: hospital-${user.hospital}`);
+    }
+
     if (user.role === 'admin') {
       socket.join('admin-room');
       socket.join('admins-global');
@@ -70,41 +98,30 @@ const setupSocketHandlers = (io) => {
       }
     });
 
-    // Handle emergency request notifications
+    // Report dispatch progress for an emergency request. Donors are notified
+    // server-side by the emergency dispatcher when the request is created.
     socket.on('emergency-request-created', async (requestData) => {
       try {
         if (user.role !== 'recipient') return;
 
-        const emergencyRequest = await EmergencyRequest.findById(requestData.requestId)
-          .populate('requester', 'name phone email');
+        const emergencyRequest = await EmergencyRequest.findOne({
+          _id: requestData.requestId,
+          requester: user._id
+        }).select('dispatch.status dispatch.currentWave dispatch.radiusKm dispatch.notifiedDonors');
 
         if (!emergencyRequest) return;
 
-        // Notify eligible donors
-        const notificationData = {
+        socket.emit('emergency-dispatch-status', {
           requestId: emergencyRequest._id,
-          patient: emergencyRequest.patient,
-          medical: emergencyRequest.medical,
-          hospital: emergencyRequest.hospital,
-          requester: emergencyRequest.requester,
+          status: emergencyRequest.dispatch.status,
+          wave: emergencyRequest.dispatch.currentWave,
+          radiusKm: emergencyRequest.dispatch.radiusKm,
+          notifiedCount: emergencyRequest.dispatch.notifiedDonors.length,
           timestamp: new Date()
-        };
-
-        // Send to donors with matching blood group
-        socket.to(`donors-${emergencyRequest.patient.bloodGroup}`).emit('new-emergency-request', notificationData);
-
-        // Send to donors in the same city
-        if (emergencyRequest.hospital.address.city) {
-          socket.to(`donors-${emergencyRequest.hospital.address.city.toLowerCase()}`).emit('new-emergency-request', notificationData);
-        }
-
-        // Notify all admins
-        socket.to('admin-room').emit('new-emergency-request', notificationData);
-
-        console.log(`🚨 Emergency request broadcast for ${emergencyRequest.patient.bloodGroup} in ${emergencyRequest.hospital.address.city}`);
+        });
 
       } catch (error) {
-        socket.emit('error', { message: 'Failed to broadcast emergency request' });
+        socket.emit('error', { message: 'Failed to get emergency request status' });
       }
     });
 
@@ -114,7 +131,7 @@ const setupSocketHandlers = (io) => {
         if (user.role !== 'donor') return;
 
         const emergencyRequest = await EmergencyRequest.findById(responseData.requestId)
-          .populate('requester', 'name phone email');
+          .populate('requester', 'name');
 
         if (!emergencyRequest) return;
 
@@ -147,7 +164,7 @@ const setupSocketHandlers = (io) => {
         if (user.role !== 'recipient') return;
 
         const donationHistory = await DonationHistory.findById(scheduleData.donationId)
-          .populate('donor', 'name phone email')
+          .populate('donor', 'name')
           .populate('emergencyRequest', 'patient.name hospital.name');
 
         if (!donationHistory) return;
@@ -180,8 +197,8 @@ const setupSocketHandlers = (io) => {
         if (user.role !== 'admin' && user.role !== 'donor') return;
 
         const donationHistory = await DonationHistory.findById(completionData.donationId)
-          .populate('donor', 'name phone email')
-          .populate('recipient', 'name phone email')
+          .populate('donor', 'name')
+          .populate('recipient', 'name')
           .populate('emergencyRequest', 'patient.name');
 
         if (!donationHistory) return;
@@ -216,7 +233,9 @@ const setupSocketHandlers = (io) => {
     // Handle admin broadcast messages
     socket.on('admin-broadcast', async (broadcastData) => {
       try {
-        if (user.role !== 'admin') return;
+        // Re-read roles so a revoked permission applies to open connections
+        const current = await User.findById(user._id).select('role adminRoles');
+        if (!hasPermission(current, 'broadcast.send')) return;
 
         const { target, message, urgency, bloodGroup, city } = broadcastData;
 
@@ -253,6 +272,15 @@ const setupSocketHandlers = (io) => {
             socket.to('recipients-global').emit('admin-broadcast', notificationData);
         }
 
+        await recordAudit({
+          actor: user,
+          ip: socket.handshake.address,
+          userAgent: socket.handshake.headers['user-agent'],
+          action: 'broadcast.send',
+          target: { type: 'broadcast', id: target || 'all' },
+          metadata: { message, urgency, bloodGroup, city, via: 'socket' }
+        });
+
         console.log(`📢 Admin ${user.name} broadcast to ${target}: ${message}`);
 
       } catch (error) {
@@ -260,9 +288,48 @@ const setupSocketHandlers = (io) => {
       }
     });
 
-    // Handle user typing indicators (for chat features)
-    socket.on('typing', (data) => {
-      socket.to(data.room).emit('user-typing', {
+    // Join a chat conversation the user belongs to
+    socket.on('join-conversation', async (data = {}) => {
+      try {
+        const { conversation } = await loadConversation(data.conversationId, user);
+
+        socket.join(conversationRoom(conversation._id));
+        socket.emit('conversation-joined', { conversationId: conversation._id });
+
+      } catch (error) {
+        socket.emit('error', { message: error.statusCode ? error.message : 'Failed to join conversation' });
+      }
+    });
+
+    socket.on('leave-conversation', (data = {}) => {
+      socket.leave(conversationRoom(data.conversationId));
+    });
+
+    // Send a chat message; members receive it as new-message
+    socket.on('send-message', async (data = {}) => {
+      try {
+        await sendMessage(data.conversationId, user, data.text);
+      } catch (error) {
+        socket.emit('error', { message: error.statusCode ? error.message : 'Failed to send message' });
+      }
+    });
+
+    // Read receipt; members receive it as messages-read
+    socket.on('mark-read', async (data = {}) => {
+      try {
+        await markRead(data.conversationId, user);
+      } catch (error) {
+        socket.emit('error', { message: error.statusCode ? error.message : 'Failed to mark conversation as read' });
+      }
+    });
+
+    // Handle user typing indicators, only in conversations the socket has joined
+    socket.on('typing', (data = {}) => {
+      const room = conversationRoom(data.conversationId);
+      if (!socket.rooms.has(room)) return;
+
+      socket.to(room).emit('user-typing', {
+        conversationId: data.conversationId,
         userId: user._id,
         userName: user.name,
         isTyping: data.isTyping
@@ -323,4 +390,4 @@ const setupSocketHandlers = (io) => {
   });
 };
 
-module.exports = { setupSocketHandlers };
+module.exports = { setupSocketHandlers, syncDonorRooms };
@@ -1,16 +1,133 @@
 const jwt = require('jsonwebtoken');
+const { Session } = require('../models');
+const { generateSecureToken, hashToken } = require('./otp');
+const { disconnectRoom } = require('../services/notifications');
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d'
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const PREVIOUS_TOKENS_KEPT = 20;
+
+// Generate a short-lived access token tied to a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m'
+  });
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found directly
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !/^[0-9a-f]{24}$/.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// Short description of the client, e.g. "Chrome on Android"
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return userAgent ? 'Unknown device' : 'Unknown client';
+  return [browser && browser[0], os && `on ${os[0]}`].filter(Boolean).join(' ');
+};
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Start a new session for a user
+const createSession = async (user, req) => {
+  const secret = generateSecureToken();
+  const userAgent = (req.headers['user-agent'] || '').slice(0, 300);
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
   });
+
+  return { session, refreshToken: buildRefreshToken(session._id, secret) };
 };
 
-// Send token response
-const sendTokenResponse = (user, statusCode, res, message = 'Success') => {
-  // Create token
-  const token = generateToken(user._id);
+// Exchange a refresh token for a new one. Presenting a token that was already
+// rotated out means it was stolen, so the whole session is revoked.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'Invalid refresh token' };
+
+  const presentedHash = hashToken(parsed.secret);
+  const secret = generateSecureToken();
+
+  // Swap the hash atomically so concurrent refreshes can't both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        lastUsedAt: new Date(),
+        ip: req.ip,
+        expiresAt: refreshExpiry()
+      },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -PREVIOUS_TOKENS_KEPT } }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: buildRefreshToken(session._id, secret) };
+  }
+
+  const reused = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, previousTokenHashes: presentedHash, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } }
+  );
+
+  if (reused) {
+    disconnectRoom(`session-${reused._id}`);
+    console.warn(`⚠️ Refresh token reuse detected for session ${reused._id}; session revoked`);
+    return { error: 'Refresh token reuse detected. Please log in again.' };
+  }
+
+  return { error: 'Session expired or revoked. Please log in again.' };
+};
+
+// Revoke sessions matching a filter and drop their live socket connections
+const revokeSessions = async (filter, reason) => {
+  const sessions = await Session.find({ ...filter, revokedAt: { $exists: false } }).select('_id');
+  if (sessions.length === 0) return { modifiedCount: 0 };
+
+  const ids = sessions.map(session => session._id);
+  const result = await Session.updateMany(
+    { _id: { $in: ids }, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  ids.forEach(id => disconnectRoom(`session-${id}`));
+  return result;
+};
+
+// Build the JSON/cookie response for an access + refresh token pair
+const respondWithTokens = (user, session, refreshToken, statusCode, res, message) => {
+  const token = generateToken(user._id, session._id);
 
   // Cookie options
   const options = {
@@ -30,13 +147,24 @@ const sendTokenResponse = (user, statusCode, res, message = 'Success') => {
       success: true,
       message,
       token,
+      refreshToken,
       data: {
         user: userResponse
       }
     });
 };
 
+// Start a session and send token response
+const sendTokenResponse = async (user, statusCode, req, res, message = 'Success') => {
+  const { session, refreshToken } = await createSession(user, req);
+  respondWithTokens(user, session, refreshToken, statusCode, res, message);
+};
+
 module.exports = {
   generateToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSessions,
+  respondWithTokens,
   sendTokenResponse
 };
@@ -0,0 +1,129 @@
+// ABO/Rh compatibility rules shared by donor search, responses, feeds and broadcasts
+
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+const BLOOD_COMPONENTS = ['whole_blood', 'red_cells', 'plasma', 'platelets'];
+const DEFAULT_COMPONENT = 'whole_blood';
+
+// ABO groups whose red cells each recipient ABO group can receive
+const RED_CELL_ABO = {
+  O: ['O'],
+  A: ['A', 'O'],
+  B: ['B', 'O'],
+  AB: ['AB', 'A', 'B', 'O']
+};
+
+// ABO groups whose plasma each recipient ABO group can receive (reverse of red cells)
+const PLASMA_ABO = {
+  O: ['O', 'A', 'B', 'AB'],
+  A: ['A', 'AB'],
+  B: ['B', 'AB'],
+  AB: ['AB']
+};
+
+const splitGroup = (group) => ({
+  abo: group.slice(0, -1),
+  rh: group.slice(-1)
+});
+
+// Rh- recipients must receive Rh- cells; Rh+ recipients can receive either
+const rhCompatible = (donorRh, recipientRh) => recipientRh === '+' || donorRh === '-';
+
+// Per-component rules, each taking split donor/recipient groups
+const COMPONENT_RULES = {
+  // Whole blood carries both cells and plasma: ABO-identical, or group O
+  // as low-titer universal whole blood
+  whole_blood: (donor, recipient) =>
+    (donor.abo === recipient.abo || donor.abo === 'O') && rhCompatible(donor.rh, recipient.rh),
+
+  red_cells: (donor, recipient) =>
+    RED_CELL_ABO[recipient.abo].includes(donor.abo) && rhCompatible(donor.rh, recipient.rh),
+
+  // Plasma carries no red cells, so Rh does not matter
+  plasma: (donor, recipient) =>
+    PLASMA_ABO[recipient.abo].includes(donor.abo),
+
+  // Platelets are plasma-suspended but carry residual red cells
+  platelets: (donor, recipient) =>
+    PLASMA_ABO[recipient.abo].includes(donor.abo) && rhCompatible(donor.rh, recipient.rh)
+};
+
+const normalizeComponent = (component) =>
+  BLOOD_COMPONENTS.includes(component) ? component : DEFAULT_COMPONENT;
+
+// Check whether a donor group can give the requested component to a recipient group
+const isCompatible = (donorGroup, recipientGroup, component = DEFAULT_COMPONENT) => {
+  if (!BLOOD_GROUPS.includes(donorGroup) || !BLOOD_GROUPS.includes(recipientGroup)) return false;
+  if (donorGroup === recipientGroup) return true;
+
+  const rule = COMPONENT_RULES[normalizeComponent(component)];
+  return rule(splitGroup(donorGroup), splitGroup(recipientGroup));
+};
+
+// Donor groups that can give to a recipient, exact match first
+const getCompatibleDonorGroups = (recipientGroup, component = DEFAULT_COMPONENT) => {
+  if (!BLOOD_GROUPS.includes(recipientGroup)) return [];
+
+  return [
+    recipientGroup,
+    ...BLOOD_GROUPS.filter(group =>
+      group !== recipientGroup && isCompatible(group, recipientGroup, component)
+    )
+  ];
+};
+
+// Recipient groups a donor can give to, exact match first
+const getCompatibleRecipientGroups = (donorGroup, component = DEFAULT_COMPONENT) => {
+  if (!BLOOD_GROUPS.includes(donorGroup)) return [];
+
+  return [
+    donorGroup,
+    ...BLOOD_GROUPS.filter(group =>
+      group !== donorGroup && isCompatible(donorGroup, group, component)
+    )
+  ];
+};
+
+// 'exact', 'compatible' or null when the donor cannot give to the recipient
+const getMatchType = (donorGroup, recipientGroup, component = DEFAULT_COMPONENT) => {
+  if (!isCompatible(donorGroup, recipientGroup, component)) return null;
+  return donorGroup === recipientGroup ? 'exact' : 'compatible';
+};
+
+// Mongo filter for requests a donor's group can serve, across all components.
+// Requests without a component are treated as whole blood.
+const buildCompatibleRequestFilter = (donorGroup) => ({
+  $or: BLOOD_COMPONENTS.map(component => {
+    const bloodType = component === DEFAULT_COMPONENT
+      ? { $in: [DEFAULT_COMPONENT, null] }
+      : component;
+
+    return {
+      'medical.bloodType': bloodType,
+      'patient.bloodGroup': { $in: getCompatibleRecipientGroups(donorGroup, component) }
+    };
+  })
+});
+
+// Aggregation expression ranking exact matches (0) above compatible ones (1)
+const matchRankExpression = (recipientGroup, field = '$medicalInfo.bloodGroup') => ({
+  $cond: [{ $eq: [field, recipientGroup] }, 0, 1]
+});
+
+// Map a requested component to the DonationHistory donation type
+const toDonationType = (component) => {
+  const normalized = normalizeComponent(component);
+  return normalized === 'whole_blood' ? 'blood' : normalized;
+};
+
+module.exports = {
+  BLOOD_GROUPS,
+  BLOOD_COMPONENTS,
+  DEFAULT_COMPONENT,
+  isCompatible,
+  getCompatibleDonorGroups,
+  getCompatibleRecipientGroups,
+  getMatchType,
+  buildCompatibleRequestFilter,
+  matchRankExpression,
+  toDonationType
+};
@@ -0,0 +1,20 @@
+// Minimal CSV (RFC 4180) formatting
+
+// Quote a value when it contains a delimiter, quote or line break. Strings
+// starting with =, +, - or @ are prefixed with ' so spreadsheets do not run
+// them as formulas; numbers such as -5 are written as they are.
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatRow = (values) => `${values.map(formatValue).join(',')}\r\n`;
+
+module.exports = {
+  formatValue,
+  formatRow
+};
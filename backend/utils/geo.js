@@ -0,0 +1,115 @@
+// Geospatial helpers for GeoJSON locations, distances and pincode lookups
+const pincodeCentroids = require('../data/pincodeCentroids.json');
+
+const EARTH_RADIUS_KM = 6378.1;
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 500;
+
+const isValidCoordinates = (coordinates) => {
+  if (!coordinates) return false;
+  const { latitude, longitude } = coordinates;
+
+  return typeof latitude === 'number' && typeof longitude === 'number' &&
+    latitude >= -90 && latitude <= 90 &&
+    longitude >= -180 && longitude <= 180;
+};
+
+// Look up an approximate centroid for a 6-digit pincode, falling back to its
+// 3-digit sorting district prefix
+const lookupPincode = (pincode) => {
+  if (!pincode || !/^[0-9]{6}$/.test(pincode)) return null;
+
+  const exact = pincodeCentroids.exact[pincode];
+  if (exact) {
+    return { latitude: exact[0], longitude: exact[1], precision: 'pincode' };
+  }
+
+  const district = pincodeCentroids.prefix[pincode.slice(0, 3)];
+  if (district) {
+    return { latitude: district[0], longitude: district[1], precision: 'district' };
+  }
+
+  return null;
+};
+
+// Resolve coordinates for an address: explicit coordinates first, then pincode
+const resolveCoordinates = (address) => {
+  if (!address) return null;
+
+  if (isValidCoordinates(address.coordinates)) {
+    return {
+      latitude: address.coordinates.latitude,
+      longitude: address.coordinates.longitude,
+      precision: 'exact'
+    };
+  }
+
+  return lookupPincode(address.pincode);
+};
+
+// Convert { latitude, longitude } into a GeoJSON point (longitude first)
+const toGeoPoint = (coordinates) => {
+  if (!isValidCoordinates(coordinates)) return undefined;
+
+  return {
+    type: 'Point',
+    coordinates: [coordinates.longitude, coordinates.latitude]
+  };
+};
+
+const kmToMeters = (km) => km * 1000;
+
+const metersToKm = (meters) => Math.round(meters / 100) / 10;
+
+// Clamp a requested radius to the supported range
+const normalizeRadius = (radius, fallback = DEFAULT_RADIUS_KM) => {
+  const value = parseFloat(radius);
+  if (!value || value <= 0) return fallback;
+  return Math.min(value, MAX_RADIUS_KM);
+};
+
+// Great-circle distance between two { latitude, longitude } points in km
+const haversineKm = (from, to) => {
+  const toRadians = (deg) => deg * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return metersToKm(2 * EARTH_RADIUS_KM * 1000 * Math.asin(Math.sqrt(a)));
+};
+
+// $geoNear stage returning distance in meters on `distance`
+const geoNearStage = ({ point, key, radiusKm, query = {} }) => ({
+  $geoNear: {
+    near: point,
+    key,
+    distanceField: 'distance',
+    maxDistance: kmToMeters(radiusKm),
+    spherical: true,
+    query
+  }
+});
+
+// Filter usable with countDocuments for everything within a radius
+const withinRadiusFilter = (point, radiusKm) => ({
+  $geoWithin: {
+    $centerSphere: [point.coordinates, radiusKm / EARTH_RADIUS_KM]
+  }
+});
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  isValidCoordinates,
+  lookupPincode,
+  resolveCoordinates,
+  toGeoPoint,
+  kmToMeters,
+  metersToKm,
+  normalizeRadius,
+  haversineKm,
+  geoNearStage,
+  withinRadiusFilter
+};
@@ -0,0 +1,17 @@
+// Mask contact details for display, e.g. r****@gmail.com and ******3210
+
+const maskEmail = (email) => {
+  if (!email || !email.includes('@')) return email;
+  const [local, domain] = email.split('@');
+  return `${local.charAt(0)}${'*'.repeat(Math.max(local.length - 1, 3))}@${domain}`;
+};
+
+const maskPhone = (phone) => {
+  if (!phone) return phone;
+  return `${'*'.repeat(Math.max(phone.length - 4, 0))}${phone.slice(-4)}`;
+};
+
+module.exports = {
+  maskEmail,
+  maskPhone
+};
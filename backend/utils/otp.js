@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+// Generate a numeric one-time code
+const generateOtp = (length = 6) => {
+  return crypto.randomInt(0, 10 ** length).toString().padStart(length, '0');
+};
+
+// Generate a random URL-safe token for links such as password resets
+const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Hash a one-time code or token with the server secret so leaked hashes can't be brute-forced offline
+const hashToken = (value) => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET || 'bloodfinder').update(String(value)).digest('hex');
+};
+
+// Compare a candidate against a stored hash in constant time
+const verifyTokenHash = (candidate, storedHash) => {
+  const candidateHash = Buffer.from(hashToken(candidate), 'hex');
+  const expected = Buffer.from(storedHash, 'hex');
+
+  return candidateHash.length === expected.length && crypto.timingSafeEqual(candidateHash, expected);
+};
+
+module.exports = {
+  generateOtp,
+  generateSecureToken,
+  hashToken,
+  verifyTokenHash
+};
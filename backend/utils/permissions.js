@@ -0,0 +1,88 @@
+// Admin permissions and the roles that grant them. Admin accounts hold one or
+// more roles in User.adminRoles; what they can do is the union of those roles'
+// permissions. Other account types have no admin permissions.
+
+const PERMISSIONS = {
+  'analytics.view': 'View the dashboard and analytics',
+  'users.view': 'View users and donor eligibility',
+  'users.approve': 'Approve, reject and suspend accounts',
+  'users.defer': 'Record and lift donor deferrals',
+  'hospitals.view': 'View hospitals',
+  'hospitals.manage': 'Create and update hospitals and their staff accounts',
+  'requests.view': 'View emergency requests',
+  'requests.prioritize': 'Override emergency request priority',
+  'medical.view': 'View donor screening results',
+  'donations.manage': 'Check in, screen, complete and reject donations',
+  'chat.view': 'Read and post in any chat conversation',
+  'export.users': 'Export user data',
+  'export.donations': 'Export donation data',
+  'export.requests': 'Export emergency request data',
+  'settings.view': 'View priority and eligibility settings',
+  'settings.edit': 'Change and reset priority and eligibility settings',
+  'jobs.view': 'View scheduled job status',
+  'jobs.run': 'Run scheduled jobs on demand',
+  'broadcast.send': 'Send emergency broadcasts',
+  'audit.view': 'View the audit log and contact reveals',
+  'audit.export': 'Export the audit log',
+  'roles.manage': 'Assign admin roles'
+};
+
+const ADMIN_ROLES = {
+  super_admin: {
+    name: 'Super Admin',
+    description: 'Full access, including role assignment',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  moderator: {
+    name: 'Moderator',
+    description: 'Reviews accounts, emergency requests, donations and chats and sends broadcasts',
+    permissions: [
+      'analytics.view',
+      'users.view',
+      'users.approve',
+      'users.defer',
+      'hospitals.view',
+      'requests.view',
+      'requests.prioritize',
+      'medical.view',
+      'donations.manage',
+      'chat.view',
+      'settings.view',
+      'jobs.view',
+      'broadcast.send'
+    ]
+  },
+  analyst: {
+    name: 'Analyst',
+    description: 'Reads analytics and exports donation and request data',
+    permissions: [
+      'analytics.view',
+      'hospitals.view',
+      'requests.view',
+      'settings.view',
+      'jobs.view',
+      'export.donations',
+      'export.requests'
+    ]
+  }
+};
+
+const getPermissions = (user) => {
+  if (!user || user.role !== 'admin') return [];
+
+  const permissions = new Set();
+  (user.adminRoles || []).forEach(role => {
+    if (ADMIN_ROLES[role]) ADMIN_ROLES[role].permissions.forEach(permission => permissions.add(permission));
+  });
+
+  return [...permissions];
+};
+
+const hasPermission = (user, permission) => getPermissions(user).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLES,
+  getPermissions,
+  hasPermission
+};